@@ -15,24 +15,58 @@ const
   crypto = require('crypto'),
   express = require('express'),
   https = require('https'),
-  request = require('request');
+  request = require('request'),
+  url = require('url');
 
 var reddit = require('redwrap');
+var streaks = require('./lib/streak');
+var frequencies = require('./lib/frequency');
+var measure = require('./lib/measure');
+var logs = require('./lib/logs');
+var reminders = require('./lib/reminders');
+var streakWarnings = require('./lib/streakWarnings');
+var createScheduler = require('./lib/scheduler').createScheduler;
+var eachSeries = require('./lib/scheduler').eachSeries;
+var transports = require('./lib/transport');
+var dialog = require('./lib/dialog');
+var payloads = require('./lib/payload');
+var goalCount = require('./lib/goalCount');
+var categories = require('./lib/category');
+var archive = require('./lib/archive');
+var trash = require('./lib/trash');
+var stats = require('./lib/stats');
+var heatmap = require('./lib/heatmap');
+var session = require('./lib/session');
+var createDashboard = require('./lib/dashboard').createDashboard;
+var createAccounts = require('./lib/accounts').createAccounts;
+var createGoalService = require('./lib/goalService').createGoalService;
+var GoalNotFoundError = require('./lib/goalService').GoalNotFoundError;
+var GoalStatusError = require('./lib/goalService').GoalStatusError;
+var DuplicateGoalError = require('./lib/goalService').DuplicateGoalError;
+var GoalLimitError = require('./lib/goalService').GoalLimitError;
+var GoalValidationError = require('./lib/goalService').GoalValidationError;
+var createApi = require('./lib/api').createApi;
+var motivations = require('./lib/motivation');
+var motivationSources = require('./lib/motivationSources');
+var motivationCache = require('./lib/motivationCache');
+var path = require('path');
+var createRouter = require('./lib/router').createRouter;
 var ObjectId = require('mongodb').ObjectID;
 var d = new Date();
 var app = express();
 app.set('port', process.env.PORT || 5000);
 app.set('view engine', 'ejs');
-app.use(bodyParser.json({ verify: verifyRequestSignature }));
+app.use('/webhook', bodyParser.json({ verify: verifyRequestSignature }));
 app.use(express.static('public'));
 
 // Import our models file to the router
 var models = require('./models/userModel');
 var gmodels = require('./models/goalModel');
+var amodels = require('./models/accountModel');
+var cmodels = require('./models/authCodeModel');
 
-// Connect to the database over Mongoose
+// Connected to the database over Mongoose when the server starts
 var mongoose = require('mongoose');
-mongoose.connect(process.env.MONGOLAB_URI);
 
 /*
  * Be sure to setup your config values before running this code. You can
@@ -55,11 +89,80 @@ const SERVER_URL = (process.env.SERVER_URL) ?
   (process.env.SERVER_URL) :
   config.get('serverURL');
 
+// Base URL of the Graph API. Point it at tools/fake-messenger.js to run the
+// bot offline.
+const GRAPH_API_URL = (process.env.GRAPH_API_URL) ?
+  (process.env.GRAPH_API_URL) :
+  config.get('graphURL');
+
+// Warn users this many hours before one of their streaks resets
+const STREAK_WARNING_HOURS = (process.env.STREAK_WARNING_HOURS) ?
+  Number(process.env.STREAK_WARNING_HOURS) :
+  config.get('streakWarningHours');
+
+// How often cached motivation from remote sources is fetched again
+const MOTIVATION_REFRESH_MINUTES = (process.env.MOTIVATION_REFRESH_MINUTES) ?
+  Number(process.env.MOTIVATION_REFRESH_MINUTES) :
+  config.get('motivationRefreshMinutes');
+
+// Most goals a user can have, by tier (see lib/goalCount.js). MAX_GOALS
+// sets the limit of the default tier
+const GOAL_LIMITS = Object.assign({}, config.get('goalLimits'));
+if (process.env.MAX_GOALS) {
+  GOAL_LIMITS[goalCount.DEFAULT_TIER] = Number(process.env.MAX_GOALS);
+}
+
+// Deleted goals can be restored for this many days before they are purged
+const TRASH_DAYS = (process.env.TRASH_DAYS) ?
+  Number(process.env.TRASH_DAYS) :
+  config.get('trashDays');
+
+// How long a user's timezone is kept before it is looked up again
+const TIMEZONE_MAX_AGE = 24 * 60 * 60 * 1000;
+
+// Username/password accounts chats can be linked to, see lib/accounts.js
+var accounts = createAccounts({
+  Account: amodels.Account,
+  AuthCode: cmodels.AuthCode,
+  User: models.User,
+  codeMinutes: config.get('accountLinkCodeMinutes'),
+  iterations: config.get('passwordIterations')
+});
+
+app.set('accounts', accounts);
+
+// Goal rules shared by the chat and the REST API, see lib/goalService.js
+var goalService = createGoalService({
+  User: models.User,
+  Goal: gmodels.Goal,
+  accounts: accounts,
+  limits: GOAL_LIMITS
+});
+
+// How long dashboard sign-in links and sessions last
+const DASHBOARD_LINK_MINUTES = config.get('dashboardLinkMinutes');
+const DASHBOARD_SESSION_DAYS = config.get('dashboardSessionDays');
+
+// How long REST API tokens last
+const API_TOKEN_DAYS = config.get('apiTokenDays');
+
+// Subreddits motivation can come from, tried before the local sources
+const MOTIVATION_SUBREDDITS = (process.env.MOTIVATION_SUBREDDITS) ?
+  process.env.MOTIVATION_SUBREDDITS.split(',') :
+  config.get('motivationSubreddits');
+
 if (!(APP_SECRET && VALIDATION_TOKEN && PAGE_ACCESS_TOKEN && SERVER_URL)) {
   console.error("Missing config values");
   process.exit(1);
 }
 
+// Outbound messages go through the transport, see lib/transport.js. It can
+// be swapped with app.set('transport', ...), e.g. for a memory transport.
+app.set('transport', transports.createGraphTransport({
+  baseUrl: GRAPH_API_URL,
+  accessToken: PAGE_ACCESS_TOKEN
+}));
+
 /*
  * Use your own validation token. Check that the token used in the Webhook
  * setup is the same token used here.
@@ -125,27 +228,124 @@ app.post('/webhook', function (req, res) {
 
 /*
  * This path is used for account linking. The account linking call-to-action
- * (sendAccountLinking) is pointed to this URL.
+ * (sendAccountStatus) is pointed to this URL. Users sign in or make an
+ * account, and are sent back to Messenger with a one-time code that comes
+ * back in the account_linking event (see receivedAccountLink).
  *
  */
-app.get('/authorize', function(req, res) {
-  var accountLinkingToken = req.query.account_linking_token;
-  var redirectURI = req.query.redirect_uri;
+var AUTHORIZE_ERRORS = {
+  username: "Usernames are 3 to 30 letters, numbers, dots, dashes or underscores.",
+  password: "Passwords need at least 8 characters.",
+  taken: "That username is taken.",
+  credentials: "Wrong username or password.",
+  failed: "Something went wrong, please try again."
+};
+
+// Only send codes back to Messenger
+function isMessengerRedirect(uri) {
+  var parsed = url.parse(String(uri || ''));
+  return parsed.protocol == 'https:' &&
+         /(^|\.)(facebook|messenger)\.com$/.test(parsed.hostname || '');
+}
+
+function renderAuthorize(res, status, fields, error) {
+  res.status(status).render('authorize', {
+    accountLinkingToken: fields.account_linking_token,
+    redirectURI: fields.redirect_uri,
+    username: fields.username || '',
+    error: error ? AUTHORIZE_ERRORS[error] : null
+  });
+}
 
-  // Authorization Code should be generated per user by the developer. This will
-  // be passed to the Account Linking callback.
-  var authCode = "1234567890";
+app.get('/authorize', function(req, res) {
+  if (!isMessengerRedirect(req.query.redirect_uri)) {
+    return res.sendStatus(400);
+  }
+  renderAuthorize(res, 200, req.query, null);
+});
 
-  // Redirect users to this URI on successful login
-  var redirectURISuccess = redirectURI + "&authorization_code=" + authCode;
+app.post('/authorize', bodyParser.urlencoded({extended: false}), function(req, res) {
+  var fields = req.body;
+  if (!isMessengerRedirect(fields.redirect_uri)) {
+    return res.sendStatus(400);
+  }
+  var signIn = fields.action == 'register' ? accounts.register : accounts.authenticate;
+  signIn(fields.username, fields.password, function(err, account, reason) {
+    if (err || account == null) {
+      return renderAuthorize(res, err ? 500 : 400, fields, err ? 'failed' : reason);
+    }
+    accounts.issueCode(account, Date.now(), function(err, code) {
+      if (err) {
+        return renderAuthorize(res, 500, fields, 'failed');
+      }
+      var redirectURI = fields.redirect_uri;
+      res.redirect(redirectURI + (redirectURI.indexOf('?') == -1 ? '?' : '&') +
+                   "authorization_code=" + code);
+    });
+  });
+});
 
-  res.render('authorize', {
-    accountLinkingToken: accountLinkingToken,
-    redirectURI: redirectURI,
-    redirectURISuccess: redirectURISuccess
+/*
+ * Calendar heatmap of a goal's check-ins (see lib/heatmap.js), sent to the
+ * user as an image. Messenger fetches it from here, so the URL is signed
+ * rather than guessable from the goal id alone.
+ *
+ */
+app.get('/calendar/:id.png', function(req, res) {
+  var id = req.params.id;
+  if (!/^[0-9a-f]{24}$/.test(id) || !session.sameSecret(req.query.sig, calendarSignature(id))) {
+    return res.sendStatus(403);
+  }
+  gmodels.Goal.findOne({"_id": ObjectId(id)}, function(err, goal) {
+    if (err) {
+      return res.sendStatus(500);
+    }
+    if (goal == null || trash.isDeleted(goal)) {
+      return res.sendStatus(404);
+    }
+    models.User.findOne({name: goal.user}, function(err, user) {
+      var offset = streaks.userOffset(user);
+      var png = heatmap.render(heatmap.levelsFor(goal, offset),
+                               streaks.dayKey(Date.now(), offset));
+      res.set('Cache-Control', 'private, max-age=300');
+      res.type('png').send(png);
+    });
   });
 });
 
+function calendarSignature(id) {
+  return crypto.createHmac('sha1', APP_SECRET)
+               .update('calendar:' + id)
+               .digest('hex');
+}
+
+// Messenger caches images by URL, so it changes with every check-in
+function calendarURL(goal) {
+  var id = String(goal._id);
+  return SERVER_URL + "/calendar/" + id + ".png?v=" + (goal.total || 0) +
+         "&sig=" + calendarSignature(id);
+}
+
+// Web dashboard, see lib/dashboard.js
+app.use('/dashboard', createDashboard({
+  User: models.User,
+  Goal: gmodels.Goal,
+  accounts: accounts,
+  goalService: goalService,
+  secret: APP_SECRET,
+  sessionDays: DASHBOARD_SESSION_DAYS,
+  secure: /^https:/.test(SERVER_URL),
+  calendarURL: calendarURL
+}));
+
+// REST API for goals and check-ins, see lib/api.js
+app.use('/api/v1', createApi({
+  accounts: accounts,
+  goalService: goalService,
+  secret: APP_SECRET,
+  tokenDays: API_TOKEN_DAYS
+}));
+
 /*
  * Verify that the callback came from Facebook. Using the App Secret from
  * the App Dashboard, we can verify the signature that is sent with each
@@ -242,17 +442,22 @@ function receivedMessage(event) {
       console.log("new user");
       var newUser = new models.User({
         name: senderID,
-        status: "null",
+        state: {name: null},
         numGoals: 0,
         finished: [],
-        lastPicTime: 0
+        seenMotivation: []
       });
       newUser.save(function(err, result) {
         console.log("New user created");
-        sendTextMessage(senderID, "Welcome, here is the home screen:")
+        updateTimezone(senderID);
+        sendTextMessage(senderID, "Welcome, here is the home screen:");
         sendHome(senderID);
       });
       return;
+    } else if (result.timezone == null || result.timezoneCheckedAt == null ||
+               Date.now() - result.timezoneCheckedAt.getTime() > TIMEZONE_MAX_AGE) {
+      // Users move and clocks change for daylight saving time
+      updateTimezone(senderID);
     }
   });
 
@@ -271,111 +476,7 @@ function receivedMessage(event) {
     var payload = quickReply.payload;
     console.log("Quick reply for message %s with payload %s",
       messageId, payload);
-    if (payload.substring(0,4) == "view") {
-      var id = payload.substring(5,payload.length);
-      gmodels.Goal.findOne({"_id": ObjectId(id)},
-        function(err, result) {
-          console.log(result);
-          sendGoal(senderID, result);
-        });
-    } else if (payload.substring(0,4) == "prog") {
-      var id = payload.substring(5,payload.length);
-      streakProcess(id, "prog", senderID);
-      models.User.update({name:senderID},
-      {$set:{status:'logging_goal'+id}},
-      function(err) {
-        sendTextMessage(senderID, "Add a log message to your goal!");
-      });
-    } else if (payload.substring(0,4) == "logs") {
-      var stop = payload.indexOf("!")
-      var index = parseInt(payload.substring(4,stop));
-      var id = payload.substring(stop+1,payload.length);
-      gmodels.Goal.findOne({"_id": ObjectId(id)},
-        function(err, result) {
-          console.log(result);
-          viewLogs(senderID, result, index);
-        });
-    } else if (payload.substring(0,4) == "no  ") {
-      sendTextMessage(senderID, "Deleting canceled, going to home...");
-      sendHome(senderID);
-    } else if (payload.substring(0,4) == "nf  ") {
-      sendTextMessage(senderID, "Finishing canceled, going to home...");
-      sendHome(senderID);
-    } else if (payload.substring(0,4) == "yes ") {
-      // Deleting goal
-      var id = payload.substring(5,payload.length);
-      gmodels.Goal.remove({"_id": ObjectId(id)},
-        function(err, result) {
-          if (!err) {
-            models.User.findOne({name: senderID},
-            function(err, result) {
-              models.User.update({name:senderID},
-              {$set:{numGoals:result.numGoals - 1}},
-              function(err) {
-                sendTextMessage(senderID, "Goal deleted! Going to home...");
-                sendHome(senderID);
-              });
-            });
-          }
-          else {
-            sendTextMessage(senderID, "There was an error deleting your goal, please try again, going to home...")
-            sendHome(senderID);
-          }
-        });
-
-    } else if (payload.substring(0,4) == "yef ") {
-      var id = payload.substring(5,payload.length);
-      // Finishing Goal
-      gmodels.Goal.findOne({"_id": ObjectId(id)},
-      function(err, goal) {
-        models.User.findOne({"name": senderID},
-        function(err, user) {
-          var d = new Date();
-          var oldFin = user.finished;
-          oldFin.unshift(String(goal.name + ' 🔥' + goal.total))
-          models.User.update({"name": senderID},
-            {$set:{finished:oldFin}},
-            function(err) {
-              // Deleting goal
-              gmodels.Goal.remove({"_id": ObjectId(id)},
-                function(err, result) {
-                  if (!err) {
-                    models.User.findOne({name: senderID},
-                    function(err, result) {
-                      models.User.update({name:senderID},
-                      {$set:{numGoals:result.numGoals - 1}},
-                      function(err) {
-                        sendTextMessage(senderID, "CONGRATS on finishing your goal: " +
-                                                  goal.name +
-                                                  "! You did an absolutely fantastic job. :) " +
-                                                  "Your goal has been moved to the finished section View Goals. Going to home...");
-                        sendHome(senderID);
-                      });
-                    });
-                  }
-                  else {
-                    sendTextMessage(senderID, "There was an error finishing your goal, please try again, going to home...")
-                    sendHome(senderID);
-                  }
-                });
-            });
-        });
-      });
-
-    } else if (payload == "Payload finished") {
-      models.User.findOne({name:senderID}, function(err, result) {
-        var message = "Here are your finished goals:\u000A";
-        var rev = result.finished
-        for (var i = 0; i < rev.length; i++) {
-          console.log("added")
-          message += String(i+1) + ". " + rev[i];
-          message +=  "\u000A";
-        }
-        sendHomeMessage(senderID, message);
-      })
-    } else if (payload == "home") {
-      sendHome(senderID);
-    }
+    router.dispatch(senderID, payload);
     return;
   }
 
@@ -383,20 +484,11 @@ function receivedMessage(event) {
   if (messageText) {
       messageText = messageText.toLowerCase();
 
-      // Check status
+      // Check conversation state
       models.User.findOne({name: senderID},
         function(err, result) {
           if (result != null) {
-            // Statuses
-            if (result.status == 'naming_goal') {
-              nameGoal(senderID, messageText)
-            } else if (result.status.substring(0,12) == 'logging_goal') {
-              console.log(result.status.substring(12,result.status.length))
-              logGoal(senderID,
-                      result.status.substring(12,result.status.length),
-                      messageText);
-            }
-            if (result.status == 'null') {
+            if (!conversation.handleText(result, messageText)) {
               // Standard cases
               switch (messageText) {
                 case 'image':
@@ -422,165 +514,697 @@ function receivedMessage(event) {
     //   return;
     // } else if (messageText.includes("add")) {
     //   models.User.update({name:senderID},
-    //     {$set:{status:'logging_goal'}},
+    //     {$set:{state:'logging_goal'}},
     //     function(err) {
     //       sendTextMessage(senderID, "Add a log message for your goal!");
     //     });
     //   return;
     // }
+  } else if (messageAttachments) {
+    // Photos etc. can be added as a log on their own
+    models.User.findOne({name: senderID},
+      function(err, result) {
+        if (result != null &&
+            !conversation.handleAttachments(result, messageAttachments)) {
+          sendHome(senderID);
+        }
+      });
   } else {
     sendHome(senderID);
   }
 }
 
+// Conversation states, for when the bot is waiting for an answer
+var conversation = dialog.createDialog({
+  User: models.User,
+  states: {
+    naming_goal: {
+      onText: function(senderID, text) {
+        nameGoal(senderID, text);
+      }
+    },
+    choosing_frequency: {
+      data: ['goalId'],
+      onText: function(senderID, text, data) {
+        setFrequency(senderID, data.goalId, frequencies.parse(text));
+      }
+    },
+    setting_unit: {
+      data: ['goalId'],
+      onText: function(senderID, text, data) {
+        setUnit(senderID, data.goalId, measure.parseTarget(text));
+      }
+    },
+    logging_goal: {
+      data: ['goalId'],
+      expiresIn: 2 * 60 * 60 * 1000,
+      onText: function(senderID, text, data) {
+        logGoal(senderID, data.goalId, text, []);
+      },
+      // Photos etc. can be added as a log on their own. The 👍 button
+      // sends a sticker, which goes home like it does everywhere else
+      onAttachments: function(senderID, attachments, data) {
+        if (isLike(attachments)) {
+          return conversation.leave(senderID, function() {
+            sendHome(senderID);
+          });
+        }
+        logGoal(senderID, data.goalId, '', attachments);
+      }
+    }
+  },
+  onCancel: function(senderID) {
+    sendTextMessage(senderID, "Canceled, going to home...");
+    sendHome(senderID);
+  },
+  onExpire: function(senderID) {
+    sendTextMessage(senderID, "Sorry, I stopped waiting for that since it's been a while. Going to home...");
+    sendHome(senderID);
+  }
+});
+
+// Sticker ids of the small, medium and large 👍 Messenger sends
+var LIKE_STICKERS = [369239263222822, 369239343222814, 369239383222810];
+
+function isLike(attachments) {
+  return attachments.length == 1 && attachments[0].payload != null &&
+         LIKE_STICKERS.indexOf(Number(attachments[0].payload.sticker_id)) != -1;
+}
+
+// Quick reply and postback handlers
+/*
+ * Where motivation comes from, in the order tried: the configured subreddits,
+ * pictures in public/assets/motivation and the quotes in lib/quotes.json,
+ * which are always there to fall back on. Subreddits are only read from a
+ * cache kept fresh in the background, so adding progress never waits on Reddit.
+ *
+ */
+var cachedSources = motivationCache.createMotivationCache({
+  sources: MOTIVATION_SUBREDDITS.map(function(subreddit) {
+    return motivationSources.createRedditSource(subreddit.trim());
+  }).concat([
+    motivationSources.createFolderSource({
+      folder: path.join(__dirname, 'public', 'assets', 'motivation'),
+      baseUrl: SERVER_URL + "/assets/motivation"
+    }),
+    motivationSources.createQuoteSource()
+  ]),
+  // Looked up on each check so tests can swap it out
+  checkImage: function(url, callback) {
+    app.get('checkImage')(url, callback);
+  }
+});
+app.set('checkImage', motivationCache.checkImage);
+app.set('motivationCache', cachedSources);
+var motivation = motivations.createMotivation({sources: cachedSources.sources});
+
+var router = createRouter({
+  onInvalid: function(senderID, payload, reason) {
+    console.error("Invalid payload '%s' from user %d: %s", payload, senderID, reason);
+    sendTextMessage(senderID, "Sorry, that button doesn't work anymore. Going to home...");
+    sendHome(senderID);
+  }
+});
+router.route('home', {}, function(senderID) {
+  conversation.leave(senderID, function() {
+    sendHome(senderID);
+  });
+});
+router.route('start', {}, function(senderID) {
+  // Home goes out once the welcome has, so it always comes second
+  sendTextMessage(senderID, "Welcome to Goalt, your own goal tracker. Click on New Goal to start. Continue to add progress to achieve your goals!",
+    function() {
+      sendHome(senderID);
+    });
+});
+router.route('newGoal', {}, function(senderID) {
+  makeGoal(senderID);
+});
+router.route('viewGoals', {index: 'int?'}, function(senderID, args) {
+  getList(senderID, "view", args.index);
+});
+router.route('addProgress', {index: 'int?'}, function(senderID, args) {
+  getList(senderID, "prog", args.index);
+});
+router.route('viewGoal', {id: 'objectId'}, function(senderID, args) {
+  findGoal(senderID, args.id, function(goal) {
+    sendGoal(senderID, goal);
+  });
+});
+router.route('progress', {id: 'objectId'}, function(senderID, args) {
+  findGoal(senderID, args.id, function(goal) {
+    startProgress(senderID, goal);
+  });
+});
+router.route('logs', {id: 'objectId', index: 'int?'}, function(senderID, args) {
+  findGoal(senderID, args.id, function(goal) {
+    viewLogs(senderID, goal, args.index || 0);
+  }, 'any');
+});
+router.route('confirmDelete', {id: 'objectId'}, function(senderID, args) {
+  findGoal(senderID, args.id, function(goal) {
+    sendConfirm(senderID, goal);
+  });
+});
+router.route('delete', {id: 'objectId'}, function(senderID, args) {
+  deleteGoal(senderID, args.id);
+});
+router.route('cancelDelete', {id: 'objectId?'}, function(senderID) {
+  sendTextMessage(senderID, "Deleting canceled, going to home...");
+  sendHome(senderID);
+});
+router.route('confirmFinish', {id: 'objectId'}, function(senderID, args) {
+  findGoal(senderID, args.id, function(goal) {
+    sendConfirmFinish(senderID, goal);
+  });
+});
+router.route('finish', {id: 'objectId'}, function(senderID, args) {
+  finishGoal(senderID, args.id);
+});
+router.route('cancelFinish', {id: 'objectId?'}, function(senderID) {
+  sendTextMessage(senderID, "Finishing canceled, going to home...");
+  sendHome(senderID);
+});
+router.route('finished', {index: 'int?'}, function(senderID, args) {
+  sendFinished(senderID, args.index || 0);
+});
+router.route('finishedGoal', {id: 'objectId'}, function(senderID, args) {
+  findGoal(senderID, args.id, function(goal) {
+    sendFinishedGoal(senderID, goal);
+  }, archive.FINISHED);
+});
+router.route('reopen', {id: 'objectId'}, function(senderID, args) {
+  activateGoal(senderID, goalService.reopen(senderID, args.id),
+               " is active again. Keep it going! Going to home...");
+});
+router.route('stats', {id: 'objectId'}, function(senderID, args) {
+  sendStats(senderID, args.id);
+});
+router.route('calendar', {id: 'objectId'}, function(senderID, args) {
+  findGoal(senderID, args.id, function(goal) {
+    sendImageMessage(senderID, calendarURL(goal), [{
+      "content_type":"text",
+      "title":"Back to Goal",
+      "payload":archive.isFinished(goal) ?
+        payloads.encode('finishedGoal', {id: String(goal._id)}) :
+        payloads.encode('viewGoal', {id: String(goal._id)})
+    }]);
+  }, 'any');
+});
+router.route('dashboard', {}, function(senderID) {
+  sendDashboardLink(senderID);
+});
+router.route('account', {}, function(senderID) {
+  sendAccountStatus(senderID);
+});
+router.route('trash', {index: 'int?'}, function(senderID, args) {
+  sendTrash(senderID, args.index || 0);
+});
+router.route('restore', {id: 'objectId'}, function(senderID, args) {
+  activateGoal(senderID, goalService.restore(senderID, args.id),
+               " is back in your goals. Going to home...");
+});
+router.route('reminders', {}, function(senderID) {
+  sendReminderChoices(senderID);
+});
+router.route('setReminder', {hour: 'int?'}, function(senderID, args) {
+  setReminder(senderID, args.hour == null ? null : args.hour);
+});
+router.route('motivation', {}, function(senderID) {
+  sendMotivationChoices(senderID);
+});
+router.route('motivationSource', {source: 'string'}, function(senderID, args) {
+  sendSourceChoices(senderID, args.source);
+});
+router.route('preferSource', {source: 'string'}, function(senderID, args) {
+  setSourcePreference(senderID, args.source, 'prefer');
+});
+router.route('muteSource', {source: 'string'}, function(senderID, args) {
+  setSourcePreference(senderID, args.source, 'mute');
+});
+router.route('unmuteSource', {source: 'string'}, function(senderID, args) {
+  setSourcePreference(senderID, args.source, 'unmute');
+});
+router.route('category', {id: 'objectId'}, function(senderID, args) {
+  findGoal(senderID, args.id, function(goal) {
+    sendCategoryChoices(senderID, goal);
+  });
+});
+router.route('setCategory', {id: 'objectId', category: 'string'}, function(senderID, args) {
+  setCategory(senderID, args.id, args.category);
+});
+router.route('frequency', {id: 'objectId', spec: 'string'}, function(senderID, args) {
+  setFrequency(senderID, args.id, frequencies.parse(args.spec));
+});
+router.route('skipUnit', {id: 'objectId'}, function(senderID, args) {
+  // No unit for the new goal
+  finishGoalSetup(senderID, args.id);
+});
+
+/*
+ * Find a goal the user tapped on, telling them if it no longer exists or
+ * isn't in the status the button was for: archive.ACTIVE (the default),
+ * archive.FINISHED, archive.DELETED or 'any' (active or finished).
+ *
+ */
+function findGoal(senderID, id, callback, status) {
+  goalService.find(senderID, id, status).then(callback, function(err) {
+    sendGoalError(senderID, err, "finding that goal");
+  });
+}
+
+var STATUS_ERRORS = {
+  finished: "That goal is finished.",
+  active: "That goal isn't finished.",
+  restored: "That goal was already restored."
+};
+
+/*
+ * Tells the user why the goal service turned a request down (see
+ * lib/goalService.js) and goes home. Any other error is the database's,
+ * doing says what failed, e.g. "deleting your goal".
+ *
+ */
+function sendGoalError(senderID, err, doing) {
+  if (err instanceof GoalLimitError) {
+    sendMaxGoals(senderID);
+    return;
+  }
+  if (err instanceof GoalNotFoundError) {
+    sendTextMessage(senderID, "That goal doesn't exist anymore. Going to home...");
+  } else if (err instanceof GoalStatusError) {
+    sendTextMessage(senderID, STATUS_ERRORS[err.reason] + " Going to home...");
+  } else {
+    console.error("Failed %s for user %s", doing, senderID, err);
+    sendTextMessage(senderID, "There was an error " + doing + ", please try again, going to home...");
+  }
+  sendHome(senderID);
+}
+
 // Bot Logic Functions
 
 // New Goal Functions:
 function makeGoal(senderID) {
-  models.User.findOne({name: senderID},
-  function(err, result) {
-    if (result.numGoals == 5) {
-      sendTextMessage(senderID, 'You have reached the maximum number of goals. Finish one or delete one to add more! Going to home...');
-      sendHome(senderID);
-    } else {
-      models.User.update({name:senderID},
-      {$set:{status:'naming_goal'}},
+  goalService.checkRoom(senderID).then(function() {
+    conversation.enter(senderID, 'naming_goal', {},
+    function(err) {
+      sendTextMessage(senderID, "What is the name of your goal?");
+    });
+  }, function(err) {
+    sendGoalError(senderID, err, "starting a goal");
+  });
+}
+
+function sendMaxGoals(senderID) {
+  sendTextMessage(senderID, 'You have reached the maximum number of goals. Finish one or delete one to add more! Going to home...');
+  sendHome(senderID);
+}
+
+// The goal service checks the name and takes a goal slot, see
+// lib/goalService.js
+function nameGoal(senderID, messageText) {
+  goalService.create(senderID, {name: messageText}).then(function(goal) {
+    console.log("new goal created");
+    conversation.enter(senderID, 'choosing_frequency', {goalId: String(goal._id)},
       function(err) {
-        sendTextMessage(senderID, "What is the name of your goal?");
+        sendFrequencyChoices(senderID, goal);
+    });
+  }, function(err) {
+    if (err instanceof GoalValidationError) {
+      sendTextMessage(senderID, "That goal name is too long. Try another name.");
+    } else if (err instanceof DuplicateGoalError) {
+      sendTextMessage(senderID, "Goal with that name has already been created. Try another name.");
+    } else if (err instanceof GoalLimitError) {
+      conversation.leave(senderID, function() {
+        sendMaxGoals(senderID);
       });
+    } else {
+      console.error("Failed creating a goal for user %s", senderID, err);
+      sendTextMessage(senderID, "There was an error creating your goal, please try again.");
     }
   });
 }
 
-function nameGoal(senderID, messageText) {
-  messageText = messageText.charAt(0).toUpperCase() + messageText.slice(1);
-  if (messageText.length > 100) {
-    sendTextMessage(senderID, "That goal name is too long. Try another name.")
-    return;
-  }
-  gmodels.Goal.findOne({user:senderID, name:messageText}, function(err, result) {
-    var d = new Date();
-    // Find if there already exists a goal
-    if (result != null) {
-      sendTextMessage(senderID, "Goal with that name has already been created. Try another name.")
+// Asking how often the new goal should be worked on
+function sendFrequencyChoices(senderID, goal) {
+  var choices = [
+    ["Every day", "daily"],
+    ["Weekdays", "weekdays"],
+    ["3x a week", "3/week"],
+    ["Once a week", "1/week"]
+  ];
+  var messageData = {
+    recipient: {
+      id: senderID
+    },
+    message: {
+      text: "How often do you want to work on " + goal.name + "? " +
+            "Tap one below or type it, like \"2 times a week\" or \"mon wed fri\".",
+      quick_replies: choices.map(function(choice) {
+        return {
+          "content_type":"text",
+          "title":choice[0],
+          "payload":payloads.encode('frequency', {id: String(goal._id), spec: choice[1]})
+        };
+      })
+    }
+  };
+  callSendAPI(messageData);
+}
+
+function setFrequency(senderID, id, frequency) {
+  goalService.setFrequency(senderID, id, frequency).then(function(goal) {
+    conversation.enter(senderID, 'setting_unit', {goalId: id},
+      function(err) {
+        var per = frequency.kind == 'weekly' ? "week" : "day";
+        var messageData = {
+          recipient: {
+            id: senderID
+          },
+          message: {
+            text: "Do you want to track an amount for " + goal.name + "? " +
+                  "Type your target for each " + per + " with a unit, like \"20 pages\" or \"5 km\".",
+            quick_replies: [
+              {
+                "content_type":"text",
+                "title":"No thanks",
+                "payload":payloads.encode('skipUnit', {id: id})
+              }
+            ]
+          }
+        };
+        callSendAPI(messageData);
+    });
+  }, function(err) {
+    if (err instanceof GoalValidationError) {
+      sendTextMessage(senderID, "Sorry, I didn't get that. Try \"every day\", \"weekdays\", \"3 times a week\" or \"mon wed fri\".");
       return;
-    } else {
-      // Create Goal
-      var newGoal = new gmodels.Goal({
-        user: senderID,
-        name: messageText,
-        streak: 0,
-        log: [],
-        lastUpdate: d.getTime() / 1000,
-        lastDay: d.getDay(),
-        total: 0
-      });
-      newGoal.save(function() {
-        console.log("new goal created");
-        models.User.update({name:senderID},
-          {$set:{status:'null'}},
-          function(err) {
-            sendTextMessage(senderID, "Goal " + messageText + " Added. Be sure to add progress to it every day to build up your goal streak! Going to home...");
-            sendHome(senderID);
-        });
-      });
     }
+    conversation.leave(senderID, function() {
+      sendGoalError(senderID, err, "setting up your goal");
+    });
   });
-  // Update Goal Count
-  models.User.findOne({name: senderID},
-  function(err, result) {
-    models.User.update({name:senderID},
-    {$set:{numGoals:result.numGoals + 1}},
-    function(err) {
-      sendTextMessage(senderID, "What is the name of your goal?");
+}
+
+function setUnit(senderID, id, measured) {
+  goalService.setTarget(senderID, id, measured).then(function() {
+    finishGoalSetup(senderID, id);
+  }, function(err) {
+    if (err instanceof GoalValidationError) {
+      sendTextMessage(senderID, "Sorry, I didn't get that. Type a number and a unit, like \"20 pages\".");
+      return;
+    }
+    conversation.leave(senderID, function() {
+      sendGoalError(senderID, err, "setting up your goal");
+    });
+  });
+}
+
+function finishGoalSetup(senderID, id) {
+  goalService.find(senderID, id).then(function(goal) {
+    conversation.leave(senderID,
+      function(err) {
+        var message = "Goal " + goal.name + " Added. Be sure to add progress to it " +
+                      frequencies.describe(goal.frequency);
+        if (measure.isMeasured(goal)) {
+          message += ", aiming for " + goal.target + " " + goal.unit;
+        }
+        sendTextMessage(senderID, message + " to build up your goal streak! Going to home...");
+        sendHome(senderID);
+    });
+  }, function(err) {
+    conversation.leave(senderID, function() {
+      sendGoalError(senderID, err, "setting up your goal");
     });
   });
 }
 
 // View Goal / Add Prog Functions:
-function getList(senderID, type) {
-  // Create new user or identify user
-  gmodels.Goal.find({user:{$in:[senderID]}}, function(err, result) {
-    if (result == null || result.length == 0) {
-      sendTextMessage(senderID, "No goals yet, start one from home!");
-      sendHome(senderID);
-      console.log("empty");
-    } else {
-      // Update streaks
-      for (var i = 0; i < result.length; i++) {
-        console.log("processing streak")
-        streakProcess(result[i]._id, "view", senderID)
+function getList(senderID, type, index) {
+  models.User.findOne({name: senderID}, function(err, user) {
+    Promise.all([
+      goalService.list(senderID, archive.ACTIVE),
+      goalService.list(senderID, archive.FINISHED)
+    ]).then(function(results) {
+      var goals = results[0];
+      // Finished goals from before they were kept are only in user.finished
+      var hasFinished = results[1].length > 0 || (user && user.finished || []).length > 0;
+      if (goals.length == 0) {
+        if (type == "view" && hasFinished) {
+          sendFinished(senderID, 0);
+          return;
+        }
+        sendTextMessage(senderID, "No goals yet, start one from home!");
+        sendHome(senderID);
+        console.log("empty");
+        return;
       }
-      // send list again
-      setTimeout(function(){
-        gmodels.Goal.find({user:{$in:[senderID]}}, function(err, result) {
-          if (result == null || result.length == 0) {
-            sendTextMessage(senderID, "No goals yet, start one from home!");
-            sendHome(senderID);
-            console.log("empty");
-          } else {
-            sendList(senderID, result, type);
-          }
-        });
-      }, 1500);
-
-    }
+      sendList(senderID, user, goals, type, index || 0, hasFinished);
+    }, function(err) {
+      sendGoalError(senderID, err, "listing your goals");
+    });
   });
 }
 
-// Sending the first list
-function sendList(senderID, result, type) {
-  // console.log('results');
-  // console.log(result);
+// Goals per page of the carousel (the most Messenger shows) and of the text
+// list (kept under the 640 character limit with shortened names)
+var CAROUSEL_PAGE = 10;
+var TEXT_PAGE = 8;
+
+// Sending the first list: a carousel for View Goals, text for Add Progress
+function sendList(senderID, user, goals, type, index, hasFinished) {
+  if (type == "view") {
+    sendCarousel(senderID, user, goals, index, hasFinished);
+  } else {
+    sendTextList(senderID, user, goals, type, index, hasFinished);
+  }
+}
+
+function shorten(text, length) {
+  return text.length > length ? text.substring(0, length - 1) + "…" : text;
+}
+
+// Previous/Next quick replies for a page of a list of total items, handled
+// by handler with the index to start from
+function pageReplies(handler, index, pageSize, total) {
+  var quick = [];
+  if (index - pageSize >= 0) {
+    quick.push({
+      "content_type":"text",
+      "title":"Previous Goals",
+      "payload": payloads.encode(handler, {index: index - pageSize})
+    });
+  }
+  if (index + pageSize < total) {
+    quick.push({
+      "content_type":"text",
+      "title":"Next Goals",
+      "payload": payloads.encode(handler, {index: index + pageSize})
+    });
+  }
+  return quick;
+}
+
+// The list as text, also for clients that can't show the carousel
+function sendTextList(senderID, user, goals, type, index, hasFinished) {
+  var today = streaks.dayKey(Date.now(), streaks.userOffset(user));
   var message = "Here are your goals:\u000A";
+  if (goals.length > TEXT_PAGE) {
+    message = "Here are your goals (Page " + (Math.floor(index / TEXT_PAGE) + 1) + "):\u000A";
+  }
   var quick = [];
-  for (var i = 0; i < result.length; i++) {
-    message += String(i+1) + ". " + result[i].name;
-    // if (result[i].streak >= 3) {
-    //   message += "  🔥" + String(result[i].streak);
+  for (var i = index; i < Math.min(goals.length, index + TEXT_PAGE); i++) {
+    message += String(i+1) + ". " + shorten(goals[i].name, 30);
+    // if (goals[i].streak >= 3) {
+    //   message += "  🔥" + String(goals[i].streak);
     // }
-    message += "  🔥" + String(result[i].streak);
+    message += "  " + frequencies.streakLabel(goals[i].streak, goals[i].frequency);
+    if (measure.isMeasured(goals[i])) {
+      message += "  " + measure.progressLabel(goals[i], today);
+    }
     message +=  "\u000A";
     quick.push({
       "content_type":"text",
-      "title":result[i].name,
-      "payload": type + " " + result[i]._id
+      "title":shorten(goals[i].name, 20),
+      "payload": payloads.encode(type == "view" ? 'viewGoal' : 'progress',
+                               {id: String(goals[i]._id)})
     });
   }
-    // Check if finished goal and add
-  models.User.findOne({name:senderID}, function(err, result) {
-    if (type == "view") {
-      message += "Tap on a goal below to view more details.";
-      if (result.finished.length != 0) {
-        quick.push({
-          "content_type":"text",
-          "title":"Finished Goals",
-          "payload": "Payload finished"
-        });
-      }
-    } else if (type =="prog") {
-      message += "Tap on a goal below to add progress to it!"
+  quick = quick.concat(pageReplies(type == "view" ? 'viewGoals' : 'addProgress',
+                                   index, TEXT_PAGE, goals.length));
+  if (type == "view") {
+    message += "Tap on a goal below to view more details.";
+    if (hasFinished) {
+      quick.push({
+        "content_type":"text",
+        "title":"Finished Goals",
+        "payload": payloads.encode('finished')
+      });
     }
-    var messageData = {
-      recipient: {
-        id: senderID
-      },
-      message: {
-        text: message,
-        quick_replies: quick
+  } else if (type =="prog") {
+    message += "Tap on a goal below to add progress to it!";
+  }
+  var messageData = {
+    recipient: {
+      id: senderID
+    },
+    message: {
+      text: message,
+      quick_replies: quick
+    }
+  };
+  callSendAPI(messageData);
+}
+
+/*
+ * One card per goal, with a picture for its category. If the Send API turns
+ * the template down, the goals are sent as text instead.
+ *
+ */
+function sendCarousel(senderID, user, goals, index, hasFinished) {
+  var today = streaks.dayKey(Date.now(), streaks.userOffset(user));
+  var elements = [];
+  eachSeries(goals.slice(index, index + CAROUSEL_PAGE), function(goal, done) {
+    var options = {category: categories.of(goal), imageOnly: true, suitedOnly: true};
+    motivation.pick(user, options, function(err, item) {
+      elements.push(goalElement(goal, today, item ? item.image : null));
+      done();
+    });
+  }, function() {
+    var quick = pageReplies('viewGoals', index, CAROUSEL_PAGE, goals.length);
+    if (hasFinished) {
+      quick.push({
+        "content_type":"text",
+        "title":"Finished Goals",
+        "payload": payloads.encode('finished')
+      });
+    }
+    quick.push({
+      "content_type":"text",
+      "title":"Home",
+      "payload": payloads.encode('home')
+    });
+    var messageData = {
+      recipient: {
+        id: senderID
+      },
+      message: {
+        attachment: {
+          type: "template",
+          payload: {
+            template_type: "generic",
+            elements: elements
+          }
+        },
+        quick_replies: quick
       }
     };
-    callSendAPI(messageData);
+    callSendAPI(messageData, function(err) {
+      if (err) {
+        // Start the text list from the same goal
+        sendTextList(senderID, user, goals, "view",
+                     index - index % TEXT_PAGE, hasFinished);
+      }
+    });
   });
 }
 
 // Sending the individual goal to view
+// The goal's card shows a picture for its category when there is one
 function sendGoal(senderID, goal) {
+  models.User.findOne({name: senderID},
+  function(err, user) {
+    var options = {category: categories.of(goal), imageOnly: true, suitedOnly: true};
+    motivation.pick(user, options, function(err, item) {
+      sendGoalCard(senderID, goal,
+                   streaks.dayKey(Date.now(), streaks.userOffset(user)),
+                   item ? item.image : null);
+    });
+  });
+}
+
+// "9/18/2017", the last day progress was added
+function lastUpdateLabel(goal) {
+  var days = goal.days || [];
+  if (days.length == 0) {
+    return "No progress yet";
+  }
+  return "Last update " + logs.formatDay(days[days.length - 1]);
+}
+
+// A goal's card, for the goal view and the View Goals carousel
+function goalElement(goal, today, image) {
   var message = goal.name;
+  var subtitle = "Add progress " + frequencies.describe(goal.frequency) + "\u000A" +
+                 (goal.total || 0) + " check-ins · " + lastUpdateLabel(goal);
+  if (measure.isMeasured(goal)) {
+    subtitle = measure.progressLabel(goal, today) + "\u000A" +
+               measure.totalLabel(goal) + " · " + lastUpdateLabel(goal);
+  }
   // if (goal.streak >= 3) {
   //   message += "  🔥" + String(goal.streak);
   // }
-  message += "  🔥" + String(goal.streak);
+  message += "  " + frequencies.streakLabel(goal.streak, goal.frequency);
+  subtitle = categories.label(categories.of(goal)) + " · " + subtitle;
+  var element = {
+    title: message,
+    subtitle: subtitle,
+    buttons: [
+      {
+        type: "postback",
+        title: "View Logs",
+        payload: payloads.encode('logs', {id: String(goal._id)}),
+      }, {
+        type: "postback",
+        title: "Finish Goal",
+        payload: payloads.encode('confirmFinish', {id: String(goal._id)}),
+      }, {
+        type: "postback",
+        title: "Delete Goal",
+        payload: payloads.encode('confirmDelete', {id: String(goal._id)}),
+      }
+    ]
+  };
+  if (image) {
+    element.image_url = image;
+  }
+  return element;
+}
+
+// Stats worked out from the goal's check-ins, see lib/stats.js
+function sendStats(senderID, id) {
+  goalService.stats(senderID, id).then(function(result) {
+    var goal = result.goal;
+    var lines = stats.describe(result.stats, goal.frequency);
+    var back = archive.isFinished(goal) ?
+      payloads.encode('finishedGoal', {id: String(goal._id)}) :
+      payloads.encode('viewGoal', {id: String(goal._id)});
+    var messageData = {
+      recipient: {
+        id: senderID
+      },
+      message: {
+        text: "Stats for " + goal.name + ":\u000A" + lines.join("\u000A"),
+        quick_replies: [
+          {
+            "content_type":"text",
+            "title":"Back to Goal",
+            "payload":back
+          }, {
+            "content_type":"text",
+            "title":"Home",
+            "payload":payloads.encode('home')
+          }
+        ]
+      }
+    };
+    callSendAPI(messageData);
+  }, function(err) {
+    sendGoalError(senderID, err, "working out stats");
+  });
+}
+
+function sendGoalCard(senderID, goal, today, image) {
   var messageData = {
     recipient: {
       id: senderID
@@ -590,290 +1214,608 @@ function sendGoal(senderID, goal) {
         type: "template",
         payload: {
           template_type: "generic",
-          elements: [
-            {
-              title: message,
-              buttons: [
-                {
-                  type: "postback",
-                  title: "View Logs",
-                  payload: "logs " + goal._id,
-                }, {
-                  type: "postback",
-                  title: "Finish Goal",
-                  payload: "finish " + goal._id,
-                }, {
-                  type: "postback",
-                  title: "Delete Goal",
-                  payload: "dele " + goal._id,
-                }
-              ]
-            }
-          ]
+          elements: [goalElement(goal, today, image)]
         }
-      }
+      },
+      quick_replies: [
+        {
+          "content_type":"text",
+          "title":"Stats",
+          "payload":payloads.encode('stats', {id: String(goal._id)})
+        }, {
+          "content_type":"text",
+          "title":"Calendar",
+          "payload":payloads.encode('calendar', {id: String(goal._id)})
+        }, {
+          "content_type":"text",
+          "title":"Change Category",
+          "payload":payloads.encode('category', {id: String(goal._id)})
+        }, {
+          "content_type":"text",
+          "title":"Home",
+          "payload":payloads.encode('home')
+        }
+      ]
     }
   };
   callSendAPI(messageData);
 }
-// Streak processing
-function streakProcess(id, type, senderID) {
-  var d = new Date();
-  if (type == "prog") {
-    var inc = 1;
-  } else {
-    var inc = 0;
-  }
-  gmodels.Goal.findOne({"_id": ObjectId(id)},
-    function(err, result) {
-      var res = streak(senderID, result, id);
-      if (res == "add") {
-        console.log("add")
-        console.log(inc)
-        var newStreak = result.streak + inc;
-      } else if (res == "keep") {
-        console.log("keep")
-        var newStreak = Math.max(inc, result.streak);
+// Adding a goal log, text and/or attachments (photos etc.), to the goal
+// checked in on
+function logGoal(senderID, id, text, attachments) {
+  findGoal(senderID, id, function(goal) {
+    goalService.addLog(senderID, id, {text: text, attachments: attachments}).then(function(updated) {
+      conversation.leave(senderID,
+        function(err) {
+          sendMotivation(senderID, "Log Added! Great job today!", updated);
+      });
+    }, function(err) {
+      if (!(err instanceof GoalValidationError)) {
+        sendGoalError(senderID, err, "adding your log");
+      } else if (err.reason == 'text') {
+        sendTextMessage(senderID, "That goal log is too long. Try another log.");
       } else {
-        var newStreak = inc;
+        sendTextMessage(senderID, "How many " + goal.unit + "? Start your log with a number, like \"" +
+                                  goal.target + " " + goal.unit + "\" or \"" +
+                                  goal.target + " and a note\".");
       }
-      var total = result.total + inc
-      if (res=="reset") {
-        gmodels.Goal.update({"_id": ObjectId(id)},
-        {$set:{streak:newStreak}},
-        function(err) {
-          console.log("set", newStreak)
-          return;
-        });
+    });
+  });
+  return true;
+}
+
+// Send motivation after user adds progress to goal, following the intro
+// message
+function sendMotivation(senderID, intro, goal) {
+  models.User.findOne({name:senderID}, function(err, user) {
+    motivation.pick(user, {category: categories.of(goal)}, function(err, item, source) {
+      if (item == null) {
+        // Every source muted or failing
+        sendTextMessage(senderID, intro + " Going to home...");
+        sendHome(senderID);
+        return;
       }
-      if (type == "prog") {
-        gmodels.Goal.update({"_id": ObjectId(id)},
-        {$set:{streak:newStreak,
-               lastUpdate:d.getTime(),
-               lastDay:d.getDay(),
-               total:total}},
-        function(err) {
-          return;
-        });
+      sendTextMessage(senderID, intro + " Here's your daily dose of motivation from " +
+                                source.label + ":");
+      var seen = motivations.seenKey(source, item);
+      models.User.update({name:senderID},
+      {$push:{seenMotivation:{$each:[seen], $position:0, $slice:motivations.SEEN_LIMIT}}},
+      function(err) {
+        if (item.image) {
+          if (item.text) {
+            sendTextMessage(senderID, item.text);
+          }
+          sendImageMessage(senderID, item.image);
+        } else {
+          sendHomeMessage(senderID, item.text);
+        }
+      });
+    });
+  });
+}
+
+// View goal logs
+function viewLogs(senderID, goal, index) {
+  var message = "Here are your logs for " + goal.name +
+                " (Page " + (index/5 + 1) + ")\u000A";
+  // console.log(goal.log, "1")
+  // var logs = goal.log.reverse()
+  // console.log(goal.log, "2")
+  // console.log(logs, "3")
+  for (var i = index; i < Math.min(goal.log.length, index + 5); i++) {
+      message += logs.formatEntry(goal.log[i], goal.unit);
+      message +=  "\u000A";
+  }
+  var quickReply = [
+          {
+            "content_type":"text",
+            "title":"Home",
+            "payload":payloads.encode('home')
+          }];
+
+  if (index + 5 < goal.log.length) {
+      quickReply.unshift(
+          {
+            "content_type":"text",
+            "title":"View Next Logs",
+            "payload":payloads.encode('logs', {id: String(goal._id), index: index + 5})
+          });
+  }
+  if (index - 5 >= 0) {
+      quickReply.unshift(
+          {
+            "content_type":"text",
+            "title":"View Previous Logs",
+            "payload":payloads.encode('logs', {id: String(goal._id), index: index - 5})
+          });
+  }
+
+  var messageData = {
+      recipient: {
+        id: senderID
+      },
+      message: {
+        text:message,
+        quick_replies: quickReply
+      }
+  };
+  callSendAPI(messageData);
+}
+
+// Recap of a goal's history for the finishing message
+function finishedDetails(goal) {
+  if (goal.log.length == 0) {
+    return "";
+  }
+  var first = goal.log[goal.log.length - 1];
+  return "You logged progress " + goal.log.length + " times since " +
+         logs.formatDay(first.day) + ". ";
+}
+
+function sendConfirm(senderID, goal) {
+  var id = String(goal._id);
+  var messageData = {
+    recipient: {
+      id: senderID
+    },
+    message: {
+      text: "Are you sure you want to delete " + goal.name + "? You can restore it from Recently Deleted for " +
+            TRASH_DAYS + " days.",
+      quick_replies: [
+        {
+          "content_type":"text",
+          "title":"Yes",
+          "payload":payloads.encode('delete', {id: id})
+        },
+        {
+          "content_type":"text",
+          "title":"No",
+          "payload":payloads.encode('cancelDelete', {id: id})
+        }
+      ]
+    }
+  };
+  callSendAPI(messageData);
+}
+
+function sendConfirmFinish(senderID, goal) {
+  var id = String(goal._id);
+  var messageData = {
+    recipient: {
+      id: senderID
+    },
+    message: {
+      text: "Are you sure you want to finish " +
+        goal.name +
+        "? Finishing a goal will stop you from adding to it, but it will be kept in your finished goals with its logs, where you can reopen it.",
+      quick_replies: [
+        {
+          "content_type":"text",
+          "title":"Yes",
+          "payload":payloads.encode('finish', {id: id})
+        },
+        {
+          "content_type":"text",
+          "title":"No",
+          "payload":payloads.encode('cancelFinish', {id: id})
+        }
+      ]
+    }
+  };
+  callSendAPI(messageData);
+}
+
+// Adding progress starts with the check-in, then asks for a log
+function startProgress(senderID, goal) {
+  var id = String(goal._id);
+  goalService.checkIn(senderID, id, null).then(function() {
+    conversation.enter(senderID, 'logging_goal', {goalId: id},
+    function(err) {
+      sendTextMessage(senderID, "Add a log message to your goal!");
+    });
+  }, function(err) {
+    sendGoalError(senderID, err, "adding progress");
+  });
+}
+
+// The goal is kept in Recently Deleted for TRASH_DAYS
+function deleteGoal(senderID, id) {
+  goalService.remove(senderID, id).then(function() {
+    var messageData = {
+      recipient: {
+        id: senderID
+      },
+      message: {
+        text: "Goal deleted! You can restore it from Recently Deleted in Settings for " +
+              TRASH_DAYS + " days.",
+        quick_replies: [
+          {
+            "content_type":"text",
+            "title":"Undo",
+            "payload":payloads.encode('restore', {id: id})
+          }, {
+            "content_type":"text",
+            "title":"Home",
+            "payload":payloads.encode('home')
+          }
+        ]
+      }
+    };
+    callSendAPI(messageData);
+  }, function(err) {
+    sendGoalError(senderID, err, "deleting your goal");
+  });
+}
+
+// The goal is kept, marked finished with its stats, and gives its slot back
+function finishGoal(senderID, id) {
+  goalService.finish(senderID, id).then(function(finished) {
+    sendTextMessage(senderID, "CONGRATS on finishing your goal: " +
+                              finished.name +
+                              "! You did an absolutely fantastic job. :) " +
+                              finishedDetails(finished) +
+                              "Your goal has been moved to Finished Goals in View Goals. Going to home...");
+    sendHome(senderID);
+  }, function(err) {
+    sendGoalError(senderID, err, "finishing your goal");
+  });
+}
+
+/*
+ * Finished goals, most recently finished first, followed by the ones from
+ * before finished goals were kept (only their summary is left in
+ * user.finished). Tapping a kept one shows its card.
+ *
+ */
+function sendFinished(senderID, index) {
+  models.User.findOne({name:senderID}, function(err, user) {
+    goalService.list(senderID, archive.FINISHED).then(function(goals) {
+      var items = goals.map(logs.summary).concat(user && user.finished || []);
+      var message = "Here are your finished goals:\u000A";
+      if (items.length > TEXT_PAGE) {
+        message = "Here are your finished goals (Page " +
+                  (Math.floor(index / TEXT_PAGE) + 1) + "):\u000A";
+      }
+      var quick = [];
+      for (var i = index; i < Math.min(items.length, index + TEXT_PAGE); i++) {
+        message += String(i+1) + ". " + shorten(items[i], 60);
+        message +=  "\u000A";
+        if (i < goals.length) {
+          quick.push({
+            "content_type":"text",
+            "title":shorten(goals[i].name, 20),
+            "payload":payloads.encode('finishedGoal', {id: String(goals[i]._id)})
+          });
+        }
+      }
+      if (goals.length > 0) {
+        message += "Tap on a goal below to see how it went.";
+      }
+      quick = quick.concat(pageReplies('finished', index, TEXT_PAGE, items.length));
+      quick.push({
+        "content_type":"text",
+        "title":"Home",
+        "payload":payloads.encode('home')
+      });
+      var messageData = {
+        recipient: {
+          id: senderID
+        },
+        message: {
+          text: message,
+          quick_replies: quick
+        }
+      };
+      callSendAPI(messageData);
+    }, function(err) {
+      sendGoalError(senderID, err, "listing your goals");
+    });
+  });
+}
+
+function sendFinishedGoal(senderID, goal) {
+  models.User.findOne({name:senderID}, function(err, user) {
+    var lines = archive.details(goal, streaks.userOffset(user));
+    var messageData = {
+      recipient: {
+        id: senderID
+      },
+      message: {
+        attachment: {
+          type: "template",
+          payload: {
+            template_type: "generic",
+            elements: [{
+              title: goal.name + "  🏁",
+              subtitle: lines[0] + "\u000A" + lines.slice(1).join(" · "),
+              buttons: [
+                {
+                  type: "postback",
+                  title: "View Logs",
+                  payload: payloads.encode('logs', {id: String(goal._id)}),
+                }, {
+                  type: "postback",
+                  title: "Reopen Goal",
+                  payload: payloads.encode('reopen', {id: String(goal._id)}),
+                }
+              ]
+            }]
+          }
+        },
+        quick_replies: [
+          {
+            "content_type":"text",
+            "title":"Stats",
+            "payload":payloads.encode('stats', {id: String(goal._id)})
+          }, {
+            "content_type":"text",
+            "title":"Calendar",
+            "payload":payloads.encode('calendar', {id: String(goal._id)})
+          }, {
+            "content_type":"text",
+            "title":"Finished Goals",
+            "payload":payloads.encode('finished')
+          }, {
+            "content_type":"text",
+            "title":"Home",
+            "payload":payloads.encode('home')
+          }
+        ]
       }
-    });
-}
-// Adding progress to the individual goal
-function streak(senderID, goal) {
-  var d = new Date();
-  // Streak updating
-  var time = d.getTime();
-  var day = d.getDay();
-  var diffDay = day - goal.lastDay;
-  var diffTime = (time - goal.lastUpdate)/1000;
-
-  // Different date, less than 48 hrs
-  if ((diffDay  == 1 ||  diffDay == -6) && diffTime < 86400 * 2) {
-    // Add to streak
-    return "add";
-  } else if (diffDay == 0) {
-    console.log(time, "time")
-    console.log(diffTime, "diffTime")
-    console.log(diffDay, "diffDay")
-    console.log(day, "day")
-    console.log(goal.lastDay, "goal last day")
-    return "keep";
-  }
-  // Set to streak to 0
-  console.log("reset")
-  return "reset";
+    };
+    callSendAPI(messageData);
+  });
 }
 
-// Adding a goal log
-function logGoal(senderID, id, text) {
-  if (text.length > 96) {
-    sendTextMessage(senderID, "That goal log is too long. Try another log.");
-    return;
-  }
-  var d = new Date();
-  gmodels.Goal.findOne({"_id": ObjectId(id)},
-  function(err, result) {
-    var oldLog = result.log;
-    oldLog.unshift(String(d.getMonth()) + '/' + d.getDate() + ' ' + text)
-    gmodels.Goal.update({"_id": ObjectId(id)},
-      {$set:{log:oldLog}},
-      function(err) {
-        models.User.update({name:senderID},
-          {$set:{status:'null'}},
-          function(err) {
-            sendTextMessage(senderID, "Log Added! Great job today! Here's your daily dose of motivation from /r/GetMotivated:");
-            sendMotivation(senderID);
-            // send motivation here
-            // sendHome(senderID);
-        });
-        return;
-      });
+// Tells the user how reopening or restoring a goal went. activating is the
+// goal service's promise, done follows the goal's name once it worked
+function activateGoal(senderID, activating, done) {
+  activating.then(function(goal) {
+    sendTextMessage(senderID, goal.name + done);
+    sendHome(senderID);
+  }, function(err) {
+    if (err instanceof DuplicateGoalError) {
+      sendTextMessage(senderID, "You already have a goal called " + err.goalName +
+                                ". Finish or delete it first. Going to home...");
+    } else if (err instanceof GoalNotFoundError) {
+      sendTextMessage(senderID, "That goal can't be brought back anymore. Going to home...");
+    } else {
+      sendGoalError(senderID, err, "bringing your goal back");
+      return;
+    }
+    sendHome(senderID);
   });
-  return true;
 }
 
-// Send motivation after user adds progress
-function sendMotivation(senderID) {
-  models.User.findOne({name:senderID}, function(err, result) {
-    var dataR;
-    var images = [];
-    var index = result.lastPicTime;
-    // Get reddit data
-    reddit.r('GetMotivated', function(err, data, res){
-      dataR = data.data.children; //outputs object representing first page of GM subreddit
-      for (var i = 0; i < dataR.length; i++) {
-        if (dataR[i].data.link_flair_css_class == 'image' &&
-            dataR[i].data.score >= 50) {
-          images.push(dataR[i].data);
-        }
-      }
-      // Check if length of 0
-      if (images.length == 0) {
-        console.log("none");
+// Deleted goals that can still be restored, most recently deleted first
+function sendTrash(senderID, index) {
+  models.User.findOne({name:senderID}, function(err, user) {
+    goalService.list(senderID, archive.DELETED).then(function(goals) {
+      if (goals.length == 0) {
+        sendTextMessage(senderID, "You haven't deleted any goals recently. Going to home...");
         sendHome(senderID);
         return;
       }
-      index = index % images.length;
-      // sort by created time
-      images.sort(function(a,b) {
-        return parseFloat(a.created_utc - b.created_utc);
-      });
-      // update last time
-      console.log(images[index].url);
-      // var preurl = images[index].url;
-      // preurl = preurl.replace(".gifv", ".gif")
-      // console.log(preurl)
-      while (images[index].url.includes("imgur") &&
-             (!images[index].url.includes("png") ||
-              !images[index].url.includes("jpg") ||
-              !images[index].url.includes("jpeg"))) {
-        index += 1;
-        index = index % images.length;
-      }
-      var name = images[index].title;
-      if (name.substring(0,7).toLowerCase() == "[image]") {
-        sendTextMessage(senderID, name.substring(7,name.length));
-      } else {
-        sendTextMessage(senderID, name);
+      var offset = streaks.userOffset(user);
+      var message = "Recently deleted goals, kept for " + TRASH_DAYS + " days:\u000A";
+      var quick = [];
+      for (var i = index; i < Math.min(goals.length, index + TEXT_PAGE); i++) {
+        var until = trash.expiresAt(goals[i], TRASH_DAYS).getTime();
+        message += String(i+1) + ". " + shorten(goals[i].name, 40) + " (until " +
+                   logs.formatDay(streaks.dayKey(until, offset)) + ")";
+        message +=  "\u000A";
+        quick.push({
+          "content_type":"text",
+          "title":shorten("Restore " + goals[i].name, 20),
+          "payload":payloads.encode('restore', {id: String(goals[i]._id)})
+        });
       }
-      models.User.update({name:senderID},
-      {$set:{lastPicTime:index + 1}},
-      function(err) {
-        try {
-          sendImageMessage(senderID, images[index].url);
-        }
-        catch(e) {
-          sendTextMessage(senderID, images[index].url)
-        }
+      message += "Tap on a goal below to restore it.";
+      quick = quick.concat(pageReplies('trash', index, TEXT_PAGE, goals.length));
+      quick.push({
+        "content_type":"text",
+        "title":"Home",
+        "payload":payloads.encode('home')
       });
+      var messageData = {
+        recipient: {
+          id: senderID
+        },
+        message: {
+          text: message,
+          quick_replies: quick
+        }
+      };
+      callSendAPI(messageData);
+    }, function(err) {
+      sendGoalError(senderID, err, "listing your goals");
     });
   });
 }
 
-// View goal logs
-function viewLogs(senderID, goal, index) {
-  var message = "Here are your logs for " + goal.name +
-                " (Page " + (index/5 + 1) + ")\u000A";
-  // console.log(goal.log, "1")
-  // var logs = goal.log.reverse()
-  // console.log(goal.log, "2")
-  // console.log(logs, "3")
-  for (var i = index; i < Math.min(goal.log.length, index + 5); i++) {
-      message += goal.log[i];
-      message +=  "\u000A";
-  }
-  var quickReply = [
-          {
-            "content_type":"text",
-            "title":"Home",
-            "payload":"home"
-          }];
+// Reminder Functions:
+function sendReminderChoices(senderID) {
+  var quick = reminders.HOURS.map(function(hour) {
+    return {
+      "content_type":"text",
+      "title":reminders.hourLabel(hour),
+      "payload":payloads.encode('setReminder', {hour: hour})
+    };
+  });
+  quick.push({
+    "content_type":"text",
+    "title":"Off",
+    "payload":payloads.encode('setReminder')
+  });
+  var messageData = {
+    recipient: {
+      id: senderID
+    },
+    message: {
+      text: "When should I remind you about goals you haven't added progress to that day?",
+      quick_replies: quick
+    }
+  };
+  callSendAPI(messageData);
+}
 
-  if (index + 5 < goal.log.length) {
-      quickReply.unshift(
-          {
-            "content_type":"text",
-            "title":"View Next Logs",
-            "payload":"logs" + String(index + 5) + "!" + goal._id
-          });
-  }
-  if (index - 5 >= 0) {
-      quickReply.unshift(
-          {
-            "content_type":"text",
-            "title":"View Previous Logs",
-            "payload":"logs" + String(index - 5) + "!" + goal._id
-          });
+function setReminder(senderID, hour) {
+  if (hour !== null && (isNaN(hour) || hour < 0 || hour > 23)) {
+    sendHome(senderID);
+    return;
   }
+  models.User.update({name:senderID},
+    {$set:{reminderHour:hour}, $unset:{nextReminder:1}},
+    function(err) {
+      if (hour === null) {
+        sendTextMessage(senderID, "Reminders turned off. Going to home...");
+      } else {
+        sendTextMessage(senderID, "I'll remind you every day at " +
+                                  reminders.hourLabel(hour) + ". Going to home...");
+      }
+      sendHome(senderID);
+    });
+}
 
+// Category Functions:
+function sendCategoryChoices(senderID, goal) {
+  var current = categories.of(goal);
   var messageData = {
-      recipient: {
-        id: senderID
-      },
-      message: {
-        text:message,
-        quick_replies: quickReply
-      }
+    recipient: {
+      id: senderID
+    },
+    message: {
+      text: "What is " + goal.name + " about? It's " +
+            categories.label(current) + " now.",
+      quick_replies: categories.CATEGORIES.map(function(category) {
+        return {
+          "content_type":"text",
+          "title":category.label,
+          "payload":payloads.encode('setCategory', {id: String(goal._id), category: category.id})
+        };
+      })
+    }
   };
   callSendAPI(messageData);
 }
 
-function sendConfirm(senderID, id) {
-  gmodels.Goal.findOne({"_id": ObjectId(id)},
-  function(err, result) {
+function setCategory(senderID, id, category) {
+  goalService.setCategory(senderID, id, category).then(function(goal) {
+    sendTextMessage(senderID, goal.name + " is now in " + categories.label(category) +
+                              ". Going to home...");
+    sendHome(senderID);
+  }, function(err) {
+    if (err instanceof GoalValidationError) {
+      sendTextMessage(senderID, "That category isn't available anymore. Going to home...");
+      sendHome(senderID);
+      return;
+    }
+    sendGoalError(senderID, err, "changing the category");
+  });
+}
+
+// Motivation Functions:
+function sendMotivationChoices(senderID) {
+  models.User.findOne({name:senderID}, function(err, user) {
+    var prefs = motivation.preferences(user);
+    var message = "Here's where your motivation comes from:\u000A";
+    motivation.order(user).concat(motivation.sources.filter(function(source) {
+      return prefs.muted.indexOf(source.id) != -1;
+    })).forEach(function(source, i) {
+      message += String(i+1) + ". " + source.label;
+      if (prefs.muted.indexOf(source.id) != -1) {
+        message += " (muted)";
+      } else if (source.id == prefs.preferred) {
+        message += " (first)";
+      }
+      message += "\u000A";
+    });
+    message += "Tap one to change it.";
+    var quick = motivation.sources.map(function(source) {
+      return {
+        "content_type":"text",
+        "title":source.label,
+        "payload":payloads.encode('motivationSource', {source: source.id})
+      };
+    });
+    quick.push({
+      "content_type":"text",
+      "title":"Home",
+      "payload":payloads.encode('home')
+    });
     var messageData = {
       recipient: {
         id: senderID
       },
       message: {
-        text: "Are you sure you want to delete " + result.name + "? This cannot be undone.",
-        quick_replies: [
-          {
-            "content_type":"text",
-            "title":"Yes",
-            "payload":"yes  " + id
-          },
-          {
-            "content_type":"text",
-            "title":"No",
-            "payload":"no   " + id
-          }
-        ]
+        text: message,
+        quick_replies: quick
       }
     };
     callSendAPI(messageData);
   });
-
 }
 
-function sendConfirmFinish(senderID, id) {
-  gmodels.Goal.findOne({"_id": ObjectId(id)},
-  function(err, result) {
+function sendSourceChoices(senderID, id) {
+  var source = motivation.find(id);
+  if (source == null) {
+    sendTextMessage(senderID, "That source isn't available anymore. Going to home...");
+    sendHome(senderID);
+    return;
+  }
+  models.User.findOne({name:senderID}, function(err, user) {
+    var muted = motivation.preferences(user).muted.indexOf(id) != -1;
     var messageData = {
       recipient: {
         id: senderID
       },
       message: {
-        text: "Are you sure you want to finish " +
-          result.name +
-          "? This cannot be undone. Finishing a goal will stop you from adding to it, but it will be saved in your finished section forever",
+        text: "What do you want to do with " + source.label + "?",
         quick_replies: [
           {
             "content_type":"text",
-            "title":"Yes",
-            "payload":"yef  " + id
-          },
-          {
+            "title":"Use it first",
+            "payload":payloads.encode('preferSource', {source: id})
+          }, {
             "content_type":"text",
-            "title":"No",
-            "payload":"nf   " + id
+            "title":muted ? "Unmute" : "Mute",
+            "payload":payloads.encode(muted ? 'unmuteSource' : 'muteSource', {source: id})
+          }, {
+            "content_type":"text",
+            "title":"Home",
+            "payload":payloads.encode('home')
           }
         ]
       }
     };
     callSendAPI(messageData);
   });
+}
 
+// action is 'prefer', 'mute' or 'unmute'. Preferring a muted source unmutes it
+function setSourcePreference(senderID, id, action) {
+  var source = motivation.find(id);
+  if (source == null) {
+    sendTextMessage(senderID, "That source isn't available anymore. Going to home...");
+    sendHome(senderID);
+    return;
+  }
+  var update;
+  var message;
+  if (action == 'prefer') {
+    update = {$set: {"motivation.preferred": id}, $pull: {"motivation.muted": id}};
+    message = "Motivation will come from " + source.label + " first.";
+  } else if (action == 'mute') {
+    update = {$addToSet: {"motivation.muted": id}};
+    message = source.label + " muted.";
+  } else {
+    update = {$pull: {"motivation.muted": id}};
+    message = source.label + " unmuted.";
+  }
+  models.User.update({name:senderID}, update, function(err) {
+    sendTextMessage(senderID, message + " Going to home...");
+    sendHome(senderID);
+  });
 }
 
 /*
@@ -921,43 +1863,7 @@ function receivedPostback(event) {
   console.log("Received postback for user %d and page %d with payload '%s' " +
     "at %d", senderID, recipientID, payload, timeOfPostback);
 
-  if (payload == "Payload new goal") {
-    makeGoal(senderID);
-  } else if (payload == "Payload view") {
-    getList(senderID, "view");
-  } else if (payload == "Payload progress") {
-    getList(senderID, "prog");
-  } else if (payload.substring(0,4) == "logs") {
-      var id = payload.substring(5,payload.length);
-      gmodels.Goal.findOne({"_id": ObjectId(id)},
-        function(err, result) {
-          console.log(result);
-          viewLogs(senderID, result, 0);
-        });
-  } else if (payload.substring(0,4) == "dele") {
-      var id = payload.substring(5,payload.length);
-      sendConfirm(senderID, id);
-  } else if (payload.substring(0,6) == "finish") {
-      var id = payload.substring(7,payload.length);
-      sendConfirmFinish(senderID, id);
-  } else if (payload == "Payload start") {
-    sendTextMessage(senderID, "Welcome to Goalt, your own goal tracker. Click on New Goal to start. Continue to add progress to achieve your goals!");
-    setTimeout(function(){ sendHome(senderID) }, 1500);
-  } else if (payload == "Payload finished") {
-    models.User.findOne({name:senderID}, function(err, result) {
-      var message = "Here are your finished goals:\u000A";
-      console.log(result.finished);
-      var rev = result.finished;
-      console.log(rev);
-      for (var i = 0; i < result.finished.length; i++) {
-        message += String(i+1) + ". " + rev[i];
-        message +=  "\u000A";
-        console.log('added one')
-      }
-      sendHomeMessage(senderID, message);
-    })
-  }
-
+  router.dispatch(senderID, payload);
 }
 
 /*
@@ -994,8 +1900,131 @@ function receivedAccountLink(event) {
   var status = event.account_linking.status;
   var authCode = event.account_linking.authorization_code;
 
-  console.log("Received account link event with for user %d with status %s " +
-    "and auth code %s ", senderID, status, authCode);
+  console.log("Received account link event with for user %d with status %s",
+    senderID, status);
+
+  if (status == 'unlinked') {
+    accounts.unlink(senderID, function(err) {
+      sendTextMessage(senderID, err ?
+                      "There was an error unlinking your account, please try again. Going to home..." :
+                      "Your account is unlinked. This chat only has the goals started from it now. Going to home...");
+      sendHome(senderID);
+    });
+    return;
+  }
+  accounts.redeemCode(authCode, Date.now(), function(err, account) {
+    if (err || account == null) {
+      sendTextMessage(senderID, "That sign-in didn't work or took too long, please link your account again. Going to home...");
+      sendHome(senderID);
+      return;
+    }
+    accounts.link(senderID, account, function(err) {
+      if (err) {
+        sendTextMessage(senderID, "There was an error linking your account, please try again. Going to home...");
+      } else {
+        sendTextMessage(senderID, "This chat is linked to " + account.username +
+                                  ". Your goals from every linked chat and the dashboard are together now. Going to home...");
+      }
+      sendHome(senderID);
+    });
+  });
+}
+
+// Store the user's timezone from their Messenger profile
+function updateTimezone(senderID) {
+  getUserProfile(senderID, function(err, profile) {
+    if (err || typeof profile.timezone != 'number') {
+      console.log("Could not get timezone for user %d", senderID);
+      return;
+    }
+    models.User.findOneAndUpdate({name:senderID},
+      {$set:{timezone:profile.timezone, timezoneCheckedAt:new Date()}},
+      function(err, user) {
+        if (err || user == null || user.timezone === profile.timezone) {
+          return;
+        }
+        console.log("Timezone for user %d set to %d", senderID, profile.timezone);
+        // The reminder job works out the next reminder again in the new timezone
+        models.User.update({name:senderID}, {$unset:{nextReminder:1}}, function(err) {
+          // And the streak warning job when their goals' streaks reset
+          gmodels.Goal.update({user:senderID}, {$unset:{warnAt:1}}, {multi:true},
+            function(err) {
+              if (err) {
+                console.error("Could not reschedule streak warnings for user %d", senderID, err);
+              }
+            });
+        });
+      });
+  });
+}
+
+// Link Account, or Unlink Account when the chat is linked
+function sendAccountStatus(senderID) {
+  accounts.accountOf(senderID, function(err, account) {
+    var text = account ?
+      "This chat is linked to " + account.username + ", so it shares goals with your other linked chats and you can sign in to the dashboard with it." :
+      "Link an account to keep your goals in more than one chat and sign in to the dashboard with a password.";
+    var button = account ?
+      {type: "account_unlink"} :
+      {type: "account_link", url: SERVER_URL + "/authorize"};
+    var messageData = {
+      recipient: {
+        id: senderID
+      },
+      message: {
+        attachment: {
+          type: "template",
+          payload: {
+            template_type: "button",
+            text: text,
+            buttons: [button]
+          }
+        },
+        quick_replies: [
+          {
+            "content_type":"text",
+            "title":"Home",
+            "payload":payloads.encode('home')
+          }
+        ]
+      }
+    };
+    callSendAPI(messageData);
+  });
+}
+
+// A link that signs the user in to the web dashboard for a few minutes
+function sendDashboardLink(senderID) {
+  var token = session.sign(APP_SECRET, 'login', senderID,
+                           Date.now() + DASHBOARD_LINK_MINUTES * 60 * 1000);
+  var messageData = {
+    recipient: {
+      id: senderID
+    },
+    message: {
+      attachment: {
+        type: "template",
+        payload: {
+          template_type: "button",
+          text: "See all your goals, streaks and logs on the web. The link works for " +
+                DASHBOARD_LINK_MINUTES + " minutes.",
+          buttons: [{
+            type: "web_url",
+            url: SERVER_URL + "/dashboard/login?token=" + token,
+            title: "Open Dashboard"
+          }]
+        }
+      },
+      quick_replies: [
+        {
+          "content_type":"text",
+          "title":"Home",
+          "payload":payloads.encode('home')
+        }
+      ]
+    }
+  };
+  callSendAPI(messageData);
 }
 
 // Send Home
@@ -1019,15 +2048,47 @@ function sendHome(recipientId) {
                 {
                   type: "postback",
                   title: "New Goal",
-                  payload: "Payload new goal",
+                  payload: payloads.encode('newGoal'),
                 }, {
                   type: "postback",
                   title: "View Goals",
-                  payload: "Payload view",
+                  payload: payloads.encode('viewGoals'),
                 }, {
                   type: "postback",
                   title: "Add Progress",
-                  payload: "Payload progress",
+                  payload: payloads.encode('addProgress'),
+                }
+              ]
+            }, {
+              title: "Settings",
+              subtitle: "Get a daily reminder to keep your streaks going",
+              buttons: [
+                {
+                  type: "postback",
+                  title: "Reminders",
+                  payload: payloads.encode('reminders'),
+                }, {
+                  type: "postback",
+                  title: "Motivation",
+                  payload: payloads.encode('motivation'),
+                }, {
+                  type: "postback",
+                  title: "Recently Deleted",
+                  payload: payloads.encode('trash'),
+                }
+              ]
+            }, {
+              title: "Dashboard",
+              subtitle: "See your goals, streaks and logs on the web",
+              buttons: [
+                {
+                  type: "postback",
+                  title: "Open Dashboard",
+                  payload: payloads.encode('dashboard'),
+                }, {
+                  type: "postback",
+                  title: "Account",
+                  payload: payloads.encode('account'),
                 }
               ]
             }
@@ -1089,7 +2150,7 @@ function sendGenericMessage(recipientId) {
  * Send a text message using the Send API.
  *
  */
-function sendTextMessage(recipientId, messageText) {
+function sendTextMessage(recipientId, messageText, callback) {
   var messageData = {
     recipient: {
       id: recipientId
@@ -1100,7 +2161,7 @@ function sendTextMessage(recipientId, messageText) {
     }
   };
 
-  callSendAPI(messageData);
+  callSendAPI(messageData, callback);
 }
 
 function sendHomeMessage(recipientId, messageText) {
@@ -1115,7 +2176,7 @@ function sendHomeMessage(recipientId, messageText) {
         {
           "content_type":"text",
           "title":"Home",
-          "payload":"home"
+          "payload":payloads.encode('home')
         }
       ]
 
@@ -1125,10 +2186,11 @@ function sendHomeMessage(recipientId, messageText) {
 }
 
 /*
- * Send an image using the Send API.
+ * Send an image using the Send API, with quickReplies (if any) before the
+ * Home one.
  *
  */
-function sendImageMessage(recipientId, image_url) {
+function sendImageMessage(recipientId, image_url, quickReplies) {
   var messageData = {
     recipient: {
       id: recipientId
@@ -1140,13 +2202,13 @@ function sendImageMessage(recipientId, image_url) {
           url: image_url
         }
       },
-      quick_replies: [
+      quick_replies: (quickReplies || []).concat([
         {
           "content_type":"text",
           "title":"Home",
-          "payload":"home"
+          "payload":payloads.encode('home')
         }
-      ]
+      ])
     }
   };
   try {
@@ -1157,14 +2219,17 @@ function sendImageMessage(recipientId, image_url) {
   }
 }
 
+/*
+ * Get a user's public profile (name, timezone...) with the User Profile API.
+ *
+ */
+function getUserProfile(senderID, callback) {
+  app.get('transport').getProfile(senderID, callback);
+}
+
 function sendTest(senderID) {
-  var url = 'https://graph.facebook.com/v2.6/' + senderID + '?access_token=' + PAGE_ACCESS_TOKEN;
-  var options = {
-    url: url,
-    json: true
-  };
-  request.get(options, function(error, response, body) {
-    if (!error && response.statusCode === 200) {
+  getUserProfile(senderID, function(error, body) {
+    if (!error) {
       console.log("devices:");
       console.log(body);
       // sendTextMessage(senderID, "Hi " + body.first_name + ", I am Anna the fashion bot. I can help you buy anything you see. Send me an image or message! :)");
@@ -1203,19 +2268,17 @@ function sendTest(senderID) {
 
 
 /*
- * Call the Send API. The message data goes in the body. If successful, we'll
- * get the message id in a response
+ * Call the Send API through the transport. The message data goes in the body.
+ * If successful, we'll get the message id in a response. callback, if given,
+ * gets (error, body) so the caller can fall back when a message is refused.
  *
  */
-function callSendAPI(messageData) {
-  request({
-    uri: 'https://graph.facebook.com/v2.6/me/messages',
-    qs: { access_token: PAGE_ACCESS_TOKEN },
-    method: 'POST',
-    json: messageData
-
-  }, function (error, response, body) {
-    if (!error && response.statusCode == 200) {
+function callSendAPI(messageData, callback) {
+  app.get('transport').send(messageData, function (error, body) {
+    if (callback) {
+      callback(error, body);
+    }
+    if (!error) {
       var recipientId = body.recipient_id;
       var messageId = body.message_id;
 
@@ -1227,18 +2290,48 @@ function callSendAPI(messageData) {
         recipientId);
       }
     } else {
-      sendHome(recipientId);
-      console.error("Failed calling Send API", response.statusCode, response.statusMessage, body.error);
+      console.error("Failed calling Send API for recipient %s",
+        messageData.recipient.id, error.message);
     }
   });
 }
 
+// Background jobs
+var scheduler = createScheduler();
+scheduler.add('reminders', reminders.createReminderJob({
+  User: models.User,
+  Goal: gmodels.Goal,
+  send: callSendAPI
+}));
+scheduler.add('streak warnings', streakWarnings.createStreakWarningJob({
+  User: models.User,
+  Goal: gmodels.Goal,
+  send: callSendAPI,
+  hours: STREAK_WARNING_HOURS
+}));
+scheduler.add('trash', trash.createPurgeJob({
+  Goal: gmodels.Goal,
+  days: TRASH_DAYS
+}));
+// Reddit can be slow, so the motivation cache is refreshed on its own timer
+// rather than holding up reminders and warnings
+var refresher = createScheduler();
+refresher.add('motivation', cachedSources.createRefreshJob(
+  MOTIVATION_REFRESH_MINUTES * 60 * 1000));
+
 // Start server
 // Webhooks must be available via SSL with a certificate signed by a valid
 // certificate authority.
-app.listen(app.get('port'), function() {
-  console.log('Node app is running on port', app.get('port'));
-});
+// When required (e.g. by the tests) it is up to the caller to listen.
+if (require.main === module) {
+  mongoose.connect(process.env.MONGOLAB_URI);
+  app.listen(app.get('port'), function() {
+    console.log('Node app is running on port', app.get('port'));
+    cachedSources.refresh(Date.now());
+    scheduler.start();
+    refresher.start();
+  });
+}
 
 module.exports = app;
 
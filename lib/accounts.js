@@ -0,0 +1,187 @@
+/*
+ * Accounts
+ *
+ * Users can make a username/password account from Messenger's account
+ * linking flow (GET/POST /authorize) and sign in to the dashboard with it.
+ * Linking goes:
+ *
+ *   1. /authorize signs the user in (or up) and issues a one-time code,
+ *      redirecting back to Messenger with it.
+ *   2. Messenger sends an account_linking event with the code, which is
+ *      redeemed for the account and the chat (PSID) is linked to it.
+ *
+ * Every chat linked to an account shares its goals: goals stay owned by the
+ * chat that started them (Goal.user), and identities() gives every PSID
+ * whose goals a chat or dashboard session can see.
+ *
+ */
+
+/* jshint node: true */
+'use strict';
+
+var crypto = require('crypto');
+
+var USERNAME = /^[a-z0-9_.-]{3,30}$/;
+var MIN_PASSWORD = 8;
+
+function hashCode(code) {
+  return crypto.createHash('sha256').update(code).digest('hex');
+}
+
+/*
+ * deps are {Account, AuthCode, User, codeMinutes, iterations}; iterations
+ * are pbkdf2's, lower them only for tests.
+ *
+ * Calls back with (err, result, reason): err is for database errors, a null
+ * result comes with the reason the request was turned down.
+ *
+ */
+function createAccounts(deps) {
+  var iterations = deps.iterations || 100000;
+
+  function hashPassword(password, salt, callback) {
+    crypto.pbkdf2(password, salt, iterations, 32, 'sha256', function(err, key) {
+      callback(err, key && key.toString('hex'));
+    });
+  }
+
+  function register(username, password, callback) {
+    username = String(username || '').trim().toLowerCase();
+    password = String(password || '');
+    if (!USERNAME.test(username)) {
+      return callback(null, null, 'username');
+    }
+    if (password.length < MIN_PASSWORD) {
+      return callback(null, null, 'password');
+    }
+    var salt = crypto.randomBytes(16).toString('hex');
+    hashPassword(password, salt, function(err, hash) {
+      if (err) {
+        return callback(err);
+      }
+      var account = new deps.Account({
+        username: username,
+        passwordHash: hash,
+        salt: salt,
+        createdAt: new Date()
+      });
+      account.save(function(err) {
+        if (err && err.code == 11000) {
+          return callback(null, null, 'taken');
+        }
+        callback(err, err ? null : account);
+      });
+    });
+  }
+
+  function authenticate(username, password, callback) {
+    username = String(username || '').trim().toLowerCase();
+    deps.Account.findOne({username: username}, function(err, account) {
+      if (err) {
+        return callback(err);
+      }
+      // Hash anyway so unknown usernames take as long as wrong passwords
+      var salt = account ? account.salt : 'no account';
+      hashPassword(String(password || ''), salt, function(err, hash) {
+        if (err) {
+          return callback(err);
+        }
+        if (!account || hash != account.passwordHash) {
+          return callback(null, null, 'credentials');
+        }
+        callback(null, account);
+      });
+    });
+  }
+
+  // Calls back with a new one-time code for account, good for codeMinutes
+  function issueCode(account, now, callback) {
+    var code = crypto.randomBytes(20).toString('hex');
+    var authCode = new deps.AuthCode({
+      code: hashCode(code),
+      account: account._id,
+      expiresAt: new Date(now + deps.codeMinutes * 60 * 1000)
+    });
+    authCode.save(function(err) {
+      callback(err, err ? null : code);
+    });
+  }
+
+  // The account of a code, which can't be used again
+  function redeemCode(code, now, callback) {
+    if (!code) {
+      return callback(null, null, 'code');
+    }
+    deps.AuthCode.findOneAndRemove({code: hashCode(String(code)), expiresAt: {$gt: new Date(now)}},
+      function(err, authCode) {
+        if (err || authCode == null) {
+          return callback(err, null, 'code');
+        }
+        deps.Account.findOne({_id: authCode.account}, function(err, account) {
+          callback(err, account, account ? null : 'code');
+        });
+      });
+  }
+
+  function link(psid, account, callback) {
+    deps.User.update({name: psid}, {$set: {account: account._id}}, function(err) {
+      callback(err);
+    });
+  }
+
+  function unlink(psid, callback) {
+    deps.User.update({name: psid}, {$unset: {account: 1}}, function(err) {
+      callback(err);
+    });
+  }
+
+  // The account a chat is linked to, null if none
+  function accountOf(psid, callback) {
+    deps.User.findOne({name: psid}, function(err, user) {
+      if (err || user == null || !user.account) {
+        return callback(err, null);
+      }
+      deps.Account.findOne({_id: user.account}, callback);
+    });
+  }
+
+  // PSIDs of the chats linked to an account
+  function psidsOf(accountId, callback) {
+    deps.User.find({account: accountId}, {name: 1}, function(err, users) {
+      callback(err, (users || []).map(function(user) {
+        return user.name;
+      }));
+    });
+  }
+
+  // PSIDs whose goals the chat psid sees: itself and the chats linked with it
+  function identities(psid, callback) {
+    deps.User.findOne({name: psid}, function(err, user) {
+      if (err || user == null || !user.account) {
+        return callback(err, [Number(psid)]);
+      }
+      psidsOf(user.account, function(err, psids) {
+        if (psids.indexOf(Number(psid)) == -1) {
+          psids.unshift(Number(psid));
+        }
+        callback(err, psids);
+      });
+    });
+  }
+
+  return {
+    register: register,
+    authenticate: authenticate,
+    issueCode: issueCode,
+    redeemCode: redeemCode,
+    link: link,
+    unlink: unlink,
+    accountOf: accountOf,
+    psidsOf: psidsOf,
+    identities: identities
+  };
+}
+
+exports.USERNAME = USERNAME;
+exports.MIN_PASSWORD = MIN_PASSWORD;
+exports.createAccounts = createAccounts;
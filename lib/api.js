@@ -0,0 +1,304 @@
+/*
+ * REST API
+ *
+ * JSON over HTTP for apps and scripts that log progress without Messenger,
+ * on the same goal rules as the chat (see lib/goalService.js):
+ *
+ *   app.use('/api/v1', createApi({accounts: accounts, goalService: ...}));
+ *
+ * Clients sign in with an account (see lib/accounts.js) at POST /tokens and
+ * send the token they get back as "Authorization: Bearer <token>". A token
+ * is good for tokenDays and sees the goals of every chat linked to the
+ * account; goals started through the API belong to its first linked chat.
+ *
+ *   POST   /tokens                    {username, password}
+ *   GET    /goals?status=             active (default), finished or deleted
+ *   POST   /goals                     {name, frequency, target, unit}
+ *   GET    /goals/:id
+ *   PATCH  /goals/:id                 {name}
+ *   DELETE /goals/:id                 to Recently Deleted
+ *   POST   /goals/:id/checkins        {text, amount}
+ *   GET    /goals/:id/logs?offset=&limit=
+ *   GET    /goals/:id/stats
+ *   POST   /goals/:id/finish
+ *   POST   /goals/:id/reopen
+ *   POST   /goals/:id/restore
+ *
+ * Errors come back as {error, message}, error being one of the keys of
+ * ERRORS: the reason of a GoalError, or one of the API's own. 'request'
+ * keeps the status of the error it stands for.
+ *
+ * deps are {accounts, goalService, secret, tokenDays}.
+ *
+ */
+
+/* jshint node: true */
+'use strict';
+
+var express = require('express');
+var bodyParser = require('body-parser');
+var ObjectId = require('mongodb').ObjectID;
+var session = require('./session');
+var frequencies = require('./frequency');
+var measure = require('./measure');
+var categories = require('./category');
+var archive = require('./archive');
+var goalService = require('./goalService');
+var GoalError = goalService.GoalError;
+
+var DAY = 24 * 60 * 60 * 1000;
+var PAGE_SIZE = 20;
+var MAX_PAGE_SIZE = 100;
+
+var ERRORS = {
+  token: {status: 401, message: "Send a token from POST /tokens as \"Authorization: Bearer <token>\"."},
+  credentials: {status: 401, message: "Wrong username or password."},
+  unlinked: {status: 403, message: "Link a Messenger chat to this account first."},
+  limit: {status: 403, message: "You have reached the maximum number of goals. Finish or delete one to add more."},
+  missing: {status: 404, message: "That goal doesn't exist."},
+  route: {status: 404, message: "There is nothing here."},
+  finished: {status: 409, message: "That goal is finished."},
+  active: {status: 409, message: "That goal isn't finished."},
+  restored: {status: 409, message: "That goal isn't deleted."},
+  duplicate: {status: 409, message: "There already is a goal with that name."},
+  name: {status: 400, message: "Goal names can't be empty or longer than " +
+                               goalService.MAX_NAME + " characters."},
+  text: {status: 400, message: "Logs can't be longer than " + goalService.MAX_LOG + " characters."},
+  amount: {status: 400, message: "Goals with a unit need an amount for each check-in."},
+  frequency: {status: 400, message: "Frequencies look like \"daily\", \"weekdays\", \"3/week\" or \"mon wed fri\"."},
+  target: {status: 400, message: "Goals with an amount need both a target and a unit, like 20 and \"pages\"."},
+  status: {status: 400, message: "Status is active, finished or deleted."},
+  page: {status: 400, message: "offset and limit are whole numbers, limit at most " + MAX_PAGE_SIZE + "."},
+  request: {status: 400, message: "That request couldn't be read."},
+  failed: {status: 500, message: "Something went wrong, please try again."}
+};
+
+var STATUSES = [archive.ACTIVE, archive.FINISHED, archive.DELETED];
+
+function fail(res, reason) {
+  var error = ERRORS[reason] || ERRORS.failed;
+  res.status(error.status).json({error: ERRORS[reason] ? reason : 'failed', message: error.message});
+}
+
+function time(date) {
+  return date ? new Date(date).toISOString() : null;
+}
+
+function frequencyJSON(frequency) {
+  frequency = frequencies.normalize(frequency);
+  var json = {kind: frequency.kind};
+  if (frequency.kind == 'weekly') {
+    json.times = frequency.times;
+  } else if (frequency.kind == 'weekdays') {
+    json.weekdays = frequency.weekdays.slice();
+  }
+  return json;
+}
+
+function goalJSON(goal) {
+  var measured = measure.isMeasured(goal);
+  var days = goal.days || [];
+  var start = archive.startTime(goal);
+  return {
+    id: String(goal._id),
+    name: goal.name,
+    status: archive.statusOf(goal),
+    category: categories.of(goal),
+    frequency: frequencyJSON(goal.frequency),
+    streak: goal.streak || 0,
+    total: goal.total || 0,
+    lastCheckIn: days.length > 0 ? days[days.length - 1] : null,
+    unit: measured ? goal.unit : null,
+    target: measured ? goal.target : null,
+    quantity: measured ? goal.quantity || 0 : null,
+    createdAt: start != null ? time(start) : null,
+    finishedAt: time(goal.finishedAt),
+    deletedAt: time(goal.deletedAt)
+  };
+}
+
+function entryJSON(entry) {
+  return {
+    id: String(entry._id),
+    time: time(entry.time),
+    day: entry.day,
+    text: entry.text || '',
+    amount: entry.amount == null ? null : entry.amount,
+    attachments: (entry.attachments || []).map(function(attachment) {
+      return {type: attachment.type, url: attachment.url};
+    }),
+    streak: entry.streak || 0
+  };
+}
+
+// A whole number query parameter, fallback when it is missing, null if it
+// isn't one
+function intParam(value, fallback) {
+  if (value == null || value === '') {
+    return fallback;
+  }
+  return /^\d+$/.test(value) ? Number(value) : null;
+}
+
+function createApi(deps) {
+  var router = express.Router();
+  var goals = deps.goalService;
+
+  router.use(bodyParser.json());
+
+  // Answers with what a goal service promise resolves with, turned into
+  // JSON by toJSON, or with why the service turned the request down
+  function reply(res, next, status, promise, toJSON) {
+    promise.then(function(result) {
+      res.status(status).json(toJSON(result));
+    }).catch(function(err) {
+      if (err instanceof GoalError) {
+        return fail(res, err.reason);
+      }
+      next(err);
+    });
+  }
+
+  router.post('/tokens', function(req, res, next) {
+    deps.accounts.authenticate(req.body.username, req.body.password, function(err, account) {
+      if (err) {
+        return next(err);
+      }
+      if (account == null) {
+        return fail(res, 'credentials');
+      }
+      var expires = Date.now() + deps.tokenDays * DAY;
+      res.status(201).json({
+        token: session.sign(deps.secret, 'api', String(account._id), expires),
+        expiresAt: time(expires)
+      });
+    });
+  });
+
+  // Everything else needs a token, and acts as the account's first chat
+  router.use(function(req, res, next) {
+    var match = /^Bearer (\S+)$/.exec(req.get('Authorization') || '');
+    var accountId = match && session.verify(deps.secret, 'api', match[1], Date.now());
+    if (accountId == null || !/^[0-9a-f]{24}$/.test(accountId)) {
+      return fail(res, 'token');
+    }
+    deps.accounts.psidsOf(ObjectId(accountId), function(err, psids) {
+      if (err) {
+        return next(err);
+      }
+      if (psids.length == 0) {
+        return fail(res, 'unlinked');
+      }
+      req.psid = psids[0];
+      next();
+    });
+  });
+
+  router.get('/goals', function(req, res, next) {
+    var status = req.query.status || archive.ACTIVE;
+    if (STATUSES.indexOf(status) == -1) {
+      return fail(res, 'status');
+    }
+    reply(res, next, 200, goals.list(req.psid, status), function(list) {
+      return {goals: list.map(goalJSON)};
+    });
+  });
+
+  router.post('/goals', function(req, res, next) {
+    var fields = {name: req.body.name};
+    if (req.body.frequency != null) {
+      fields.frequency = frequencies.parse(String(req.body.frequency));
+      if (fields.frequency == null) {
+        return fail(res, 'frequency');
+      }
+    }
+    if (req.body.target != null || req.body.unit != null) {
+      if (req.body.target == null || req.body.unit == null) {
+        return fail(res, 'target');
+      }
+      var measured = measure.parseTarget(req.body.target + ' ' + req.body.unit);
+      if (measured == null) {
+        return fail(res, 'target');
+      }
+      fields.target = measured.target;
+      fields.unit = measured.unit;
+    }
+    reply(res, next, 201, goals.create(req.psid, fields), goalJSON);
+  });
+
+  router.get('/goals/:id', function(req, res, next) {
+    reply(res, next, 200, goals.find(req.psid, req.params.id, 'any'), goalJSON);
+  });
+
+  router.patch('/goals/:id', function(req, res, next) {
+    reply(res, next, 200, goals.rename(req.psid, req.params.id, req.body.name), goalJSON);
+  });
+
+  router.delete('/goals/:id', function(req, res, next) {
+    reply(res, next, 200, goals.remove(req.psid, req.params.id), goalJSON);
+  });
+
+  router.post('/goals/:id/checkins', function(req, res, next) {
+    var log = {text: req.body.text, amount: req.body.amount};
+    reply(res, next, 201, goals.checkIn(req.psid, req.params.id, log), function(goal) {
+      return {goal: goalJSON(goal), entry: entryJSON(goal.log[0])};
+    });
+  });
+
+  router.get('/goals/:id/logs', function(req, res, next) {
+    var offset = intParam(req.query.offset, 0);
+    var limit = intParam(req.query.limit, PAGE_SIZE);
+    if (offset == null || limit == null || limit > MAX_PAGE_SIZE) {
+      return fail(res, 'page');
+    }
+    reply(res, next, 200, goals.logs(req.psid, req.params.id, offset, limit), function(page) {
+      return {
+        logs: page.entries.map(entryJSON),
+        offset: offset,
+        limit: limit,
+        total: page.total
+      };
+    });
+  });
+
+  router.get('/goals/:id/stats', function(req, res, next) {
+    reply(res, next, 200, goals.stats(req.psid, req.params.id), function(result) {
+      return Object.assign({goal: goalJSON(result.goal)}, result.stats);
+    });
+  });
+
+  router.post('/goals/:id/finish', function(req, res, next) {
+    reply(res, next, 200, goals.finish(req.psid, req.params.id), goalJSON);
+  });
+
+  router.post('/goals/:id/reopen', function(req, res, next) {
+    reply(res, next, 200, goals.reopen(req.psid, req.params.id), goalJSON);
+  });
+
+  router.post('/goals/:id/restore', function(req, res, next) {
+    reply(res, next, 200, goals.restore(req.psid, req.params.id), goalJSON);
+  });
+
+  router.use(function(req, res) {
+    fail(res, 'route');
+  });
+
+  router.use(function(err, req, res, next) {
+    // Requests that couldn't be read, e.g. malformed JSON from body-parser
+    if (err.status >= 400 && err.status < 500) {
+      return res.status(err.status).json({
+        error: 'request',
+        message: err.expose ? err.message : ERRORS.request.message
+      });
+    }
+    console.error("API request %s %s failed", req.method, req.originalUrl, err);
+    fail(res, 'failed');
+  });
+
+  return router;
+}
+
+exports.ERRORS = ERRORS;
+exports.goalJSON = goalJSON;
+exports.entryJSON = entryJSON;
+exports.createApi = createApi;
@@ -0,0 +1,111 @@
+/*
+ * Finished goals
+ *
+ * Finishing a goal keeps its Goal document, logs and all, marked with
+ * status 'finished' and the stats worked out when it was finished. Goals
+ * without a status are from before finished goals were kept and are active.
+ *
+ * Finished goals can be reopened, which makes them active again. Deleted
+ * goals are kept for a while too, with status 'deleted' (see lib/trash.js).
+ *
+ */
+
+/* jshint node: true */
+'use strict';
+
+var streaks = require('./streak');
+var frequencies = require('./frequency');
+var logs = require('./logs');
+
+var ACTIVE = 'active';
+var FINISHED = 'finished';
+var DELETED = 'deleted';
+
+// Adds to a Goal query so it only matches active goals
+function active(query) {
+  return Object.assign({status: {$nin: [FINISHED, DELETED]}}, query);
+}
+
+function finished(query) {
+  return Object.assign({status: FINISHED}, query);
+}
+
+function isFinished(goal) {
+  return goal.status == FINISHED;
+}
+
+function statusOf(goal) {
+  return goal.status || ACTIVE;
+}
+
+// When the goal was started, for goals from before createdAt was stored
+// taken from its ObjectId
+function startTime(goal) {
+  if (goal.createdAt) {
+    return new Date(goal.createdAt).getTime();
+  }
+  if (goal._id && typeof goal._id.getTimestamp == 'function') {
+    return goal._id.getTimestamp().getTime();
+  }
+  return null;
+}
+
+// $set fields that finish a goal at now
+function finishFields(goal, now, offset) {
+  return {
+    status: FINISHED,
+    finishedAt: new Date(now),
+    longestStreak: streaks.longestStreak(streaks.seedDays(goal, offset),
+                                         goal.frequency)
+  };
+}
+
+// The update that makes a finished goal active again
+function reopenUpdate() {
+  return {$set: {status: ACTIVE}, $unset: {finishedAt: 1, longestStreak: 1}};
+}
+
+// Calendar days from the start of a finished goal to its end, both counted
+function durationDays(goal, offset) {
+  var start = startTime(goal);
+  var days = goal.days || [];
+  var first = start != null ? streaks.dayKey(start, offset) : days[0];
+  if (days.length > 0 && (first == null || days[0] < first)) {
+    first = days[0];
+  }
+  if (first == null || !goal.finishedAt) {
+    return null;
+  }
+  var last = streaks.dayKey(new Date(goal.finishedAt).getTime(), offset);
+  return streaks.dayNumber(last) - streaks.dayNumber(first) + 1;
+}
+
+// Stats of a finished goal, one per line
+function details(goal, offset) {
+  var lines = [];
+  var finishedOn = "Finished " +
+    logs.formatDay(streaks.dayKey(new Date(goal.finishedAt).getTime(), offset));
+  var duration = durationDays(goal, offset);
+  if (duration != null) {
+    finishedOn += " after " + duration + (duration == 1 ? " day" : " days");
+  }
+  lines.push(finishedOn);
+  lines.push("Longest streak " +
+             frequencies.streakLabel(goal.longestStreak || 0, goal.frequency));
+  var total = goal.total || 0;
+  lines.push(total + (total == 1 ? " check-in" : " check-ins"));
+  return lines;
+}
+
+exports.ACTIVE = ACTIVE;
+exports.FINISHED = FINISHED;
+exports.DELETED = DELETED;
+exports.active = active;
+exports.finished = finished;
+exports.isFinished = isFinished;
+exports.statusOf = statusOf;
+exports.startTime = startTime;
+exports.finishFields = finishFields;
+exports.reopenUpdate = reopenUpdate;
+exports.durationDays = durationDays;
+exports.details = details;
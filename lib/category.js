@@ -0,0 +1,98 @@
+/*
+ * Goal categories
+ *
+ * Goals are tagged with what they're about so motivation can match them.
+ * classify() guesses a category from a goal name (or a post title) by its
+ * words; users can pick another one from the goal's card. GENERAL is for
+ * anything that doesn't match, and general motivation suits every goal.
+ *
+ */
+
+/* jshint node: true */
+'use strict';
+
+var GENERAL = 'general';
+
+// Keywords of 5 letters or more also match words they start, e.g. "meditate"
+// matches "meditated"
+var CATEGORIES = [
+  {id: 'fitness', label: 'Fitness', keywords: [
+    'run', 'running', 'jog', 'gym', 'workout', 'exercise', 'lift', 'lifting',
+    'pushup', 'pushups', 'squat', 'squats', 'swim', 'swimming', 'bike',
+    'cycling', 'yoga', 'stretch', 'walk', 'walking', 'hike', 'marathon',
+    'cardio', 'plank', 'abs', 'fit', 'fitness', 'train', 'steps', 'muscle']},
+  {id: 'study', label: 'Study', keywords: [
+    'study', 'studying', 'read', 'reading', 'book', 'books', 'learn',
+    'learning', 'homework', 'class', 'course', 'exam', 'lecture', 'language',
+    'spanish', 'french', 'german', 'japanese', 'chinese', 'vocab', 'math',
+    'duolingo', 'research', 'pages', 'chapter', 'school']},
+  {id: 'health', label: 'Health', keywords: [
+    'water', 'drink', 'sleep', 'eat', 'eating', 'diet', 'vegetables',
+    'fruit', 'sugar', 'smoke', 'smoking', 'alcohol', 'vitamin', 'vitamins',
+    'floss', 'teeth', 'health', 'healthy', 'meal', 'calories', 'weight',
+    'skincare', 'medicine', 'bed']},
+  {id: 'creativity', label: 'Creativity', keywords: [
+    'write', 'writing', 'draw', 'drawing', 'paint', 'painting', 'sketch',
+    'music', 'guitar', 'piano', 'sing', 'singing', 'compose', 'poem',
+    'poetry', 'novel', 'blog', 'photo', 'photography', 'art', 'design',
+    'craft', 'knit', 'cook', 'cooking', 'bake', 'dance', 'create']},
+  {id: 'mindfulness', label: 'Mindfulness', keywords: [
+    'meditate', 'meditation', 'journal', 'journaling', 'gratitude',
+    'grateful', 'mindful', 'mindfulness', 'breathe', 'breathing', 'pray',
+    'prayer', 'relax', 'calm', 'reflect', 'diary', 'phone', 'screen']},
+  {id: 'work', label: 'Work', keywords: [
+    'work', 'code', 'coding', 'program', 'programming', 'project', 'email',
+    'emails', 'inbox', 'business', 'career', 'job', 'resume', 'network',
+    'networking', 'startup', 'clean', 'cleaning', 'chores', 'organize']},
+  {id: 'finance', label: 'Money', keywords: [
+    'save', 'saving', 'savings', 'money', 'budget', 'spend', 'spending',
+    'invest', 'investing', 'debt', 'expenses', 'finance', 'finances']},
+  {id: GENERAL, label: 'Other', keywords: []}
+];
+
+function find(id) {
+  return CATEGORIES.filter(function(category) {
+    return category.id == id;
+  })[0] || null;
+}
+
+function matchesKeyword(word, keyword) {
+  return word == keyword ||
+         (keyword.length >= 5 && word.substring(0, keyword.length) == keyword);
+}
+
+// The category with the most keywords in text, GENERAL if none match
+function classify(text) {
+  var words = String(text || '').toLowerCase().split(/[^a-z]+/).filter(Boolean);
+  var best = GENERAL;
+  var bestScore = 0;
+  CATEGORIES.forEach(function(category) {
+    var score = words.filter(function(word) {
+      return category.keywords.some(function(keyword) {
+        return matchesKeyword(word, keyword);
+      });
+    }).length;
+    if (score > bestScore) {
+      best = category.id;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+// Goals from before categories are classified on the fly
+function of(goal) {
+  return (goal.category && find(goal.category)) ? goal.category : classify(goal.name);
+}
+
+function label(id) {
+  var category = find(id);
+  return category ? category.label : find(GENERAL).label;
+}
+
+exports.GENERAL = GENERAL;
+exports.CATEGORIES = CATEGORIES;
+exports.find = find;
+exports.classify = classify;
+exports.of = of;
+exports.label = label;
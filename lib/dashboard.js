@@ -0,0 +1,264 @@
+/*
+ * Web dashboard
+ *
+ * Pages where users see their goals, streaks, logs and finished goals, and
+ * can rename goals and delete log entries. It works on the same User and
+ * Goal models as the bot. Users sign in from a link the bot sends or with
+ * their account's password (see lib/session.js), and see the goals of every
+ * chat linked with theirs:
+ *
+ *   app.use('/dashboard', createDashboard({User: User, Goal: Goal, ...}));
+ *
+ * deps are {User, Goal, accounts, goalService, secret, sessionDays, secure,
+ * calendarURL(goal)}.
+ *
+ */
+
+/* jshint node: true */
+'use strict';
+
+var express = require('express');
+var bodyParser = require('body-parser');
+var ObjectId = require('mongodb').ObjectID;
+var session = require('./session');
+var streaks = require('./streak');
+var frequencies = require('./frequency');
+var categories = require('./category');
+var measure = require('./measure');
+var archive = require('./archive');
+var trash = require('./trash');
+var stats = require('./stats');
+var logs = require('./logs');
+var goalService = require('./goalService');
+
+var DAY = 24 * 60 * 60 * 1000;
+
+var ERRORS = {
+  name: "Goal names can't be empty or longer than " + goalService.MAX_NAME + " characters.",
+  duplicate: "You already have a goal with that name.",
+  gone: "That log entry doesn't exist anymore.",
+  failed: "Something went wrong, please try again."
+};
+
+var SIGNIN_ERRORS = {
+  expired: "That sign-in link has expired or isn't valid.",
+  credentials: "Wrong username or password."
+};
+
+function createDashboard(deps) {
+  var router = express.Router();
+
+  router.use(bodyParser.urlencoded({extended: false}));
+
+  function signIn(req, res, purpose, subject) {
+    var expires = Date.now() + deps.sessionDays * DAY;
+    res.cookie(session.COOKIE, session.sign(deps.secret, purpose, subject, expires), {
+      path: req.baseUrl,
+      expires: new Date(expires),
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: Boolean(deps.secure)
+    });
+    res.redirect(req.baseUrl + '/');
+  }
+
+  function renderSignin(req, res, status, error) {
+    res.status(status).render('dashboard/signin', {
+      action: req.baseUrl + '/login',
+      error: error ? SIGNIN_ERRORS[error] : null
+    });
+  }
+
+  // The sign-in link from the bot swaps its token for a session cookie
+  router.get('/login', function(req, res) {
+    if (!req.query.token) {
+      return renderSignin(req, res, 200, null);
+    }
+    var psid = session.verify(deps.secret, 'login', req.query.token, Date.now());
+    if (psid == null) {
+      return renderSignin(req, res, 403, 'expired');
+    }
+    signIn(req, res, 'session', psid);
+  });
+
+  router.post('/login', function(req, res, next) {
+    deps.accounts.authenticate(req.body.username, req.body.password, function(err, account) {
+      if (err) {
+        return next(err);
+      }
+      if (account == null) {
+        return renderSignin(req, res, 401, 'credentials');
+      }
+      signIn(req, res, 'account', String(account._id));
+    });
+  });
+
+  // Calls back with the PSIDs whose goals a session token shows, null if it
+  // isn't valid, and the chat that acts for the session. A chat's session
+  // shows the chats linked with it, an account's the chats linked to it
+  function psidsOf(token, callback) {
+    var psid = session.verify(deps.secret, 'session', token, Date.now());
+    if (psid != null) {
+      return deps.accounts.identities(Number(psid), function(err, psids) {
+        callback(err, psids, Number(psid));
+      });
+    }
+    var accountId = session.verify(deps.secret, 'account', token, Date.now());
+    if (accountId != null && /^[0-9a-f]{24}$/.test(accountId)) {
+      return deps.accounts.psidsOf(ObjectId(accountId), function(err, psids) {
+        callback(err, psids, psids && psids[0]);
+      });
+    }
+    callback(null, null);
+  }
+
+  router.use(function(req, res, next) {
+    var token = session.readCookie(req, session.COOKIE);
+    psidsOf(token, function(err, psids, psid) {
+      if (err) {
+        return next(err);
+      }
+      if (psids == null) {
+        return renderSignin(req, res, 401, null);
+      }
+      req.psids = psids;
+      req.psid = psid;
+      res.locals.base = req.baseUrl;
+      res.locals.csrf = session.csrfToken(deps.secret, token);
+      if (req.method == 'POST' && !session.sameSecret(req.body.csrf, res.locals.csrf)) {
+        return res.sendStatus(403);
+      }
+      // Days are seen from the first chat's timezone
+      deps.User.find({name: {$in: psids}}, function(err, users) {
+        if (err) {
+          return next(err);
+        }
+        req.users = users;
+        req.offset = streaks.userOffset(users[0]);
+        next();
+      });
+    });
+  });
+
+  // A goal of the signed in user that isn't deleted, or a 404
+  function loadGoal(req, res, callback) {
+    if (!/^[0-9a-f]{24}$/.test(req.params.id)) {
+      return res.sendStatus(404);
+    }
+    deps.Goal.findOne({"_id": ObjectId(req.params.id), user: {$in: req.psids}}, function(err, goal) {
+      if (err) {
+        return res.sendStatus(500);
+      }
+      if (goal == null || trash.isDeleted(goal)) {
+        return res.sendStatus(404);
+      }
+      callback(goal);
+    });
+  }
+
+  // What the goal list shows of a goal, with its streak as of today
+  function summarize(goal, now, offset) {
+    var goalStats = stats.compute(goal, now, offset);
+    return {
+      id: String(goal._id),
+      name: goal.name,
+      finished: archive.isFinished(goal),
+      category: categories.label(categories.of(goal)),
+      frequency: frequencies.describe(goal.frequency),
+      streak: frequencies.streakLabel(goalStats.streak, goal.frequency),
+      longest: frequencies.streakLabel(goalStats.longestStreak, goal.frequency),
+      total: goal.total || 0,
+      progress: measure.isMeasured(goal) ?
+        measure.progressLabel(goal, streaks.dayKey(now, offset)) : null,
+      details: archive.isFinished(goal) ? archive.details(goal, offset) : []
+    };
+  }
+
+  router.get('/', function(req, res, next) {
+    deps.Goal.find({user: {$in: req.psids}, status: {$ne: archive.DELETED}}, function(err, goals) {
+      if (err) {
+        return next(err);
+      }
+      var now = Date.now();
+      goals.sort(function(a, b) {
+        return String(a._id) < String(b._id) ? -1 : 1;
+      });
+      var summaries = goals.map(function(goal) {
+        return summarize(goal, now, req.offset);
+      });
+      res.render('dashboard/index', {
+        active: summaries.filter(function(goal) {
+          return !goal.finished;
+        }),
+        finished: summaries.filter(function(goal) {
+          return goal.finished;
+        }),
+        legacyFinished: req.users.reduce(function(finished, user) {
+          return finished.concat(user.finished || []);
+        }, [])
+      });
+    });
+  });
+
+  router.get('/goals/:id', function(req, res) {
+    loadGoal(req, res, function(goal) {
+      res.render('dashboard/goal', {
+        goal: summarize(goal, Date.now(), req.offset),
+        stats: stats.describe(stats.compute(goal, Date.now(), req.offset), goal.frequency),
+        calendar: deps.calendarURL(goal),
+        entries: (goal.log || []).map(function(entry) {
+          return {
+            id: String(entry._id),
+            day: logs.formatDay(entry.day),
+            text: entry.text,
+            amount: goal.unit && entry.amount != null ? '+' + entry.amount + ' ' + goal.unit : '',
+            attachments: entry.attachments || [],
+            streak: entry.streak ? frequencies.streakLabel(entry.streak, goal.frequency) : ''
+          };
+        }),
+        error: ERRORS[req.query.error] || null
+      });
+    });
+  });
+
+  router.post('/goals/:id/name', function(req, res) {
+    loadGoal(req, res, function(goal) {
+      var back = req.baseUrl + '/goals/' + goal._id;
+      deps.goalService.rename(req.psid, goal._id, req.body.name).then(function() {
+        res.redirect(back);
+      }, function(err) {
+        var known = err instanceof goalService.GoalError && ERRORS[err.reason];
+        res.redirect(back + '?error=' + (known ? err.reason : 'failed'));
+      });
+    });
+  });
+
+  router.post('/goals/:id/logs/:entry/delete', function(req, res) {
+    loadGoal(req, res, function(goal) {
+      var back = req.baseUrl + '/goals/' + goal._id;
+      var update = logs.removeEntry(goal, req.params.entry,
+                                    streaks.dayKey(Date.now(), req.offset));
+      if (update == null) {
+        return res.redirect(back + '?error=gone');
+      }
+      // Only matches if the entry is still there, so it's only taken back once
+      var query = {"_id": goal._id, log: {$elemMatch: {_id: update.$pull.log._id}}};
+      deps.Goal.findOneAndUpdate(query, update,
+        function(err, updated) {
+          if (err || updated == null) {
+            return res.redirect(back + '?error=' + (err ? 'failed' : 'gone'));
+          }
+          res.redirect(back);
+        });
+    });
+  });
+
+  router.post('/logout', function(req, res) {
+    res.clearCookie(session.COOKIE, {path: req.baseUrl});
+    renderSignin(req, res, 200, null);
+  });
+
+  return router;
+}
+
+exports.createDashboard = createDashboard;
@@ -0,0 +1,154 @@
+/*
+ * Conversation state machine
+ *
+ * While the bot waits for an answer (a goal name, a log...) the user is in a
+ * dialog state, stored on the User as {name, data, expiresAt}. Each state is
+ * declared once with the data it needs, how long it lasts and what to do
+ * with the text or attachments the user sends in it:
+ *
+ *   var conversation = dialog.createDialog({
+ *     User: User,
+ *     states: {
+ *       logging_goal: {
+ *         data: ['goalId'],
+ *         expiresIn: 2 * 60 * 60 * 1000,
+ *         onText: function(senderID, text, data) {...},
+ *         onAttachments: function(senderID, attachments, data) {...}
+ *       }
+ *     },
+ *     onCancel: function(senderID) {...},
+ *     onExpire: function(senderID, state) {...}
+ *   });
+ *
+ * Saying "cancel" or "home" in any state leaves it.
+ *
+ */
+
+/* jshint node: true */
+'use strict';
+
+var ESCAPES = ['cancel', 'home'];
+var DEFAULT_EXPIRY = 30 * 60 * 1000;
+
+// Users from before dialog states kept them in status, e.g. 'logging_goal<id>'
+var LEGACY = [
+  ['naming_goal', 'naming_goal', null],
+  ['logging_goal', 'logging_goal', 'goalId']
+];
+
+function fromLegacyStatus(status) {
+  if (!status || status == 'null') {
+    return null;
+  }
+  for (var i = 0; i < LEGACY.length; i++) {
+    var prefix = LEGACY[i][0];
+    if (status.substring(0, prefix.length) == prefix) {
+      var data = {};
+      if (LEGACY[i][2]) {
+        data[LEGACY[i][2]] = status.substring(prefix.length);
+      }
+      // No expiry was recorded, let it run from now
+      return {name: LEGACY[i][1], data: data, expiresAt: null};
+    }
+  }
+  return null;
+}
+
+function createDialog(options) {
+  var User = options.User;
+  var states = options.states;
+  var now = options.now || Date.now;
+
+  // The user's state, or null when the bot isn't waiting for anything
+  function current(user) {
+    if (user.state && user.state.name) {
+      return user.state;
+    }
+    return fromLegacyStatus(user.status);
+  }
+
+  function isExpired(state) {
+    return state.expiresAt != null && new Date(state.expiresAt).getTime() <= now();
+  }
+
+  function enter(senderID, name, data, callback) {
+    var definition = states[name];
+    if (!definition) {
+      throw new Error("Unknown dialog state " + name);
+    }
+    data = data || {};
+    (definition.data || []).forEach(function(key) {
+      if (data[key] == null) {
+        throw new Error("Dialog state " + name + " needs " + key);
+      }
+    });
+    var state = {
+      name: name,
+      data: data,
+      expiresAt: new Date(now() + (definition.expiresIn || DEFAULT_EXPIRY))
+    };
+    User.update({name: senderID},
+      {$set: {state: state}, $unset: {status: 1}},
+      function(err) {
+        if (callback) {
+          callback(err, state);
+        }
+      });
+  }
+
+  function leave(senderID, callback) {
+    User.update({name: senderID},
+      {$set: {state: {name: null}}, $unset: {status: 1}},
+      function(err) {
+        if (callback) {
+          callback(err);
+        }
+      });
+  }
+
+  /*
+   * Gives what the user sent to their current state. kind is 'onText' or
+   * 'onAttachments'. Returns false when there is no state to handle it, so
+   * the caller can fall back to its usual replies.
+   *
+   */
+  function handle(user, kind, input) {
+    var state = current(user);
+    if (state == null || !states[state.name]) {
+      return false;
+    }
+    if (isExpired(state)) {
+      leave(user.name, function() {
+        options.onExpire(user.name, state);
+      });
+      return true;
+    }
+    if (kind == 'onText' && ESCAPES.indexOf(input.trim()) != -1) {
+      leave(user.name, function() {
+        options.onCancel(user.name, state);
+      });
+      return true;
+    }
+    var handler = states[state.name][kind];
+    if (!handler) {
+      return false;
+    }
+    handler(user.name, input, state.data || {});
+    return true;
+  }
+
+  return {
+    current: current,
+    enter: enter,
+    leave: leave,
+    handleText: function(user, text) {
+      return handle(user, 'onText', text);
+    },
+    handleAttachments: function(user, attachments) {
+      return handle(user, 'onAttachments', attachments);
+    }
+  };
+}
+
+exports.fromLegacyStatus = fromLegacyStatus;
+exports.createDialog = createDialog;
@@ -0,0 +1,110 @@
+/*
+ * Goal frequencies
+ *
+ * How often a goal is meant to be worked on:
+ *   {kind: 'daily'}
+ *   {kind: 'weekly', times: 3}             - any 3 days in a week
+ *   {kind: 'weekdays', weekdays: [1, 3, 5]} - on those days (0 is Sunday)
+ *
+ */
+
+/* jshint node: true */
+'use strict';
+
+var DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+var DAILY = {kind: 'daily'};
+
+// Goals from before frequencies existed are daily
+function normalize(frequency) {
+  if (!frequency || !frequency.kind) {
+    return DAILY;
+  }
+  return frequency;
+}
+
+function sameDays(a, b) {
+  return a.length == b.length && a.every(function(day, i) {
+    return day == b[i];
+  });
+}
+
+/*
+ * Reads a frequency typed by the user, e.g. "every day", "weekdays",
+ * "3 times a week", "3x/week" or "mon wed fri". Returns null if it can't.
+ *
+ */
+function parse(text) {
+  text = text.toLowerCase().trim();
+  if (/^(daily|every ?day)$/.test(text)) {
+    return DAILY;
+  }
+  if (text == 'weekdays') {
+    return {kind: 'weekdays', weekdays: [1, 2, 3, 4, 5]};
+  }
+  if (text == 'weekends') {
+    return {kind: 'weekdays', weekdays: [0, 6]};
+  }
+  var weekly = /^(\d+) ?(x|times)? ?(a|per|\/|each) ?week$/.exec(text);
+  if (weekly) {
+    var times = parseInt(weekly[1]);
+    if (times < 1 || times > 7) {
+      return null;
+    }
+    return times == 7 ? DAILY : {kind: 'weekly', times: times};
+  }
+  var weekdays = [];
+  var words = text.split(/[\s,&]+/).filter(function(word) {
+    return word.length > 0 && word != 'and';
+  });
+  for (var i = 0; i < words.length; i++) {
+    var day = -1;
+    for (var j = 0; j < DAY_NAMES.length; j++) {
+      if (words[i].substring(0, 3) == DAY_NAMES[j].toLowerCase()) {
+        day = j;
+      }
+    }
+    if (day == -1) {
+      return null;
+    }
+    if (weekdays.indexOf(day) == -1) {
+      weekdays.push(day);
+    }
+  }
+  if (weekdays.length == 0) {
+    return null;
+  }
+  weekdays.sort();
+  return weekdays.length == 7 ? DAILY : {kind: 'weekdays', weekdays: weekdays};
+}
+
+// e.g. "every day", "3x a week", "on weekdays", "on Mon, Wed, Fri"
+function describe(frequency) {
+  frequency = normalize(frequency);
+  if (frequency.kind == 'weekly') {
+    return frequency.times + 'x a week';
+  } else if (frequency.kind == 'weekdays') {
+    if (sameDays(frequency.weekdays, [1, 2, 3, 4, 5])) {
+      return 'on weekdays';
+    }
+    return 'on ' + frequency.weekdays.map(function(day) {
+      return DAY_NAMES[day];
+    }).join(', ');
+  }
+  return 'every day';
+}
+
+// Streak with its unit, weekly goals count streaks in weeks
+function streakLabel(streak, frequency) {
+  var label = '🔥' + String(streak);
+  if (normalize(frequency).kind == 'weekly') {
+    label += 'w';
+  }
+  return label;
+}
+
+exports.DAY_NAMES = DAY_NAMES;
+exports.DAILY = DAILY;
+exports.normalize = normalize;
+exports.parse = parse;
+exports.describe = describe;
+exports.streakLabel = streakLabel;
@@ -0,0 +1,165 @@
+/*
+ * Goal count
+ *
+ * User.numGoals caches how many active goals a user has, so the goal limit
+ * of their tier can be enforced with one atomic update instead of counting
+ * and then saving. A slot is reserved before a goal is saved and released when a goal
+ * is removed or finished (or its save fails), always with $inc.
+ *
+ * The Goal documents are the source of truth: reconcile() recounts them and
+ * repairs users whose cached count drifted.
+ *
+ */
+
+/* jshint node: true */
+'use strict';
+
+var archive = require('./archive');
+
+var DEFAULT_TIER = 'free';
+
+/*
+ * How many goals a user can have. limits maps tiers to their limit, e.g.
+ * {free: 10, plus: 50}; users without a tier (or an unknown one) get the
+ * default tier's.
+ *
+ */
+function limitFor(user, limits) {
+  var tier = user && user.tier;
+  if (tier && limits[tier] != null) {
+    return limits[tier];
+  }
+  return limits[DEFAULT_TIER];
+}
+
+// Takes one goal slot. Calls back with false when the user is at limit
+function reserve(User, senderID, limit, callback) {
+  User.findOneAndUpdate({
+    name: senderID,
+    $or: [{numGoals: {$lt: limit}}, {numGoals: null}]
+  }, {$inc: {numGoals: 1}}, function(err, user) {
+    callback(err, !err && user != null);
+  });
+}
+
+/*
+ * How many goals psid can have of its own when its goals are shared with
+ * other chats (psids, see lib/accounts.js). Their goals count towards psid's
+ * limit, so linking chats doesn't give more goals. Also calls back with
+ * psid's user.
+ *
+ */
+function sharedLimit(User, psids, psid, limits, callback) {
+  User.find({name: {$in: psids}}, function(err, users) {
+    if (err) {
+      return callback(err);
+    }
+    var owner = null;
+    var others = 0;
+    users.forEach(function(user) {
+      if (String(user.name) == String(psid)) {
+        owner = user;
+      } else {
+        others += user.numGoals || 0;
+      }
+    });
+    callback(null, limitFor(owner, limits) - others, owner);
+  });
+}
+
+// Takes a goal slot for psid, counting the goals of the chats in psids
+function reserveShared(User, psids, psid, limits, callback) {
+  sharedLimit(User, psids, psid, limits, function(err, limit) {
+    if (err) {
+      return callback(err, false);
+    }
+    reserve(User, psid, limit, callback);
+  });
+}
+
+// Whether psid has a goal slot left, without taking it
+function hasRoomShared(User, psids, psid, limits, callback) {
+  sharedLimit(User, psids, psid, limits, function(err, limit, owner) {
+    if (err) {
+      return callback(err, false);
+    }
+    callback(null, ((owner && owner.numGoals) || 0) < limit);
+  });
+}
+
+function release(User, senderID, callback) {
+  User.update({name: senderID}, {$inc: {numGoals: -1}}, function(err) {
+    if (callback) {
+      callback(err);
+    }
+  });
+}
+
+// Number of active goals of each user, by PSID
+function countByUser(Goal, callback) {
+  Goal.find(archive.active({}), {user: 1}, function(err, goals) {
+    if (err) {
+      return callback(err);
+    }
+    var counts = {};
+    goals.forEach(function(goal) {
+      counts[goal.user] = (counts[goal.user] || 0) + 1;
+    });
+    callback(null, counts);
+  });
+}
+
+/*
+ * Sets numGoals from the Goal documents for every user where it is off.
+ * Each fix only applies if numGoals hasn't changed since it was read, so it
+ * is safe to run while the bot is up. Calls back with the users fixed as
+ * [{name, was, now}].
+ *
+ */
+function reconcile(User, Goal, callback) {
+  countByUser(Goal, function(err, counts) {
+    if (err) {
+      return callback(err);
+    }
+    User.find({}, function(err, users) {
+      if (err) {
+        return callback(err);
+      }
+      var wrong = users.filter(function(user) {
+        return user.numGoals !== (counts[user.name] || 0);
+      });
+      var fixed = [];
+      var pending = wrong.length;
+      if (pending === 0) {
+        return callback(null, fixed);
+      }
+      var failed = null;
+      wrong.forEach(function(user) {
+        var count = counts[user.name] || 0;
+        var was = user.numGoals == null ? null : user.numGoals;
+        User.update({name: user.name, numGoals: was},
+          {$set: {numGoals: count}},
+          function(err, result) {
+            if (err) {
+              failed = failed || err;
+            } else if (result.n > 0) {
+              fixed.push({name: user.name, was: was, now: count});
+            }
+            pending -= 1;
+            if (pending === 0) {
+              callback(failed, fixed);
+            }
+          });
+      });
+    });
+  });
+}
+
+exports.DEFAULT_TIER = DEFAULT_TIER;
+exports.limitFor = limitFor;
+exports.reserve = reserve;
+exports.reserveShared = reserveShared;
+exports.hasRoomShared = hasRoomShared;
+exports.release = release;
+exports.countByUser = countByUser;
+exports.reconcile = reconcile;
@@ -0,0 +1,584 @@
+/*
+ * Goal service
+ *
+ * The goal rules the chat handlers in app.js and the REST API (lib/api.js)
+ * share: the goal limit, unique names, name and log lengths, setting goals
+ * up, checking in and logging with their streaks, renaming, the bookkeeping
+ * of finishing, deleting and bringing goals back. None of it knows about
+ * Messenger.
+ *
+ * Every method takes the PSID of the chat acting. It sees the goals of the
+ * chats linked with it (see lib/accounts.js), and goals it starts are its
+ * own.
+ *
+ * deps are {User, Goal, accounts, limits}, limits being the goal limits by
+ * tier (see lib/goalCount.js).
+ *
+ * Methods return promises. Requests the rules turn down reject with one of
+ * the GoalError types below, anything else is the database's.
+ *
+ */
+
+/* jshint node: true */
+'use strict';
+
+var util = require('util');
+var ObjectId = require('mongodb').ObjectID;
+var streaks = require('./streak');
+var measure = require('./measure');
+var logs = require('./logs');
+var goalCount = require('./goalCount');
+var categories = require('./category');
+var archive = require('./archive');
+var trash = require('./trash');
+var stats = require('./stats');
+
+var MAX_NAME = 100;
+var MAX_LOG = 96;
+
+/*
+ * Why a request was turned down. reason is a short code to switch on (the
+ * API sends it as its error):
+ *
+ *   missing   - GoalNotFoundError
+ *   finished, active, restored - GoalStatusError
+ *   duplicate - DuplicateGoalError
+ *   limit     - GoalLimitError
+ *   name, text, amount, frequency, target, category - GoalValidationError
+ *
+ */
+function GoalError(reason, message) {
+  Error.call(this, message);
+  Error.captureStackTrace(this, this.constructor);
+  this.name = this.constructor.name;
+  this.reason = reason;
+  this.message = message;
+}
+util.inherits(GoalError, Error);
+
+// There is no such goal, or it was deleted (except when restoring it)
+function GoalNotFoundError() {
+  GoalError.call(this, 'missing', "That goal doesn't exist.");
+}
+util.inherits(GoalNotFoundError, GoalError);
+
+// The goal isn't in the status the request is for: it is 'finished', it is
+// 'active' (so can't be reopened) or it was 'restored' already
+function GoalStatusError(reason) {
+  GoalError.call(this, reason, reason == 'finished' ? "That goal is finished." :
+                               reason == 'active' ? "That goal isn't finished." :
+                               "That goal isn't deleted.");
+}
+util.inherits(GoalStatusError, GoalError);
+
+// There already is an active goal called goalName
+function DuplicateGoalError(goalName) {
+  GoalError.call(this, 'duplicate', "There already is a goal called " + goalName + ".");
+  this.goalName = goalName;
+}
+util.inherits(DuplicateGoalError, GoalError);
+
+function GoalLimitError() {
+  GoalError.call(this, 'limit', "There is no goal slot left.");
+}
+util.inherits(GoalLimitError, GoalError);
+
+// Input that breaks a rule, reason names which
+function GoalValidationError(reason, message) {
+  GoalError.call(this, reason, message);
+}
+util.inherits(GoalValidationError, GoalError);
+
+// Runs fn with a node style callback, as a promise
+function promised(fn) {
+  return new Promise(function(resolve, reject) {
+    fn(function(err, result) {
+      return err ? reject(err) : resolve(result);
+    });
+  });
+}
+
+// Trimmed and capitalized, null if it can't be a goal name
+function cleanName(name) {
+  name = String(name == null ? '' : name).trim();
+  if (name.length == 0 || name.length > MAX_NAME) {
+    return null;
+  }
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+/*
+ * The entry a check-in adds to a goal's log. log is {text, attachments,
+ * amount}; goals with a unit take the amount from the start of the text
+ * when it isn't given. Throws a GoalValidationError if it can't be logged.
+ *
+ */
+function entryFor(goal, log, streak, now, offset) {
+  var text = String(log.text || '');
+  var amount;
+  if (text.length > MAX_LOG) {
+    throw new GoalValidationError('text', "Logs can't be longer than " + MAX_LOG + " characters.");
+  }
+  if (measure.isMeasured(goal)) {
+    if (log.amount != null) {
+      amount = Number(log.amount);
+    } else {
+      var parsed = measure.parseAmount(text, goal.unit);
+      amount = parsed ? parsed.amount : NaN;
+      text = parsed ? parsed.text : text;
+    }
+    if (!isFinite(amount) || amount < 0) {
+      throw new GoalValidationError('amount', "Logs of " + goal.name + " need an amount of " +
+                                              goal.unit + ".");
+    }
+  }
+  return logs.createEntry(text, log.attachments, streak, now, offset, amount);
+}
+
+function createGoalService(deps) {
+
+  function userOf(psid) {
+    return promised(function(done) {
+      deps.User.findOne({name: psid}, done);
+    });
+  }
+
+  function identities(psid) {
+    return promised(function(done) {
+      deps.accounts.identities(psid, done);
+    });
+  }
+
+  function findOneAndUpdate(query, update) {
+    return promised(function(done) {
+      deps.Goal.findOneAndUpdate(query, update, {new: true}, done);
+    });
+  }
+
+  // Gives a goal slot back. A failure only leaves numGoals off, which
+  // goalCount.reconcile() repairs
+  function release(psid) {
+    return promised(function(done) {
+      goalCount.release(deps.User, psid, done);
+    }).catch(function(err) {
+      console.error("Failed giving a goal slot back to %s", psid, err);
+    });
+  }
+
+  // Takes a goal slot for psid, counting the goals of the chats in psids
+  function reserve(psids, psid) {
+    return promised(function(done) {
+      goalCount.reserveShared(deps.User, psids, psid, deps.limits, done);
+    }).then(function(reserved) {
+      if (!reserved) {
+        throw new GoalLimitError();
+      }
+    });
+  }
+
+  // Rejects with a DuplicateGoalError if another active goal the chats in
+  // psids see is called name
+  function checkName(psids, name, except) {
+    var query = archive.active({user: {$in: psids}, name: name});
+    if (except) {
+      query._id = {$ne: except};
+    }
+    return promised(function(done) {
+      deps.Goal.findOne(query, done);
+    }).then(function(existing) {
+      if (existing != null) {
+        throw new DuplicateGoalError(name);
+      }
+    });
+  }
+
+  /*
+   * A goal the chat can see, in status: archive.ACTIVE (the default),
+   * archive.FINISHED, archive.DELETED or 'any' (active or finished).
+   *
+   */
+  function find(psid, id, status) {
+    status = status || archive.ACTIVE;
+    if (!/^[0-9a-f]{24}$/.test(String(id))) {
+      return Promise.reject(new GoalNotFoundError());
+    }
+    return identities(psid).then(function(psids) {
+      return promised(function(done) {
+        deps.Goal.findOne({"_id": ObjectId(String(id)), user: {$in: psids}}, done);
+      });
+    }).then(function(goal) {
+      var actual = goal && archive.statusOf(goal);
+      if (goal == null || (actual == archive.DELETED && status != archive.DELETED)) {
+        throw new GoalNotFoundError();
+      }
+      if (status != 'any' && actual != status) {
+        throw new GoalStatusError(status == archive.DELETED ? 'restored' :
+                                  actual == archive.FINISHED ? 'finished' : 'active');
+      }
+      return goal;
+    });
+  }
+
+  /*
+   * Streaks only change on check-ins, so one that lapsed is still stored as
+   * it was. Brings the streaks of goals up to date, saving the ones that
+   * changed.
+   *
+   */
+  function refreshStreaks(goals, offset) {
+    var today = streaks.dayKey(Date.now(), offset);
+    return Promise.all(goals.map(function(goal) {
+      var update = {};
+      var days = streaks.seedDays(goal, offset);
+      if (days.length != (goal.days || []).length) {
+        // Goals from before days were stored
+        update.days = days;
+      }
+      var streak = streaks.computeStreak(days, today, goal.frequency);
+      if (streak !== goal.streak) {
+        update.streak = streak;
+      }
+      if (Object.keys(update).length == 0) {
+        return goal;
+      }
+      goal.days = days;
+      goal.streak = streak;
+      return promised(function(done) {
+        deps.Goal.update({"_id": goal._id}, {$set: update}, done);
+      }).catch(function(err) {
+        console.error("Failed refreshing streak of goal %s", goal._id, err);
+      }).then(function() {
+        return goal;
+      });
+    }));
+  }
+
+  /*
+   * The chat's goals in status. Active goals come oldest first with their
+   * streaks up to date, finished and deleted ones most recently finished or
+   * deleted first.
+   *
+   */
+  function list(psid, status) {
+    return Promise.all([userOf(psid), identities(psid)]).then(function(results) {
+      var query = {user: {$in: results[1]}};
+      if (status == archive.FINISHED) {
+        query = archive.finished(query);
+      } else if (status == archive.DELETED) {
+        query = trash.deleted(query);
+      } else {
+        query = archive.active(query);
+      }
+      return promised(function(done) {
+        deps.Goal.find(query, done);
+      }).then(function(goals) {
+        goals = goals || [];
+        if (status == archive.FINISHED || status == archive.DELETED) {
+          var field = status == archive.FINISHED ? 'finishedAt' : 'deletedAt';
+          return goals.sort(function(a, b) {
+            return new Date(b[field]).getTime() - new Date(a[field]).getTime();
+          });
+        }
+        // Oldest first, so pages stay put
+        goals.sort(function(a, b) {
+          return String(a._id) < String(b._id) ? -1 : 1;
+        });
+        return refreshStreaks(goals, streaks.userOffset(results[0]));
+      });
+    });
+  }
+
+  // Resolves if the chat can start another goal, so it isn't asked for a
+  // name it can't use
+  function checkRoom(psid) {
+    return identities(psid).then(function(psids) {
+      return promised(function(done) {
+        goalCount.hasRoomShared(deps.User, psids, psid, deps.limits, done);
+      });
+    }).then(function(room) {
+      if (!room) {
+        throw new GoalLimitError();
+      }
+    });
+  }
+
+  /*
+   * Starts a goal. fields are {name, frequency, unit, target}, all but the
+   * name optional. A goal slot is reserved before the goal is saved, so the
+   * limit holds even with two goals started at once. The unique index on
+   * {user, name} catches a duplicate checkName didn't see, and the slot is
+   * given back whenever the goal isn't saved.
+   *
+   */
+  function create(psid, fields) {
+    var name = cleanName(fields.name);
+    if (name == null) {
+      return Promise.reject(new GoalValidationError('name', "Goal names can't be empty or longer than " +
+                                                            MAX_NAME + " characters."));
+    }
+    return identities(psid).then(function(psids) {
+      return checkName(psids, name).then(function() {
+        return reserve(psids, psid);
+      });
+    }).then(function() {
+      var doc = {
+        user: psid,
+        name: name,
+        status: archive.ACTIVE,
+        createdAt: new Date(),
+        streak: 0,
+        log: [],
+        lastUpdate: Date.now(),
+        days: [],
+        total: 0,
+        category: categories.classify(name)
+      };
+      if (fields.frequency) {
+        doc.frequency = fields.frequency;
+      }
+      if (fields.unit) {
+        doc.unit = fields.unit;
+        doc.target = fields.target;
+        doc.quantity = 0;
+      }
+      return promised(function(done) {
+        new deps.Goal(doc).save(done);
+      }).catch(function(err) {
+        return release(psid).then(function() {
+          throw err.code == 11000 ? new DuplicateGoalError(name) : err;
+        });
+      });
+    });
+  }
+
+  // How often a new goal is worked on, see lib/frequency.js
+  function setFrequency(psid, id, frequency) {
+    if (frequency == null) {
+      return Promise.reject(new GoalValidationError('frequency', "That isn't a frequency."));
+    }
+    return find(psid, id).then(function(goal) {
+      return findOneAndUpdate({"_id": goal._id},
+                              {$set: {frequency: frequency}, $unset: {warnAt: 1}});
+    });
+  }
+
+  // measured is {target, unit} from measure.parseTarget
+  function setTarget(psid, id, measured) {
+    if (measured == null) {
+      return Promise.reject(new GoalValidationError('target', "Targets are a number and a unit."));
+    }
+    return find(psid, id).then(function(goal) {
+      return findOneAndUpdate({"_id": goal._id},
+                              {$set: {unit: measured.unit, target: measured.target, quantity: 0}});
+    });
+  }
+
+  function setCategory(psid, id, category) {
+    if (categories.find(category) == null) {
+      return Promise.reject(new GoalValidationError('category', "There is no category " + category + "."));
+    }
+    return find(psid, id).then(function(goal) {
+      return findOneAndUpdate({"_id": goal._id}, {$set: {category: category}});
+    });
+  }
+
+  // Finished goals can share names, active ones can't
+  function rename(psid, id, name) {
+    return find(psid, id, 'any').then(function(goal) {
+      name = cleanName(name);
+      if (name == null) {
+        throw new GoalValidationError('name', "Goal names can't be empty or longer than " +
+                                              MAX_NAME + " characters.");
+      }
+      var checked = archive.isFinished(goal) ? Promise.resolve() :
+        identities(psid).then(function(psids) {
+          return checkName(psids, name, goal._id);
+        });
+      return checked.then(function() {
+        return findOneAndUpdate({"_id": goal._id, user: goal.user}, {$set: {name: name}});
+      }).catch(function(err) {
+        throw err.code == 11000 ? new DuplicateGoalError(name) : err;
+      }).then(function(renamed) {
+        if (renamed == null) {
+          throw new GoalNotFoundError();
+        }
+        return renamed;
+      });
+    });
+  }
+
+  /*
+   * Checks in on an active goal, resolving with the updated goal. With a log
+   * ({text, attachments, amount}) the check-in is logged too, and turned
+   * down if the log can't be.
+   *
+   */
+  function checkIn(psid, id, log) {
+    return Promise.all([find(psid, id), userOf(psid)]).then(function(results) {
+      var goal = results[0];
+      var now = Date.now();
+      var offset = streaks.userOffset(results[1]);
+      var today = streaks.dayKey(now, offset);
+      var days = streaks.addDay(streaks.seedDays(goal, offset), today);
+      var streak = streaks.computeStreak(days, today, goal.frequency);
+      var update = {
+        $set: {days: days, lastUpdate: now, streak: streak},
+        $unset: {warnAt: 1},
+        $inc: {total: 1}
+      };
+      if (log) {
+        var entry = entryFor(goal, log, streak, now, offset);
+        update.$push = {log: {$each: [entry], $position: 0}};
+        if (measure.isMeasured(goal)) {
+          update.$inc.quantity = entry.amount;
+        }
+      }
+      return findOneAndUpdate({"_id": goal._id}, update);
+    }).then(function(updated) {
+      if (updated == null) {
+        throw new GoalNotFoundError();
+      }
+      return updated;
+    });
+  }
+
+  // Logs a check-in already made today, like the chat asks for after one
+  function addLog(psid, id, log) {
+    return Promise.all([find(psid, id), userOf(psid)]).then(function(results) {
+      var goal = results[0];
+      var entry = entryFor(goal, log, goal.streak, Date.now(), streaks.userOffset(results[1]));
+      var update = {$push: {log: {$each: [entry], $position: 0}}};
+      if (measure.isMeasured(goal)) {
+        update.$inc = {quantity: entry.amount};
+      }
+      return findOneAndUpdate({"_id": goal._id}, update);
+    }).then(function(updated) {
+      if (updated == null) {
+        throw new GoalNotFoundError();
+      }
+      return updated;
+    });
+  }
+
+  // A page of an active or finished goal's log, newest first, as
+  // {goal, entries, total}
+  function readLogs(psid, id, index, size) {
+    return find(psid, id, 'any').then(function(goal) {
+      var log = goal.log || [];
+      return {goal: goal, entries: log.slice(index, index + size), total: log.length};
+    });
+  }
+
+  // {goal, stats} of an active or finished goal, see lib/stats.js
+  function goalStats(psid, id) {
+    return Promise.all([find(psid, id, 'any'), userOf(psid)]).then(function(results) {
+      return {
+        goal: results[0],
+        stats: stats.compute(results[0], Date.now(), streaks.userOffset(results[1]))
+      };
+    });
+  }
+
+  /*
+   * Changes an active goal with update, as long as it is still active, and
+   * gives its slot back to the chat that started it. Only the request that
+   * actually changes it gives the slot back.
+   *
+   */
+  function retire(goal, update) {
+    return findOneAndUpdate(archive.active({"_id": goal._id, user: goal.user}), update)
+      .then(function(retired) {
+        if (retired == null) {
+          throw new GoalNotFoundError();
+        }
+        return release(goal.user).then(function() {
+          return retired;
+        });
+      });
+  }
+
+  // The goal is kept, marked finished with its stats
+  function finish(psid, id) {
+    return Promise.all([find(psid, id), userOf(psid)]).then(function(results) {
+      var goal = results[0];
+      var fields = archive.finishFields(goal, Date.now(), streaks.userOffset(results[1]));
+      return retire(goal, {$set: fields});
+    });
+  }
+
+  // The goal goes to Recently Deleted, see lib/trash.js
+  function remove(psid, id) {
+    return find(psid, id).then(function(goal) {
+      return retire(goal, {$set: trash.deleteFields(Date.now())});
+    });
+  }
+
+  /*
+   * Reopening a finished goal or restoring a deleted one takes a goal slot
+   * like starting a goal does, and can't leave two active goals with the
+   * same name. scope limits the update to goals still in status.
+   *
+   */
+  function activate(psid, id, status, scope, update) {
+    return Promise.all([find(psid, id, status), identities(psid)]).then(function(results) {
+      var goal = results[0];
+      var psids = results[1];
+      return checkName(psids, goal.name).then(function() {
+        // The slot goes to the chat that started the goal
+        return reserve(psids, goal.user);
+      }).then(function() {
+        return findOneAndUpdate(scope({"_id": goal._id, user: goal.user}), update)
+          .catch(function(err) {
+            return release(goal.user).then(function() {
+              throw err.code == 11000 ? new DuplicateGoalError(goal.name) : err;
+            });
+          });
+      }).then(function(activated) {
+        if (activated == null) {
+          return release(goal.user).then(function() {
+            throw new GoalNotFoundError();
+          });
+        }
+        return activated;
+      });
+    });
+  }
+
+  function reopen(psid, id) {
+    return activate(psid, id, archive.FINISHED, archive.finished, archive.reopenUpdate());
+  }
+
+  function restore(psid, id) {
+    return activate(psid, id, archive.DELETED, trash.deleted, trash.restoreUpdate());
+  }
+
+  return {
+    find: find,
+    list: list,
+    checkRoom: checkRoom,
+    create: create,
+    setFrequency: setFrequency,
+    setTarget: setTarget,
+    setCategory: setCategory,
+    rename: rename,
+    checkIn: checkIn,
+    addLog: addLog,
+    logs: readLogs,
+    stats: goalStats,
+    finish: finish,
+    remove: remove,
+    reopen: reopen,
+    restore: restore
+  };
+}
+
+exports.MAX_NAME = MAX_NAME;
+exports.MAX_LOG = MAX_LOG;
+exports.GoalError = GoalError;
+exports.GoalNotFoundError = GoalNotFoundError;
+exports.GoalStatusError = GoalStatusError;
+exports.DuplicateGoalError = DuplicateGoalError;
+exports.GoalLimitError = GoalLimitError;
+exports.GoalValidationError = GoalValidationError;
+exports.cleanName = cleanName;
+exports.createGoalService = createGoalService;
@@ -0,0 +1,157 @@
+/*
+ * Calendar heatmap
+ *
+ * Draws a goal's check-ins as a grid of days, one column per week (Monday
+ * on top) and greener for busier days, like a GitHub contribution graph.
+ * The PNG is encoded here with zlib so nothing but Node is needed:
+ *
+ *   var png = heatmap.render(heatmap.levelsFor(goal), today);
+ *
+ */
+
+/* jshint node: true */
+'use strict';
+
+var zlib = require('zlib');
+var streaks = require('./streak');
+
+var WEEKS = 20;
+var CELL = 18;
+var GAP = 4;
+var PADDING = 12;
+
+// Background, then no check-in and the four levels of activity
+var BACKGROUND = [255, 255, 255];
+var COLORS = [
+  [235, 237, 240],
+  [155, 233, 168],
+  [64, 196, 99],
+  [48, 161, 78],
+  [33, 110, 57]
+];
+
+var CRC_TABLE = (function() {
+  var table = [];
+  for (var n = 0; n < 256; n++) {
+    var c = n;
+    for (var k = 0; k < 8; k++) {
+      c = (c & 1) ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table.push(c >>> 0);
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  var crc = 0xffffffff;
+  for (var i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+  var length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length, 0);
+  var body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  var crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body), 0);
+  return Buffer.concat([length, body, crc]);
+}
+
+// A PNG of an RGB image, pixels being width * height * 3 bytes
+function encodePNG(width, height, pixels) {
+  var header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;  // bits per channel
+  header[9] = 2;  // RGB
+  // Every row starts with filter type 0 (none)
+  var stride = width * 3;
+  var raw = Buffer.alloc((stride + 1) * height);
+  for (var y = 0; y < height; y++) {
+    pixels.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  }
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/*
+ * How busy each day of a goal was, from 1 to 4, by date key. Measurable
+ * goals go by the amount logged, others by the number of check-ins, both
+ * compared to the busiest day.
+ *
+ */
+function levelsFor(goal, offset) {
+  var values = {};
+  streaks.seedDays(goal, offset).forEach(function(key) {
+    values[key] = 0;
+  });
+  (goal.log || []).forEach(function(entry) {
+    if (entry.day && values[entry.day] != null) {
+      values[entry.day] += goal.unit ? (entry.amount || 0) : 1;
+    }
+  });
+  var max = 0;
+  Object.keys(values).forEach(function(key) {
+    max = Math.max(max, values[key]);
+  });
+  var levels = {};
+  Object.keys(values).forEach(function(key) {
+    levels[key] = max > 0 ? Math.max(1, Math.ceil(4 * values[key] / max)) : 4;
+  });
+  return levels;
+}
+
+// Top left pixel of the cell of day in a grid ending with today's week
+function cellOrigin(day, today, weeks) {
+  var column = weeks - 1 - (streaks.weekNumber(today) - streaks.weekNumber(day));
+  var row = (streaks.weekday(day) + 6) % 7;
+  return {x: PADDING + column * (CELL + GAP), y: PADDING + row * (CELL + GAP)};
+}
+
+/*
+ * Renders levels (see levelsFor) for the weeks up to today's, weeks
+ * defaulting to WEEKS. Days after today are left blank.
+ *
+ */
+function render(levels, today, weeks) {
+  weeks = weeks || WEEKS;
+  var width = PADDING * 2 + weeks * (CELL + GAP) - GAP;
+  var height = PADDING * 2 + 7 * (CELL + GAP) - GAP;
+  var pixels = Buffer.alloc(width * height * 3);
+  function fill(x0, y0, color) {
+    for (var y = y0; y < y0 + CELL; y++) {
+      for (var x = x0; x < x0 + CELL; x++) {
+        var i = (y * width + x) * 3;
+        pixels[i] = color[0];
+        pixels[i + 1] = color[1];
+        pixels[i + 2] = color[2];
+      }
+    }
+  }
+  for (var i = 0; i < width * height; i++) {
+    pixels[i * 3] = BACKGROUND[0];
+    pixels[i * 3 + 1] = BACKGROUND[1];
+    pixels[i * 3 + 2] = BACKGROUND[2];
+  }
+  // Monday of the first week shown
+  var day = streaks.shiftDay(today, -((streaks.weekday(today) + 6) % 7) - (weeks - 1) * 7);
+  for (; day <= today; day = streaks.shiftDay(day, 1)) {
+    var origin = cellOrigin(day, today, weeks);
+    fill(origin.x, origin.y, COLORS[levels[day] || 0]);
+  }
+  return encodePNG(width, height, pixels);
+}
+
+exports.WEEKS = WEEKS;
+exports.COLORS = COLORS;
+exports.crc32 = crc32;
+exports.encodePNG = encodePNG;
+exports.levelsFor = levelsFor;
+exports.cellOrigin = cellOrigin;
+exports.render = render;
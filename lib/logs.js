@@ -0,0 +1,156 @@
+/*
+ * Goal log entries
+ *
+ * Helpers for building and displaying the check-in history stored on each
+ * Goal, and for reading the old "M/D text" strings it replaced.
+ *
+ */
+
+/* jshint node: true */
+'use strict';
+
+var streaks = require('./streak');
+
+// 'YYYY-MM-DD' -> 'M/D/YYYY'
+function formatDay(key) {
+  var parts = key.split('-');
+  return Number(parts[1]) + '/' + Number(parts[2]) + '/' + parts[0];
+}
+
+function createEntry(text, attachments, streak, time, offset, amount) {
+  return {
+    time: new Date(time),
+    day: streaks.dayKey(time, offset),
+    text: text || '',
+    attachments: (attachments || []).map(function(attachment) {
+      return {
+        type: attachment.type,
+        url: attachment.payload && attachment.payload.url
+      };
+    }),
+    streak: streak,
+    amount: amount
+  };
+}
+
+// One line of the View Logs message, unit is set for goals with amounts
+function formatEntry(entry, unit) {
+  var line = formatDay(entry.day) + ' ';
+  if (unit && entry.amount != null) {
+    line += '+' + entry.amount + ' ' + unit + (entry.text ? ' ' : '');
+  }
+  line += entry.text;
+  if (entry.attachments && entry.attachments.length > 0) {
+    line += ' 📎' + (entry.attachments.length > 1 ? entry.attachments.length : '');
+  }
+  if (entry.streak) {
+    line += ' 🔥' + entry.streak;
+  }
+  return line;
+}
+
+// Shown when a goal is finished, e.g. "Run 🔥12 (9/1/2017 - 9/18/2017)"
+function summary(goal) {
+  var text = goal.name + ' 🔥' + goal.total;
+  var log = goal.log || [];
+  if (log.length > 0) {
+    // Entries are stored newest first
+    var first = formatDay(log[log.length - 1].day);
+    var last = formatDay(log[0].day);
+    text += ' (' + (first == last ? first : first + ' - ' + last) + ')';
+  }
+  return text;
+}
+
+/*
+ * The update that removes the log entry with id entryId from goal, taking
+ * its check-in back: the day is dropped from days when no other entry is on
+ * it, and total, quantity and the streak (as of today) follow. null when the
+ * goal has no such entry.
+ *
+ */
+function removeEntry(goal, entryId, today) {
+  var log = goal.log || [];
+  var entry = log.filter(function(item) {
+    return String(item._id) == String(entryId);
+  })[0];
+  if (!entry) {
+    return null;
+  }
+  var sameDay = log.some(function(item) {
+    return item !== entry && item.day == entry.day;
+  });
+  var days = (goal.days || []).filter(function(key) {
+    return sameDay || key != entry.day;
+  });
+  var fields = {
+    days: days,
+    total: Math.max(0, (goal.total || 0) - 1),
+    streak: streaks.computeStreak(days, today, goal.frequency)
+  };
+  if (entry.amount != null) {
+    fields.quantity = Math.max(0, (goal.quantity || 0) - entry.amount);
+  }
+  return {$pull: {log: {_id: entry._id}}, $set: fields};
+}
+
+/*
+ * Convert the legacy log strings of a goal, newest first, into entries. They
+ * were written as getMonth() + '/' + getDate() + ' ' + text, so the month is
+ * zero-based and there is no year. Years are worked out by walking back from
+ * the goal's last update: every time the date goes up, a year has passed.
+ * A day of slack allows for the server's clock being ahead of UTC.
+ *
+ */
+function parseLegacy(strings, lastUpdate) {
+  var reference = new Date(lastUpdate < 1e12 ? lastUpdate * 1000 : lastUpdate);
+  // The newest entry can be up to a day into the next year
+  var year = reference.getUTCFullYear() + 1;
+  var previous = reference.getTime();
+  var entries = [];
+
+  strings.forEach(function(string) {
+    var match = /^(\d{1,2})\/(\d{1,2}) ?([\s\S]*)$/.exec(string);
+    var month = match && Number(match[1]);
+    var date = match && Number(match[2]);
+    // Only dates that exist, in a leap year like 2016 at least
+    if (!match || month > 11 || date < 1 ||
+        date > new Date(Date.UTC(2016, month + 1, 0)).getUTCDate()) {
+      entries.push(createEntry(string, [], undefined, reference.getTime(), 0));
+      return;
+    }
+    // Noon UTC keeps the day the same for any timezone offset under 12 hours
+    var time = Date.UTC(year, month, date, 12);
+    // February 29th also means a leap year
+    while (time > previous + streaks.DAY || new Date(time).getUTCDate() != date) {
+      year -= 1;
+      time = Date.UTC(year, month, date, 12);
+    }
+    previous = time;
+    entries.push(createEntry(match[3], [], undefined, time, 0));
+  });
+  return entries;
+}
+
+/*
+ * A goal's log with its legacy strings turned into entries where they are,
+ * leaving entries that already were alone.
+ *
+ */
+function migrateLog(log, lastUpdate) {
+  var entries = parseLegacy(log.filter(function(item) {
+    return typeof item == 'string';
+  }), lastUpdate);
+  var i = 0;
+  return log.map(function(item) {
+    return typeof item == 'string' ? entries[i++] : item;
+  });
+}
+
+exports.formatDay = formatDay;
+exports.createEntry = createEntry;
+exports.formatEntry = formatEntry;
+exports.summary = summary;
+exports.removeEntry = removeEntry;
+exports.parseLegacy = parseLegacy;
+exports.migrateLog = migrateLog;
@@ -0,0 +1,84 @@
+/*
+ * Measurable goals
+ *
+ * A goal can have a unit and a target amount per period, e.g. 20 pages a
+ * day. Logs then carry an amount, and progress is the sum of the amounts
+ * logged in the current period (the day, or the week for weekly goals).
+ *
+ */
+
+/* jshint node: true */
+'use strict';
+
+var frequencies = require('./frequency');
+var streaks = require('./streak');
+
+var NUMBER = '(\\d+(?:\\.\\d+)?)';
+
+function isMeasured(goal) {
+  return Boolean(goal.unit);
+}
+
+// "20 pages" -> {target: 20, unit: 'pages'}, null if it isn't one
+function parseTarget(text) {
+  var match = new RegExp('^' + NUMBER + ' ?([^\\d\\s][\\s\\S]{0,19})$').exec(text.trim());
+  if (!match || Number(match[1]) <= 0) {
+    return null;
+  }
+  return {target: Number(match[1]), unit: match[2].trim()};
+}
+
+/*
+ * Reads the amount at the start of a log for a goal with a unit, so "12",
+ * "12 read chapter 3" and "12 pages read chapter 3" all log 12 pages.
+ * Returns null when the log doesn't start with a number.
+ *
+ */
+function parseAmount(text, unit) {
+  var match = new RegExp('^' + NUMBER + '([\\s\\S]*)$').exec(text.trim());
+  if (!match) {
+    return null;
+  }
+  var rest = match[2].trim();
+  if (unit && rest.substring(0, unit.length).toLowerCase() == unit.toLowerCase()) {
+    rest = rest.substring(unit.length).trim();
+  }
+  return {amount: Number(match[1]), text: rest};
+}
+
+// Amount logged in the period containing today
+function periodAmount(goal, today) {
+  var weekly = frequencies.normalize(goal.frequency).kind == 'weekly';
+  var week = streaks.weekNumber(today);
+  return (goal.log || []).reduce(function(sum, entry) {
+    var inPeriod = weekly ? streaks.weekNumber(entry.day) == week :
+                            entry.day == today;
+    return inPeriod && entry.amount ? sum + entry.amount : sum;
+  }, 0);
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// e.g. "12/20 pages today", "" for goals without a unit
+function progressLabel(goal, today) {
+  if (!isMeasured(goal)) {
+    return '';
+  }
+  var weekly = frequencies.normalize(goal.frequency).kind == 'weekly';
+  return round(periodAmount(goal, today)) + '/' + goal.target + ' ' +
+         goal.unit + (weekly ? ' this week' : ' today');
+}
+
+// e.g. "340 pages in total"
+function totalLabel(goal) {
+  return round(goal.quantity || 0) + ' ' + goal.unit + ' in total';
+}
+
+exports.isMeasured = isMeasured;
+exports.parseTarget = parseTarget;
+exports.parseAmount = parseAmount;
+exports.periodAmount = periodAmount;
+exports.progressLabel = progressLabel;
+exports.totalLabel = totalLabel;
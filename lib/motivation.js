@@ -0,0 +1,142 @@
+/*
+ * Motivation sent after progress is added
+ *
+ * Items come from sources (see lib/motivationSources.js), tried in order
+ * until one has something to offer, so a source that is down or empty never
+ * leaves the user without a reply. Users can put one source first and mute
+ * any of them; that is stored on the User as motivation {preferred, muted}.
+ *
+ * Users get items they haven't seen before first. The keys of the items they
+ * were sent are kept on the User in seenMotivation, newest first, capped at
+ * SEEN_LIMIT.
+ *
+ * Items made for the goal's category win over general ones, which win over
+ * items for other categories, whatever source they come from.
+ *
+ */
+
+/* jshint node: true */
+'use strict';
+
+var categories = require('./category');
+
+var SEEN_LIMIT = 200;
+
+function seenKey(source, item) {
+  return source.id + ':' + item.id;
+}
+
+// The first item not seen yet, or else the one seen the longest ago
+function choose(source, items, seen) {
+  var best = null;
+  var bestIndex = -1;
+  for (var i = 0; i < items.length; i++) {
+    var index = seen.indexOf(seenKey(source, items[i]));
+    if (index == -1) {
+      return items[i];
+    }
+    if (index > bestIndex) {
+      best = items[i];
+      bestIndex = index;
+    }
+  }
+  return best;
+}
+
+function createMotivation(options) {
+  var sources = options.sources;
+
+  function find(id) {
+    return sources.filter(function(source) {
+      return source.id == id;
+    })[0] || null;
+  }
+
+  function preferences(user) {
+    var prefs = (user && user.motivation) || {};
+    return {preferred: prefs.preferred || null, muted: prefs.muted || []};
+  }
+
+  // The sources to try for a user, in order
+  function order(user) {
+    var prefs = preferences(user);
+    var chain = sources.filter(function(source) {
+      return prefs.muted.indexOf(source.id) == -1;
+    });
+    var first = chain.filter(function(source) {
+      return source.id == prefs.preferred;
+    });
+    return first.concat(chain.filter(function(source) {
+      return source.id != prefs.preferred;
+    }));
+  }
+
+  // The items of every source in the chain, [] for the ones that failed
+  function listAll(chain, callback) {
+    var lists = [];
+    (function next(i) {
+      if (i >= chain.length) {
+        return callback(lists);
+      }
+      chain[i].list(function(err, items) {
+        if (err) {
+          console.error("Motivation source %s failed", chain[i].id, err);
+        }
+        lists.push(err ? [] : items || []);
+        next(i + 1);
+      });
+    })(0);
+  }
+
+  /*
+   * Calls back with (err, item, source) for a user, or a null item when
+   * every source is muted or failed. options.category is the goal's,
+   * options.imageOnly leaves out items without an image and
+   * options.suitedOnly items made for other categories.
+   *
+   */
+  function pick(user, options, callback) {
+    var chain = order(user);
+    var seen = (user && user.seenMotivation) || [];
+    var category = options.category || categories.GENERAL;
+    var tiers = [
+      function(item) {
+        return (item.categories || []).indexOf(category) != -1;
+      },
+      function(item) {
+        return (item.categories || []).length === 0;
+      },
+      function() {
+        return !options.suitedOnly;
+      }
+    ];
+    function usable(tier) {
+      return function(item) {
+        return (item.image || !options.imageOnly) && tier(item);
+      };
+    }
+    listAll(chain, function(lists) {
+      for (var t = 0; t < tiers.length; t++) {
+        for (var i = 0; i < chain.length; i++) {
+          var items = lists[i].filter(usable(tiers[t]));
+          if (items.length > 0) {
+            return callback(null, choose(chain[i], items, seen), chain[i]);
+          }
+        }
+      }
+      callback(null, null, null);
+    });
+  }
+
+  return {
+    sources: sources,
+    find: find,
+    preferences: preferences,
+    order: order,
+    pick: pick
+  };
+}
+
+exports.SEEN_LIMIT = SEEN_LIMIT;
+exports.seenKey = seenKey;
+exports.createMotivation = createMotivation;
@@ -0,0 +1,219 @@
+/*
+ * Motivation cache
+ *
+ * Remote sources (those marked remote, like subreddits) are slow and can be
+ * down, so they are never asked for items while a user waits. Instead their
+ * items are fetched in the background, checked and kept here:
+ *
+ *   var cache = createMotivationCache({sources: [...], checkImage: fn});
+ *   refresher.add('motivation', cache.createRefreshJob(30 * 60 * 1000));
+ *   createMotivation({sources: cache.sources});
+ *
+ * cache.sources are the same sources with the remote ones answering from the
+ * cache. A remote source with nothing cached yet offers no items (so the next
+ * source is tried) and gets refreshed. A failed refresh keeps the items from
+ * the last good one.
+ *
+ */
+
+/* jshint node: true */
+'use strict';
+
+var request = require('request');
+var eachSeries = require('./scheduler').eachSeries;
+
+var IMAGE_TYPES = /^image\/(jpeg|png|gif)\b/;
+
+/*
+ * Calls back with whether url is served as an image Messenger can show.
+ * Only http(s) URLs are tried, with a HEAD request.
+ *
+ */
+function checkImage(url, callback) {
+  if (!/^https?:\/\/[^\s]+$/.test(url)) {
+    return callback(null, false);
+  }
+  request({uri: url, method: 'HEAD', timeout: 5000}, function(err, response) {
+    if (err) {
+      return callback(null, false);
+    }
+    callback(null, response.statusCode == 200 &&
+                   IMAGE_TYPES.test(response.headers['content-type'] || ''));
+  });
+}
+
+// The same picture is often posted with different query strings
+function imageKey(url) {
+  return url.replace(/^https?:\/\//, '').replace(/[?#].*$/, '').toLowerCase();
+}
+
+function createMotivationCache(options) {
+  var check = options.checkImage || checkImage;
+  var maxItems = options.maxItems || 50;
+  var timeout = options.timeout || 2 * 60 * 1000;
+  var entries = {};
+  // Bumped by clear() so a refresh that started before it is dropped
+  var generation = 0;
+
+  function entry(id) {
+    if (!entries[id]) {
+      entries[id] = {items: null, refreshedAt: null, refreshing: false};
+    }
+    return entries[id];
+  }
+
+  // Images already cached by another source
+  function cachedImages(exceptId) {
+    var keys = {};
+    Object.keys(entries).forEach(function(id) {
+      if (id != exceptId) {
+        (entries[id].items || []).forEach(function(item) {
+          if (item.image) {
+            keys[imageKey(item.image)] = true;
+          }
+        });
+      }
+    });
+    return keys;
+  }
+
+  // Drops duplicates and items whose image doesn't check out
+  function vet(source, items, callback) {
+    var seen = cachedImages(source.id);
+    var vetted = [];
+    eachSeries(items, function(item, done) {
+      if (vetted.length >= maxItems) {
+        return done();
+      }
+      if (!item.image) {
+        if (item.text) {
+          vetted.push(item);
+        }
+        return done();
+      }
+      var key = imageKey(item.image);
+      if (seen[key]) {
+        return done();
+      }
+      seen[key] = true;
+      check(item.image, function(err, ok) {
+        if (ok) {
+          vetted.push(item);
+        }
+        done();
+      });
+    }, function() {
+      callback(vetted);
+    });
+  }
+
+  // Gives up after timeout, so a source that never answers can be tried
+  // again and doesn't hold up whoever waits for it
+  function refreshSource(source, now, callback) {
+    var cached = entry(source.id);
+    var started = generation;
+    var finished = false;
+    if (cached.refreshing) {
+      return callback();
+    }
+    cached.refreshing = true;
+
+    function finish(err, vetted) {
+      if (finished) {
+        return;
+      }
+      finished = true;
+      clearTimeout(timer);
+      cached.refreshing = false;
+      if (err) {
+        console.error("Refreshing motivation from %s failed: %s", source.id, err.message);
+        return callback(err);
+      }
+      if (started == generation) {
+        cached.items = vetted;
+        cached.refreshedAt = now;
+      }
+      callback();
+    }
+
+    var timer = setTimeout(function() {
+      finish(new Error("No answer after " + timeout + " ms"));
+    }, timeout);
+    source.list(function(err, items) {
+      if (finished || err) {
+        return finish(err);
+      }
+      vet(source, items || [], function(vetted) {
+        finish(null, vetted);
+      });
+    });
+  }
+
+  var remote = options.sources.filter(function(source) {
+    return source.remote;
+  });
+
+  // Fetches every remote source again, one at a time
+  function refresh(now, callback) {
+    eachSeries(remote, function(source, done) {
+      refreshSource(source, now, function() {
+        done();
+      });
+    }, function() {
+      if (callback) {
+        callback();
+      }
+    });
+  }
+
+  // A scheduler job refreshing sources older than maxAge
+  function createRefreshJob(maxAge) {
+    return function(now, done) {
+      eachSeries(remote, function(source, next) {
+        var cached = entry(source.id);
+        if (cached.refreshedAt != null && now - cached.refreshedAt < maxAge) {
+          return next();
+        }
+        refreshSource(source, now, function() {
+          next();
+        });
+      }, done);
+    };
+  }
+
+  var sources = options.sources.map(function(source) {
+    if (!source.remote) {
+      return source;
+    }
+    return {
+      id: source.id,
+      label: source.label,
+      list: function(callback) {
+        var cached = entry(source.id);
+        if (cached.items == null) {
+          refreshSource(source, Date.now(), function() {});
+        }
+        var items = cached.items || [];
+        setImmediate(function() {
+          callback(null, items);
+        });
+      }
+    };
+  });
+
+  function clear() {
+    generation += 1;
+    entries = {};
+  }
+
+  return {
+    sources: sources,
+    refresh: refresh,
+    createRefreshJob: createRefreshJob,
+    clear: clear
+  };
+}
+
+exports.checkImage = checkImage;
+exports.imageKey = imageKey;
+exports.createMotivationCache = createMotivationCache;
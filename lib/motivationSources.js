@@ -0,0 +1,151 @@
+/*
+ * Motivation sources
+ *
+ * A source is {id, label, list(callback)}. list calls back with the items it
+ * can offer right now, each {id, text, image} with text and/or image set. id
+ * identifies the item within the source. Sources that go over the network
+ * are marked remote and only read through lib/motivationCache.js.
+ *
+ * Items also list the goal categories they suit (see lib/category.js) in
+ * categories, empty for items that suit any goal.
+ *
+ */
+
+/* jshint node: true */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var reddit = require('redwrap');
+var categories = require('./category');
+
+var IMAGE_FILE = /\.(png|jpe?g|gif)$/i;
+
+// Curated quotes shipped with the bot, see lib/quotes.json
+function createQuoteSource(quotes) {
+  quotes = quotes || require('./quotes.json');
+  return {
+    id: 'quotes',
+    label: 'Quotes',
+    list: function(callback) {
+      setImmediate(function() {
+        callback(null, quotes.map(function(quote, i) {
+          return {
+            id: String(i),
+            text: '"' + quote.text + '" - ' + quote.author,
+            categories: quote.categories || []
+          };
+        }));
+      });
+    }
+  };
+}
+
+// "keep-going.jpg" -> "Keep going"
+function caption(file) {
+  var words = file.replace(IMAGE_FILE, '').replace(/[-_]+/g, ' ').trim();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+// Image files in a folder, as [name], or [] if there's no folder
+function imageFiles(folder, callback) {
+  fs.readdir(folder, function(err, files) {
+    if (err && (err.code == 'ENOENT' || err.code == 'ENOTDIR')) {
+      return callback(null, []);
+    } else if (err) {
+      return callback(err);
+    }
+    callback(null, files.filter(function(file) {
+      return IMAGE_FILE.test(file);
+    }).sort());
+  });
+}
+
+/*
+ * Images dropped in a folder that express serves statically, e.g.
+ * public/assets/motivation served at <serverURL>/assets/motivation. Images
+ * for one category go in a folder named after it, e.g. motivation/fitness.
+ *
+ */
+function createFolderSource(options) {
+  var folders = [null].concat(categories.CATEGORIES.map(function(category) {
+    return category.id;
+  }).filter(function(id) {
+    return id != categories.GENERAL;
+  }));
+  return {
+    id: 'images',
+    label: 'Pictures',
+    list: function(callback) {
+      var items = [];
+      var failed = null;
+      var pending = folders.length;
+      folders.forEach(function(category) {
+        var prefix = category ? category + '/' : '';
+        imageFiles(path.join(options.folder, prefix), function(err, files) {
+          failed = failed || err;
+          files = files || [];
+          files.forEach(function(file) {
+            items.push({
+              id: prefix + file,
+              text: caption(file),
+              image: options.baseUrl + '/' + prefix + encodeURIComponent(file),
+              categories: category ? [category] : []
+            });
+          });
+          pending -= 1;
+          if (pending === 0) {
+            items.sort(function(a, b) {
+              return a.id < b.id ? -1 : (a.id > b.id ? 1 : 0);
+            });
+            callback(failed, failed ? null : items);
+          }
+        });
+      });
+    }
+  };
+}
+
+// Imgur pages (not direct image links) can't be sent as images
+function isDirectImage(url) {
+  return !/imgur/.test(url) || /\.(png|jpe?g)$/i.test(url);
+}
+
+// Image posts of a subreddit with at least minScore upvotes, oldest first
+function createRedditSource(subreddit, options) {
+  var minScore = (options && options.minScore != null) ? options.minScore : 50;
+  return {
+    id: 'r/' + subreddit,
+    label: 'r/' + subreddit,
+    remote: true,
+    list: function(callback) {
+      reddit.r(subreddit, function(err, data) {
+        if (err || !data || !data.data || !data.data.children) {
+          return callback(err || new Error("No posts from r/" + subreddit));
+        }
+        var posts = data.data.children.map(function(child) {
+          return child.data;
+        }).filter(function(post) {
+          return post.link_flair_css_class == 'image' && post.score >= minScore &&
+                 isDirectImage(post.url);
+        }).sort(function(a, b) {
+          return a.created_utc - b.created_utc;
+        });
+        callback(null, posts.map(function(post) {
+          var text = post.title.replace(/^\[image\]/i, '').trim();
+          var category = categories.classify(text);
+          return {
+            id: post.url,
+            text: text,
+            image: post.url,
+            categories: category == categories.GENERAL ? [] : [category]
+          };
+        }));
+      });
+    }
+  };
+}
+
+exports.createQuoteSource = createQuoteSource;
+exports.createFolderSource = createFolderSource;
+exports.createRedditSource = createRedditSource;
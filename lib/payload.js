@@ -0,0 +1,86 @@
+/*
+ * Payload codec
+ *
+ * Quick reply and postback payloads are versioned JSON naming a handler and
+ * its arguments, e.g. {"v":1,"h":"logs","a":{"id":"59c0...","index":5}}.
+ *
+ * Payloads from before the codec (strings like "yes  <id>" or "logs5!<id>")
+ * can still be tapped in old messages, and the Get Started button is set up
+ * on the Facebook side with "Payload start", so those are read too.
+ *
+ */
+
+/* jshint node: true */
+'use strict';
+
+var VERSION = 1;
+
+function encode(name, args) {
+  var payload = {v: VERSION, h: name};
+  if (args && Object.keys(args).length > 0) {
+    payload.a = args;
+  }
+  return JSON.stringify(payload);
+}
+
+// Legacy payloads: [prefix, handler, name of the argument after the prefix]
+var LEGACY_EXACT = {
+  'Payload new goal': 'newGoal',
+  'Payload view': 'viewGoals',
+  'Payload progress': 'addProgress',
+  'Payload finished': 'finished',
+  'Payload start': 'start',
+  'home': 'home'
+};
+var LEGACY_PREFIX = [
+  ['view ', 'viewGoal'],
+  ['prog ', 'progress'],
+  ['logs ', 'logs'],
+  ['yes  ', 'delete'],
+  ['no   ', 'cancelDelete'],
+  ['yef  ', 'finish'],
+  ['nf   ', 'cancelFinish'],
+  ['dele ', 'confirmDelete'],
+  ['finish ', 'confirmFinish']
+];
+
+function decodeLegacy(string) {
+  if (LEGACY_EXACT[string]) {
+    return {name: LEGACY_EXACT[string], args: {}};
+  }
+  for (var i = 0; i < LEGACY_PREFIX.length; i++) {
+    var prefix = LEGACY_PREFIX[i][0];
+    if (string.substring(0, prefix.length) == prefix) {
+      return {name: LEGACY_PREFIX[i][1], args: {id: string.substring(prefix.length)}};
+    }
+  }
+  var paged = /^logs(\d+)!(.*)$/.exec(string);
+  if (paged) {
+    return {name: 'logs', args: {id: paged[2], index: Number(paged[1])}};
+  }
+  return null;
+}
+
+// {name, args} for a payload, or null if it can't be read
+function decode(string) {
+  if (typeof string != 'string') {
+    return null;
+  }
+  if (string.charAt(0) == '{') {
+    var payload;
+    try {
+      payload = JSON.parse(string);
+    } catch (e) {
+      return null;
+    }
+    if (payload === null || payload.v !== VERSION || typeof payload.h != 'string') {
+      return null;
+    }
+    return {name: payload.h, args: payload.a || {}};
+  }
+  return decodeLegacy(string);
+}
+
+exports.VERSION = VERSION;
+exports.encode = encode;
+exports.decode = decode;
@@ -0,0 +1,158 @@
+/*
+ * Daily reminders
+ *
+ * Once a day, at the hour a user picked (in their own timezone), message
+ * them about every goal still due that day that they have not added progress
+ * to yet. Each goal gets a quick reply that goes straight to adding progress
+ * to it.
+ *
+ * The day a user was last reminded is claimed in the database before the
+ * message goes out, so a restart or a second server never sends it twice.
+ * Users also keep the time their next reminder is due, so each run only
+ * loads the users to remind. Clearing it (when the hour or the timezone
+ * changes) has the next run work it out again, without sending anything
+ * until then.
+ *
+ */
+
+/* jshint node: true */
+'use strict';
+
+var streaks = require('./streak');
+var frequencies = require('./frequency');
+var payloads = require('./payload');
+var archive = require('./archive');
+var eachSeries = require('./scheduler').eachSeries;
+
+var HOUR = 60 * 60 * 1000;
+
+// Choices offered to the user, as hours of the day
+var HOURS = [8, 12, 18, 21];
+
+function hourLabel(hour) {
+  var suffix = hour < 12 ? ' AM' : ' PM';
+  return String(hour % 12 == 0 ? 12 : hour % 12) + suffix;
+}
+
+function isDue(user, now) {
+  var offset = streaks.userOffset(user);
+  var localHour = new Date(now + offset * HOUR).getUTCHours();
+  return localHour >= user.reminderHour &&
+         user.lastReminded != streaks.dayKey(now, offset);
+}
+
+/*
+ * When the user's next reminder is due: at their hour today, or tomorrow if
+ * today's was sent. It can be in the past when today's is late.
+ *
+ */
+function nextReminderTime(user, now) {
+  var offset = streaks.userOffset(user);
+  var today = streaks.dayKey(now, offset);
+  var day = user.lastReminded == today ? streaks.shiftDay(today, 1) : today;
+  return new Date(streaks.dayNumber(day) * streaks.DAY +
+                  (user.reminderHour - offset) * HOUR);
+}
+
+function reminderMessage(user, goals) {
+  var text = "Don't forget your goals today! You haven't added progress to:\u000A";
+  var quick = [];
+  goals.forEach(function(goal, i) {
+    text += String(i + 1) + ". " + goal.name + "  " +
+            frequencies.streakLabel(goal.streak, goal.frequency) + "\u000A";
+    // Quick replies allow at most 11 options, keep one for Home
+    if (quick.length < 10) {
+      quick.push({
+        "content_type":"text",
+        "title":goal.name.substring(0, 20),
+        "payload":payloads.encode('progress', {id: String(goal._id)})
+      });
+    }
+  });
+  text += "Tap on a goal below to add progress to it!";
+  quick.push({
+    "content_type":"text",
+    "title":"Home",
+    "payload":payloads.encode('home')
+  });
+  return {
+    recipient: {
+      id: user.name
+    },
+    message: {
+      text: text,
+      quick_replies: quick
+    }
+  };
+}
+
+/*
+ * Creates the scheduler job. deps holds the User and Goal models and send,
+ * which sends a message the way callSendAPI does.
+ *
+ */
+function createReminderJob(deps) {
+  function remind(user, now, next) {
+    var today = streaks.dayKey(now, streaks.userOffset(user));
+    var tomorrow = nextReminderTime({timezone: user.timezone, reminderHour: user.reminderHour,
+                                     lastReminded: today}, now);
+    // Claim today's reminder, whoever gets here first sends it
+    deps.User.findOneAndUpdate({_id: user._id, lastReminded: {$ne: today}},
+      {$set: {lastReminded: today, nextReminder: tomorrow}},
+      function(err, claimed) {
+        if (err || claimed == null) {
+          return next(err);
+        }
+        deps.Goal.find(archive.active({user: user.name, days: {$ne: today}}),
+          function(err, goals) {
+            goals = (goals || []).filter(function(goal) {
+              return streaks.isDueToday(goal.days, today, goal.frequency);
+            });
+            if (!err && goals.length > 0) {
+              deps.send(reminderMessage(user, goals));
+            }
+            next(err);
+          });
+      });
+  }
+
+  // Users that were never scheduled, or whose timezone moved their hour
+  // later, only get the time of their next reminder saved. One first
+  // scheduled after today's hour has passed waits for tomorrow's.
+  function schedule(user, now, next) {
+    var time = nextReminderTime(user, now);
+    if (time.getTime() <= now) {
+      time = new Date(time.getTime() + streaks.DAY);
+    }
+    deps.User.update({_id: user._id}, {$set: {nextReminder: time}},
+      function(err) {
+        next(err);
+      });
+  }
+
+  return function(now, done) {
+    deps.User.find({$or: [
+      {nextReminder: {$lte: new Date(now)}},
+      {reminderHour: {$ne: null}, nextReminder: null}
+    ]}, function(err, users) {
+      if (err) {
+        return done(err);
+      }
+      eachSeries(users, function(user, next) {
+        if (user.reminderHour == null) {
+          return next();
+        }
+        if (user.nextReminder != null && isDue(user, now)) {
+          return remind(user, now, next);
+        }
+        schedule(user, now, next);
+      }, done);
+    });
+  };
+}
+
+exports.HOURS = HOURS;
+exports.hourLabel = hourLabel;
+exports.isDue = isDue;
+exports.nextReminderTime = nextReminderTime;
+exports.createReminderJob = createReminderJob;
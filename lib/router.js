@@ -0,0 +1,94 @@
+/*
+ * Payload router
+ *
+ * Quick replies and postbacks both carry a payload (see lib/payload.js).
+ * Handlers are registered by name with the arguments they take:
+ *
+ *   router.route('logs', {id: 'objectId', index: 'int?'},
+ *     function(senderID, args) {...});
+ *
+ * Arguments are checked before the handler is called. A payload that can't
+ * be read, names no handler or has bad arguments goes to onInvalid instead.
+ *
+ */
+
+/* jshint node: true */
+'use strict';
+
+var payloads = require('./payload');
+
+var TYPES = {
+  objectId: function(value) {
+    return typeof value == 'string' && /^[0-9a-f]{24}$/i.test(value);
+  },
+  int: function(value) {
+    return typeof value == 'number' && value % 1 === 0 && value >= 0;
+  },
+  string: function(value) {
+    return typeof value == 'string';
+  }
+};
+
+// Checks args against a spec, returning the reason they don't fit or null
+function validate(spec, args) {
+  var names = Object.keys(spec);
+  for (var i = 0; i < names.length; i++) {
+    var type = spec[names[i]];
+    var optional = type.charAt(type.length - 1) == '?';
+    var value = args[names[i]];
+    if (optional) {
+      type = type.substring(0, type.length - 1);
+    }
+    if (value == null) {
+      if (!optional) {
+        return "missing " + names[i];
+      }
+    } else if (!TYPES[type](value)) {
+      return names[i] + " is not a valid " + type;
+    }
+  }
+  var extra = Object.keys(args).filter(function(name) {
+    return !spec.hasOwnProperty(name);
+  });
+  if (extra.length > 0) {
+    return "unexpected " + extra.join(", ");
+  }
+  return null;
+}
+
+function createRouter(options) {
+  var routes = {};
+
+  function route(name, spec, handler) {
+    Object.keys(spec).forEach(function(arg) {
+      if (!TYPES[spec[arg].replace(/\?$/, '')]) {
+        throw new Error("Unknown argument type " + spec[arg] + " for " + name);
+      }
+    });
+    routes[name] = {spec: spec, handler: handler};
+  }
+
+  function dispatch(senderID, payload) {
+    var decoded = payloads.decode(payload);
+    if (decoded == null) {
+      return options.onInvalid(senderID, payload, "unreadable payload");
+    }
+    var target = routes[decoded.name];
+    if (!target) {
+      return options.onInvalid(senderID, payload, "no handler " + decoded.name);
+    }
+    var problem = validate(target.spec, decoded.args);
+    if (problem) {
+      return options.onInvalid(senderID, payload, problem);
+    }
+    target.handler(senderID, decoded.args);
+  }
+
+  return {
+    route: route,
+    dispatch: dispatch
+  };
+}
+
+exports.validate = validate;
+exports.createRouter = createRouter;
@@ -0,0 +1,95 @@
+/*
+ * Background job scheduler
+ *
+ * Jobs are plain functions called as job(now, done) on every tick, one after
+ * another. The clock is passed in so jobs can be driven by hand from a test
+ * or a one-off script without waiting for real time to pass.
+ *
+ */
+
+/* jshint node: true */
+'use strict';
+
+function createScheduler(options) {
+  options = options || {};
+  var now = options.now || Date.now;
+  var interval = options.interval || 60 * 1000;
+  var jobs = [];
+  var timer = null;
+  var running = false;
+
+  function add(name, job) {
+    jobs.push({name: name, job: job});
+  }
+
+  // Runs every job once, calling callback when they are all done
+  function tick(callback) {
+    var time = now();
+    var i = 0;
+    running = true;
+    function next() {
+      if (i >= jobs.length) {
+        running = false;
+        if (callback) {
+          callback();
+        }
+        return;
+      }
+      var entry = jobs[i++];
+      try {
+        entry.job(time, function(err) {
+          if (err) {
+            console.error("Job %s failed", entry.name, err);
+          }
+          next();
+        });
+      } catch (e) {
+        console.error("Job %s failed", entry.name, e);
+        next();
+      }
+    }
+    next();
+  }
+
+  function start() {
+    if (timer) {
+      return;
+    }
+    timer = setInterval(function() {
+      // Skip a tick rather than pile up if the last one is still going
+      if (!running) {
+        tick();
+      }
+    }, interval);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    add: add,
+    tick: tick,
+    start: start,
+    stop: stop
+  };
+}
+
+// Calls fn(item, next) for each item in turn, for jobs working through users
+function eachSeries(items, fn, done) {
+  var i = 0;
+  function next(err) {
+    if (err) {
+      console.error(err);
+    }
+    if (i >= items.length) {
+      return done();
+    }
+    fn(items[i++], next);
+  }
+  next();
+}
+
+exports.createScheduler = createScheduler;
+exports.eachSeries = eachSeries;
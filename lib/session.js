@@ -0,0 +1,74 @@
+/*
+ * Signed tokens for the web dashboard
+ *
+ * The bot sends a short lived sign-in link whose token names the user, and
+ * following it sets a longer lived session cookie. Users with an account
+ * (see lib/accounts.js) can also sign in with their password, which names
+ * the account instead. Tokens are "subject.expires.signature", signed with a
+ * secret and a purpose ('login', 'session' or 'account') so one can't be
+ * used as another. Nothing is stored server side.
+ *
+ */
+
+/* jshint node: true */
+'use strict';
+
+var crypto = require('crypto');
+
+var COOKIE = 'goalt_session';
+
+function signature(secret, purpose, psid, expires) {
+  return crypto.createHmac('sha256', secret)
+               .update(purpose + ':' + psid + ':' + expires)
+               .digest('hex');
+}
+
+// Compares two strings in a time that doesn't tell how much of them matched
+function sameSecret(a, b) {
+  a = Buffer.from(String(a));
+  b = Buffer.from(String(b));
+  return a.length == b.length && crypto.timingSafeEqual(a, b);
+}
+
+// subject is a PSID or an account id
+function sign(secret, purpose, subject, expires) {
+  expires = Math.floor(expires);
+  return subject + '.' + expires + '.' + signature(secret, purpose, subject, expires);
+}
+
+// The subject a token was made for, as a string, or null if it is forged or
+// expired
+function verify(secret, purpose, token, now) {
+  var parts = /^([0-9a-f]+)\.(\d+)\.([0-9a-f]{64})$/.exec(String(token || ''));
+  if (!parts || Number(parts[2]) <= now ||
+      !sameSecret(parts[3], signature(secret, purpose, parts[1], parts[2]))) {
+    return null;
+  }
+  return parts[1];
+}
+
+// Forms carry this so other sites can't post them for the user
+function csrfToken(secret, sessionToken) {
+  return crypto.createHmac('sha256', secret)
+               .update('csrf:' + sessionToken)
+               .digest('hex');
+}
+
+// The value of a cookie of a request, without a cookie parser
+function readCookie(req, name) {
+  var cookies = String(req.headers.cookie || '').split(/;\s*/);
+  for (var i = 0; i < cookies.length; i++) {
+    var index = cookies[i].indexOf('=');
+    if (index != -1 && cookies[i].substring(0, index) == name) {
+      return decodeURIComponent(cookies[i].substring(index + 1));
+    }
+  }
+  return null;
+}
+
+exports.COOKIE = COOKIE;
+exports.sign = sign;
+exports.verify = verify;
+exports.sameSecret = sameSecret;
+exports.csrfToken = csrfToken;
+exports.readCookie = readCookie;
@@ -0,0 +1,141 @@
+/*
+ * Goal statistics
+ *
+ * Everything is worked out from the days a goal was checked in on (see
+ * lib/streak.js), so goals from before a stat existed get it too. Days are
+ * seen from the user's timezone, like streaks.
+ *
+ */
+
+/* jshint node: true */
+'use strict';
+
+var streaks = require('./streak');
+var frequencies = require('./frequency');
+var archive = require('./archive');
+var logs = require('./logs');
+
+var WINDOWS = [7, 30, 90];
+
+// Share of the check-ins expected from..to (both included) that were done
+function completionRate(set, from, to, frequency) {
+  var length = streaks.dayNumber(to) - streaks.dayNumber(from) + 1;
+  if (length <= 0) {
+    return null;
+  }
+  var done = 0;
+  var due = 0;
+  for (var key = from; key <= to; key = streaks.shiftDay(key, 1)) {
+    if (set[key]) {
+      done += 1;
+    }
+    if (frequency.kind == 'daily' ||
+        (frequency.kind == 'weekdays' &&
+         frequency.weekdays.indexOf(streaks.weekday(key)) != -1)) {
+      due += 1;
+    }
+  }
+  if (frequency.kind == 'weekly') {
+    due = Math.ceil(frequency.times * length / 7);
+  }
+  return due == 0 ? null : Math.min(1, done / due);
+}
+
+// The Monday starting the week of key
+function weekStart(key) {
+  return streaks.shiftDay(key, -((streaks.weekday(key) + 6) % 7));
+}
+
+/*
+ * Stats of a goal at now:
+ *   started         - date key of the first day of the goal
+ *   streak          - current streak
+ *   longestStreak
+ *   rates           - [{days: 7, rate: 0.86}, ...], rate null when nothing
+ *                     was due yet
+ *   weekday         - most active weekday (0 is Sunday), null without days
+ *   bestWeek        - {start, count} of the week with the most check-ins
+ *
+ * Today only counts towards completion rates once it has a check-in.
+ *
+ */
+function compute(goal, now, offset) {
+  var days = streaks.seedDays(goal, offset).sort();
+  var frequency = frequencies.normalize(goal.frequency);
+  var today = streaks.dayKey(now, offset);
+  var start = archive.startTime(goal);
+  var started = start != null ? streaks.dayKey(start, offset) : days[0] || today;
+  if (days.length > 0 && days[0] < started) {
+    started = days[0];
+  }
+  var set = {};
+  var weekdays = [0, 0, 0, 0, 0, 0, 0];
+  var weeks = {};
+  days.forEach(function(key) {
+    set[key] = true;
+    weekdays[streaks.weekday(key)] += 1;
+    var week = weekStart(key);
+    weeks[week] = (weeks[week] || 0) + 1;
+  });
+  var end = set[today] ? today : streaks.shiftDay(today, -1);
+  var rates = WINDOWS.map(function(length) {
+    var from = streaks.shiftDay(end, -(length - 1));
+    return {
+      days: length,
+      rate: completionRate(set, from < started ? started : from, end, frequency)
+    };
+  });
+  var weekday = null;
+  weekdays.forEach(function(count, day) {
+    if (count > 0 && (weekday == null || count > weekdays[weekday])) {
+      weekday = day;
+    }
+  });
+  var bestWeek = null;
+  Object.keys(weeks).sort().forEach(function(week) {
+    if (bestWeek == null || weeks[week] > bestWeek.count) {
+      bestWeek = {start: week, count: weeks[week]};
+    }
+  });
+  return {
+    started: started,
+    streak: streaks.computeStreak(days, today, frequency),
+    longestStreak: streaks.longestStreak(days, frequency),
+    rates: rates,
+    weekday: weekday,
+    bestWeek: bestWeek
+  };
+}
+
+function percent(rate) {
+  return Math.round(rate * 100) + '%';
+}
+
+// The stats of compute() as lines of text
+function describe(stats, frequency) {
+  var lines = ["Started " + logs.formatDay(stats.started)];
+  lines.push("Current streak " + frequencies.streakLabel(stats.streak, frequency) +
+             " · Longest " + frequencies.streakLabel(stats.longestStreak, frequency));
+  var rates = stats.rates.filter(function(window) {
+    return window.rate != null;
+  }).map(function(window) {
+    return window.days + " days " + percent(window.rate);
+  });
+  if (rates.length > 0) {
+    lines.push("Done in the last " + rates.join(" · "));
+  }
+  if (stats.weekday != null) {
+    lines.push("Most active on " + frequencies.DAY_NAMES[stats.weekday] + "s");
+  }
+  if (stats.bestWeek) {
+    lines.push("Best week: " + logs.formatDay(stats.bestWeek.start) + " with " +
+               stats.bestWeek.count +
+               (stats.bestWeek.count == 1 ? " check-in" : " check-ins"));
+  }
+  return lines;
+}
+
+exports.WINDOWS = WINDOWS;
+exports.completionRate = completionRate;
+exports.compute = compute;
+exports.describe = describe;
@@ -0,0 +1,267 @@
+/*
+ * Streak engine
+ *
+ * Streaks are worked out from the calendar dates a goal was checked in on,
+ * seen from the user's own timezone. Dates are kept as 'YYYY-MM-DD' strings
+ * so they sort and compare without any clock involved.
+ *
+ */
+
+/* jshint node: true */
+'use strict';
+
+var frequencies = require('./frequency');
+
+var DAY = 24 * 60 * 60 * 1000;
+var HOUR = 60 * 60 * 1000;
+
+// UTC offset in hours for a user, as reported by the Messenger user profile
+function userOffset(user) {
+  if (user && typeof user.timezone == 'number' && !isNaN(user.timezone)) {
+    return user.timezone;
+  }
+  return 0;
+}
+
+function pad(n) {
+  return (n < 10 ? '0' : '') + n;
+}
+
+// Calendar date of a point in time for someone at the given UTC offset
+function dayKey(time, offset) {
+  var local = new Date(Number(time) + (offset || 0) * HOUR);
+  return local.getUTCFullYear() + '-' +
+         pad(local.getUTCMonth() + 1) + '-' +
+         pad(local.getUTCDate());
+}
+
+// Days since the epoch for a date key, used for date arithmetic
+function dayNumber(key) {
+  var parts = key.split('-');
+  return Math.round(Date.UTC(Number(parts[0]), Number(parts[1]) - 1,
+                             Number(parts[2])) / DAY);
+}
+
+function fromDayNumber(n) {
+  return dayKey(n * DAY, 0);
+}
+
+function shiftDay(key, days) {
+  return fromDayNumber(dayNumber(key) + days);
+}
+
+// Returns a sorted copy of days that includes key
+function addDay(days, key) {
+  var result = (days || []).slice();
+  if (result.indexOf(key) == -1) {
+    result.push(key);
+    result.sort();
+  }
+  return result;
+}
+
+// 0 is Sunday, like Date#getDay
+function weekday(key) {
+  return (dayNumber(key) + 4) % 7;
+}
+
+// Weeks start on Monday
+function weekNumber(key) {
+  return Math.floor((dayNumber(key) + 3) / 7);
+}
+
+function daySet(days) {
+  var set = {};
+  days.forEach(function(key) {
+    set[key] = true;
+  });
+  return set;
+}
+
+/*
+ * Check-ins in a row, counting back from today. Missing a scheduled day
+ * breaks the streak; other days can be skipped. Today never breaks it, since
+ * it is not over yet.
+ *
+ */
+function scheduledStreak(days, today, weekdays) {
+  var set = daySet(days);
+  var first = dayNumber(days.slice().sort()[0]);
+  var count = 0;
+  for (var cursor = today; dayNumber(cursor) >= first;
+       cursor = shiftDay(cursor, -1)) {
+    if (set[cursor]) {
+      count += 1;
+    } else if (cursor != today && weekdays.indexOf(weekday(cursor)) != -1) {
+      break;
+    }
+  }
+  return count;
+}
+
+// Weeks in a row with enough check-ins, the current week counts once met
+function weeklyStreak(days, today, times) {
+  var counts = {};
+  days.forEach(function(key) {
+    var week = weekNumber(key);
+    counts[week] = (counts[week] || 0) + 1;
+  });
+  var week = weekNumber(today);
+  var count = 0;
+  if (counts[week] >= times) {
+    count += 1;
+  }
+  for (week -= 1; counts[week] >= times; week--) {
+    count += 1;
+  }
+  return count;
+}
+
+/*
+ * Current streak of a goal, in days for daily and weekday goals and in weeks
+ * for "N times a week" goals. frequency defaults to daily.
+ *
+ */
+function computeStreak(days, today, frequency) {
+  if (!days || days.length == 0) {
+    return 0;
+  }
+  frequency = frequencies.normalize(frequency);
+  if (frequency.kind == 'weekly') {
+    return weeklyStreak(days, today, frequency.times);
+  } else if (frequency.kind == 'weekdays') {
+    return scheduledStreak(days, today, frequency.weekdays);
+  }
+  return scheduledStreak(days, today, [0, 1, 2, 3, 4, 5, 6]);
+}
+
+// Whether one of weekdays falls strictly between two date keys
+function missedBetween(from, to, weekdays) {
+  var last = dayNumber(to);
+  // Any week has every weekday in it
+  for (var n = dayNumber(from) + 1; n < last && n <= dayNumber(from) + 7; n++) {
+    if (weekdays.indexOf((n + 4) % 7) != -1) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/*
+ * The longest a goal's streak ever got, as of each day it was checked in on,
+ * in one pass over the days.
+ *
+ */
+function longestStreak(days, frequency) {
+  var sorted = (days || []).slice().sort();
+  var best = 0;
+  var run = 0;
+  frequency = frequencies.normalize(frequency);
+  if (frequency.kind == 'weekly') {
+    var counts = {};
+    var weeks = [];
+    sorted.forEach(function(key) {
+      var week = weekNumber(key);
+      if (!counts[week]) {
+        counts[week] = 0;
+        weeks.push(week);
+      }
+      counts[week] += 1;
+    });
+    // run is the weeks met in a row up to the one before
+    weeks.forEach(function(week, i) {
+      if (i > 0 && weeks[i - 1] != week - 1) {
+        run = 0;
+      }
+      var met = counts[week] >= frequency.times;
+      best = Math.max(best, run + (met ? 1 : 0));
+      run = met ? run + 1 : 0;
+    });
+    return best;
+  }
+  var weekdays = frequency.kind == 'weekdays' ? frequency.weekdays : [0, 1, 2, 3, 4, 5, 6];
+  sorted = Object.keys(daySet(sorted)).sort();
+  sorted.forEach(function(key, i) {
+    if (i > 0 && missedBetween(sorted[i - 1], key, weekdays)) {
+      run = 0;
+    }
+    run += 1;
+    best = Math.max(best, run);
+  });
+  return best;
+}
+
+// Whether progress is still expected today
+function isDueToday(days, today, frequency) {
+  days = days || [];
+  frequency = frequencies.normalize(frequency);
+  if (days.indexOf(today) != -1) {
+    return false;
+  }
+  if (frequency.kind == 'weekly') {
+    var week = weekNumber(today);
+    return days.filter(function(key) {
+      return weekNumber(key) == week;
+    }).length < frequency.times;
+  } else if (frequency.kind == 'weekdays') {
+    return frequency.weekdays.indexOf(weekday(today)) != -1;
+  }
+  return true;
+}
+
+/*
+ * Time at which a live streak drops to zero if nothing else is logged, found
+ * by looking ahead day by day. null when there is no streak to lose.
+ *
+ */
+function resetTime(days, today, offset, frequency) {
+  if (computeStreak(days, today, frequency) == 0) {
+    return null;
+  }
+  // No frequency leaves more than two weeks between check-ins
+  for (var i = 1; i <= 15; i++) {
+    var day = shiftDay(today, i);
+    if (computeStreak(days, day, frequency) == 0) {
+      return dayNumber(day) * DAY - (offset || 0) * HOUR;
+    }
+  }
+  return null;
+}
+
+/*
+ * Goals created before check-in dates were recorded only have a streak count
+ * and the time of the last update. Rebuild the dates that streak implies so
+ * existing streaks carry over.
+ *
+ */
+function seedDays(goal, offset) {
+  if (goal.days && goal.days.length > 0) {
+    return goal.days.slice();
+  }
+  if (!goal.streak || !goal.lastUpdate) {
+    return [];
+  }
+  // Older goals stored lastUpdate in seconds
+  var last = goal.lastUpdate < 1e12 ? goal.lastUpdate * 1000 : goal.lastUpdate;
+  var lastKey = dayKey(last, offset);
+  var days = [];
+  for (var i = goal.streak - 1; i >= 0; i--) {
+    days.push(shiftDay(lastKey, -i));
+  }
+  return days;
+}
+
+exports.DAY = DAY;
+exports.HOUR = HOUR;
+exports.userOffset = userOffset;
+exports.dayKey = dayKey;
+exports.dayNumber = dayNumber;
+exports.shiftDay = shiftDay;
+exports.addDay = addDay;
+exports.weekday = weekday;
+exports.weekNumber = weekNumber;
+exports.computeStreak = computeStreak;
+exports.isDueToday = isDueToday;
+exports.resetTime = resetTime;
+exports.seedDays = seedDays;
+exports.longestStreak = longestStreak;
@@ -0,0 +1,126 @@
+/*
+ * Streak-at-risk warnings
+ *
+ * Finds goals whose streak will reset within the warning window if nothing
+ * is logged, and sends the user a one-tap way to add progress before it
+ * does. A goal is warned at most once per day, claimed in the database like
+ * reminders are.
+ *
+ * Goals keep the time they next need looking at (warnAt), so each run only
+ * loads those. Checking in, changing the frequency or the timezone clears
+ * it, and the next run works it out again.
+ *
+ */
+
+/* jshint node: true */
+'use strict';
+
+var streaks = require('./streak');
+var frequencies = require('./frequency');
+var payloads = require('./payload');
+var archive = require('./archive');
+var eachSeries = require('./scheduler').eachSeries;
+
+function warningMessage(senderID, goal, hoursLeft) {
+  var hours = Math.max(1, Math.ceil(hoursLeft));
+  return {
+    recipient: {
+      id: senderID
+    },
+    message: {
+      text: "Your " + goal.name + " streak of " +
+            frequencies.streakLabel(goal.streak, goal.frequency) +
+            " resets in " + hours + (hours == 1 ? " hour" : " hours") +
+            "! Add progress now to keep it going.",
+      quick_replies: [
+        {
+          "content_type":"text",
+          "title":"Add progress",
+          "payload":payloads.encode('progress', {id: String(goal._id)})
+        },
+        {
+          "content_type":"text",
+          "title":"Home",
+          "payload":payloads.encode('home')
+        }
+      ]
+    }
+  };
+}
+
+/*
+ * Creates the scheduler job. deps holds the User and Goal models, send
+ * (like callSendAPI) and hours, how long before a reset to warn.
+ *
+ */
+function createStreakWarningJob(deps) {
+  var users = {};
+
+  function findUser(name, callback) {
+    if (users[name]) {
+      return callback(null, users[name]);
+    }
+    deps.User.findOne({name: name}, function(err, user) {
+      users[name] = user;
+      callback(err, user);
+    });
+  }
+
+  // Leaves the goal alone until warnAt
+  function wait(goal, warnAt, next) {
+    deps.Goal.update({_id: goal._id}, {$set: {warnAt: new Date(warnAt)}}, function(err) {
+      next(err);
+    });
+  }
+
+  function check(goal, now, next) {
+    findUser(goal.user, function(err, user) {
+      if (err || user == null) {
+        return next(err);
+      }
+      var offset = streaks.userOffset(user);
+      var today = streaks.dayKey(now, offset);
+      var tomorrow = streaks.dayNumber(streaks.shiftDay(today, 1)) * streaks.DAY -
+                     offset * streaks.HOUR;
+      var days = streaks.seedDays(goal, offset);
+      var current = streaks.computeStreak(days, today, goal.frequency);
+      var reset = streaks.resetTime(days, today, offset, goal.frequency);
+      var hoursLeft = (reset - now) / streaks.HOUR;
+      if (current == 0 || reset == null) {
+        return wait(goal, tomorrow, next);
+      }
+      if (hoursLeft > deps.hours) {
+        return wait(goal, reset - deps.hours * streaks.HOUR, next);
+      }
+      if (goal.lastWarned == today) {
+        return wait(goal, tomorrow, next);
+      }
+      deps.Goal.findOneAndUpdate({_id: goal._id, lastWarned: {$ne: today}},
+        {$set: {lastWarned: today, warnAt: new Date(tomorrow)}},
+        function(err, claimed) {
+          if (!err && claimed != null) {
+            goal.streak = current;
+            deps.send(warningMessage(user.name, goal, hoursLeft));
+          }
+          next(err);
+        });
+    });
+  }
+
+  return function(now, done) {
+    users = {};
+    deps.Goal.find(archive.active({
+      streak: {$gt: 0},
+      $or: [{warnAt: {$lte: new Date(now)}}, {warnAt: null}]
+    }), function(err, goals) {
+      if (err) {
+        return done(err);
+      }
+      eachSeries(goals, function(goal, next) {
+        check(goal, now, next);
+      }, done);
+    });
+  };
+}
+
+exports.createStreakWarningJob = createStreakWarningJob;
@@ -0,0 +1,130 @@
+/*
+ * Outbound transports
+ *
+ * Everything the bot sends goes through a transport with two methods:
+ *   send(messageData, callback(err, body))  - Send API call
+ *   getProfile(psid, callback(err, profile)) - User Profile API call
+ *
+ * The Graph transport talks to the Graph API (or anything that looks like
+ * it, such as tools/fake-messenger.js). The memory transport just records
+ * messages, for tests and for running the bot without a network.
+ *
+ */
+
+/* jshint node: true */
+'use strict';
+
+var request = require('request');
+
+function createGraphTransport(options) {
+  var baseUrl = options.baseUrl.replace(/\/+$/, '');
+
+  function send(messageData, callback) {
+    request({
+      uri: baseUrl + '/me/messages',
+      qs: { access_token: options.accessToken },
+      method: 'POST',
+      json: messageData
+    }, function (error, response, body) {
+      if (!error && response.statusCode == 200) {
+        callback(null, body);
+      } else {
+        callback(error || new Error("Send API returned " + response.statusCode +
+                                    " " + JSON.stringify(body && body.error)));
+      }
+    });
+  }
+
+  function getProfile(psid, callback) {
+    request.get({
+      url: baseUrl + '/' + psid,
+      qs: { access_token: options.accessToken },
+      json: true
+    }, function(error, response, body) {
+      if (!error && response.statusCode === 200) {
+        callback(null, body);
+      } else {
+        callback(error || new Error("User Profile API returned " + response.statusCode));
+      }
+    });
+  }
+
+  return {
+    send: send,
+    getProfile: getProfile
+  };
+}
+
+/*
+ * Keeps every message sent in memory. profiles maps PSIDs to what the User
+ * Profile API should return for them. Messages matching a predicate given to
+ * refuse() fail like the Send API would turn them down, and aren't kept.
+ *
+ */
+function createMemoryTransport(profiles) {
+  var sent = [];
+  var nextId = 1;
+  var refused = null;
+  profiles = profiles || {};
+
+  function send(messageData, callback) {
+    var recipientId = messageData.recipient.id;
+    if (refused && refused(messageData)) {
+      if (callback) {
+        setImmediate(function() {
+          callback(new Error("Send API returned 400: refused"));
+        });
+      }
+      return;
+    }
+    var body = {
+      recipient_id: recipientId,
+      message_id: 'mid.' + nextId++
+    };
+    sent.push(messageData);
+    if (callback) {
+      setImmediate(function() {
+        callback(null, body);
+      });
+    }
+  }
+
+  function getProfile(psid, callback) {
+    setImmediate(function() {
+      if (profiles[psid]) {
+        callback(null, profiles[psid]);
+      } else {
+        callback(new Error("No profile for " + psid));
+      }
+    });
+  }
+
+  // Messages sent to one recipient, oldest first
+  function messagesFor(psid) {
+    return sent.filter(function(messageData) {
+      return String(messageData.recipient.id) == String(psid);
+    });
+  }
+
+  function refuse(predicate) {
+    refused = predicate;
+  }
+
+  function clear() {
+    sent.length = 0;
+    refused = null;
+  }
+
+  return {
+    send: send,
+    getProfile: getProfile,
+    sent: sent,
+    profiles: profiles,
+    messagesFor: messagesFor,
+    refuse: refuse,
+    clear: clear
+  };
+}
+
+exports.createGraphTransport = createGraphTransport;
+exports.createMemoryTransport = createMemoryTransport;
@@ -0,0 +1,62 @@
+/*
+ * Recently deleted goals
+ *
+ * Deleting a goal only marks it with status 'deleted' and the time it was
+ * deleted, so it can be restored (it gives its slot back like finishing
+ * does). After the retention period the purge job removes it for good:
+ *
+ *   scheduler.add('trash', trash.createPurgeJob({Goal: Goal, days: 30}));
+ *
+ */
+
+/* jshint node: true */
+'use strict';
+
+var archive = require('./archive');
+
+var DAY = 24 * 60 * 60 * 1000;
+
+// Adds to a Goal query so it only matches deleted goals
+function deleted(query) {
+  return Object.assign({status: archive.DELETED}, query);
+}
+
+function isDeleted(goal) {
+  return goal.status == archive.DELETED;
+}
+
+// $set fields that delete a goal at now
+function deleteFields(now) {
+  return {status: archive.DELETED, deletedAt: new Date(now)};
+}
+
+// The update that brings a deleted goal back as an active one
+function restoreUpdate() {
+  return {$set: {status: archive.ACTIVE}, $unset: {deletedAt: 1}};
+}
+
+// When a deleted goal will be purged, kept for days
+function expiresAt(goal, days) {
+  return new Date(new Date(goal.deletedAt).getTime() + days * DAY);
+}
+
+/*
+ * A scheduler job removing goals deleted more than deps.days ago. deps is
+ * {Goal, days}.
+ *
+ */
+function createPurgeJob(deps) {
+  return function(now, done) {
+    deps.Goal.remove(deleted({deletedAt: {$lt: new Date(now - deps.days * DAY)}}),
+      function(err) {
+        done(err);
+      });
+  };
+}
+
+exports.deleted = deleted;
+exports.isDeleted = isDeleted;
+exports.deleteFields = deleteFields;
+exports.restoreUpdate = restoreUpdate;
+exports.expiresAt = expiresAt;
+exports.createPurgeJob = createPurgeJob;
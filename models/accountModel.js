@@ -0,0 +1,18 @@
+var mongoose = require('mongoose');
+
+// A web account, which Messenger users link their chats to (see
+// lib/accounts.js). Users point to their account with User.account
+var accountSchema = mongoose.Schema({
+  // Lowercase
+  username: String,
+  // pbkdf2 of the password with salt, both hex
+  passwordHash: String,
+  salt: String,
+  createdAt: Date
+});
+
+accountSchema.index({username: 1}, {unique: true});
+
+var Account = mongoose.model('Account', accountSchema);
+
+exports.Account = Account;
@@ -0,0 +1,18 @@
+var mongoose = require('mongoose');
+
+// One-time code handed to Messenger when an account is linked, traded for
+// the account when the account_linking event comes in
+var authCodeSchema = mongoose.Schema({
+  // sha256 of the code, the code itself is only ever in the redirect
+  code: String,
+  account: mongoose.Schema.Types.ObjectId,
+  expiresAt: Date
+});
+
+authCodeSchema.index({code: 1}, {unique: true});
+// Mongo removes expired codes by itself
+authCodeSchema.index({expiresAt: 1}, {expireAfterSeconds: 0});
+
+var AuthCode = mongoose.model('AuthCode', authCodeSchema);
+
+exports.AuthCode = AuthCode;
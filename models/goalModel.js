@@ -1,13 +1,79 @@
 var mongoose = require('mongoose');
+var logs = require('../lib/logs');
+
+// A single check-in on a goal
+var logSchema = mongoose.Schema({
+  time: Date,
+  // Local date ('YYYY-MM-DD') of the check-in for the user
+  day: String,
+  text: String,
+  attachments: [{
+    type: {type: String},
+    url: String
+  }],
+  // Streak right after this check-in
+  streak: Number,
+  // Amount done, for goals with a unit
+  amount: Number
+});
 
 var goalSchema = mongoose.Schema({
   user: Number,
   name: String,
+  // How often progress is expected, see lib/frequency.js. Missing means daily
+  frequency: {
+    kind: String,
+    times: Number,
+    weekdays: [Number]
+  },
+  // Current streak, in weeks for "N times a week" goals
   streak: Number,
-  log: [String],
+  // Newest first
+  log: [logSchema],
   lastUpdate: Number,
-  lastDay: Number,
-  total: Number
+  // Local dates ('YYYY-MM-DD') progress was added on, used for streaks
+  days: [String],
+  // Local date the last streak-at-risk warning was sent on
+  lastWarned: String,
+  // When the streak warning job next looks at the goal, see
+  // lib/streakWarnings.js. Missing until it has
+  warnAt: Date,
+  total: Number,
+  // Measurable goals: unit (e.g. "pages"), target amount per day (per week
+  // for weekly goals) and the sum of all amounts logged
+  unit: String,
+  target: Number,
+  quantity: Number,
+  // What the goal is about, see lib/category.js. Missing for goals from
+  // before categories, which are classified from their name
+  category: String,
+  // 'active', 'finished' or 'deleted', see lib/archive.js. Missing for goals from
+  // before finished goals were kept, which are active
+  status: String,
+  createdAt: Date,
+  // Set while the goal is finished
+  finishedAt: Date,
+  longestStreak: Number,
+  // Set while the goal is in Recently Deleted, see lib/trash.js
+  deletedAt: Date
+});
+
+// A user can't have two active goals with the same name. Finished goals can
+// share names. Goals without a status aren't in the index, the bot checks
+// for duplicates before saving either way
+goalSchema.index({user: 1, name: 1},
+                 {unique: true, name: 'user_1_name_1_active',
+                  partialFilterExpression: {status: 'active'}});
+
+goalSchema.index({warnAt: 1}, {sparse: true});
+
+// Logs still holding "M/D text" strings (see scripts/migrate-logs.js) are
+// read as entries, the strings have no day to show or count
+goalSchema.pre('init', function(next, data) {
+  if (data && Array.isArray(data.log)) {
+    data.log = logs.migrateLog(data.log, data.lastUpdate || Date.now());
+  }
+  next();
 });
 
 var Goal = mongoose.model('Goal', goalSchema);
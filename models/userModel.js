@@ -3,12 +3,44 @@ var mongoose = require('mongoose');
 // Define a schema: this gives us a structure for our data
 var userSchema = mongoose.Schema({
   name: Number,
+  // What the bot is waiting for from the user, see lib/dialog.js
+  state: {
+    name: String,
+    data: mongoose.Schema.Types.Mixed,
+    expiresAt: Date
+  },
+  // Replaced by state, still read for users from before it
   status: String,
   numGoals: Number,
+  // Sets how many goals the user can have, see lib/goalCount.js
+  tier: String,
   finished: [String],
-  lastPicTime: Number
+  // Keys of the motivation items sent, newest first, see lib/motivation.js
+  seenMotivation: [String],
+  // Motivation source ids (see lib/motivationSources.js) to try first and
+  // to never use
+  motivation: {
+    preferred: String,
+    muted: [String]
+  },
+  // Hours from UTC, taken from the Messenger user profile
+  timezone: Number,
+  // When timezone was last taken from the profile, it is taken again daily
+  timezoneCheckedAt: Date,
+  // Local hour of the daily reminder, null when turned off
+  reminderHour: Number,
+  // Local date ('YYYY-MM-DD') of the last reminder sent
+  lastReminded: String,
+  // When the next reminder is due, see lib/reminders.js. Missing until the
+  // reminder job works it out
+  nextReminder: Date,
+  // Web account this chat is linked to, see lib/accounts.js. Goals are
+  // shared by every chat linked to the same account
+  account: mongoose.Schema.Types.ObjectId
 });
 
+userSchema.index({nextReminder: 1}, {sparse: true});
+
 // For more complex logic, methods go here
 // e.g. userSchema.methods.methodName = function()...
 // or userSchema.statics.methodName = function()...
@@ -0,0 +1,43 @@
+/*
+ * One-off migration of Goal logs from "M/D text" strings to log entries.
+ *
+ * Usage: MONGOLAB_URI=mongodb://... node scripts/migrate-logs.js
+ *
+ * Goals whose logs are already entries are left alone, and entries already
+ * in a log are kept, so it is safe to run more than once.
+ *
+ */
+
+/* jshint node: true */
+'use strict';
+
+var mongoose = require('mongoose');
+var logs = require('../lib/logs');
+
+mongoose.connect(process.env.MONGOLAB_URI);
+
+mongoose.connection.once('open', function() {
+  // Use the raw collection: the Goal model turns strings into entries as it
+  // loads them, without saving them
+  var goals = mongoose.connection.db.collection('goals');
+  var migrated = 0;
+
+  goals.find({log: {$type: 'string'}}).toArray().then(function(docs) {
+    return Promise.all(docs.map(function(doc) {
+      var entries = logs.migrateLog(doc.log, doc.lastUpdate || Date.now());
+      entries.forEach(function(entry) {
+        if (!entry._id) {
+          entry._id = new mongoose.Types.ObjectId();
+        }
+      });
+      migrated += 1;
+      return goals.updateOne({_id: doc._id}, {$set: {log: entries}});
+    }));
+  }).then(function() {
+    console.log("Migrated logs of %d goals", migrated);
+    return mongoose.disconnect();
+  }).catch(function(err) {
+    console.error("Log migration failed", err);
+    process.exit(1);
+  });
+});
@@ -0,0 +1,34 @@
+/*
+ * Repairs User.numGoals from the Goal documents.
+ *
+ * Usage: MONGOLAB_URI=mongodb://... node scripts/reconcile-goal-counts.js
+ *
+ * Counts that drifted before goal creation and deletion were made atomic
+ * kept some users from adding goals. Safe to run while the bot is up and
+ * more than once, see lib/goalCount.js.
+ *
+ */
+
+/* jshint node: true */
+'use strict';
+
+var mongoose = require('mongoose');
+var goalCount = require('../lib/goalCount');
+var User = require('../models/userModel').User;
+var Goal = require('../models/goalModel').Goal;
+
+mongoose.connect(process.env.MONGOLAB_URI);
+
+mongoose.connection.once('open', function() {
+  goalCount.reconcile(User, Goal, function(err, fixed) {
+    if (err) {
+      console.error("Reconciling goal counts failed", err);
+      process.exit(1);
+    }
+    fixed.forEach(function(user) {
+      console.log("User %d: numGoals %s -> %d", user.name, user.was, user.now);
+    });
+    console.log("Fixed goal counts of %d users", fixed.length);
+    mongoose.disconnect();
+  });
+});
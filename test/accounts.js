@@ -0,0 +1,116 @@
+/* jshint node: true, mocha: true */
+'use strict';
+
+var assert = require('assert');
+var createAccounts = require('../lib/accounts').createAccounts;
+var createMemoryModel = require('./support/memoryModel').createMemoryModel;
+var save = require('./support/db').save;
+var User = createMemoryModel(require('../models/userModel').User.schema);
+var Account = createMemoryModel(require('../models/accountModel').Account.schema);
+var AuthCode = createMemoryModel(require('../models/authCodeModel').AuthCode.schema);
+
+var NOW = Date.parse('2017-09-20T12:00:00Z');
+
+var accounts = createAccounts({
+  Account: Account,
+  AuthCode: AuthCode,
+  User: User,
+  codeMinutes: 10,
+  iterations: 1000
+});
+
+// Calls fn with its arguments and a node style callback, resolving with
+// every value it calls back with
+function call(fn) {
+  var args = Array.prototype.slice.call(arguments, 1);
+  return new Promise(function(resolve, reject) {
+    fn.apply(null, args.concat(function(err) {
+      return err ? reject(err) : resolve(Array.prototype.slice.call(arguments, 1));
+    }));
+  });
+}
+
+describe('accounts', function() {
+  var account;
+
+  beforeEach(function() {
+    User.reset();
+    Account.reset();
+    AuthCode.reset();
+    return call(accounts.register, 'Runner', 'correct horse').then(function(result) {
+      account = result[0];
+    });
+  });
+
+  it('makes accounts with hashed passwords', function() {
+    assert.equal(account.username, 'runner');
+    assert.notEqual(account.passwordHash, 'correct horse');
+    return call(accounts.register, 'runner', 'another password').then(function(result) {
+      assert.deepEqual(result, [null, 'taken']);
+      return call(accounts.register, 'a', 'another password');
+    }).then(function(result) {
+      assert.deepEqual(result, [null, 'username']);
+      return call(accounts.register, 'walker', 'short');
+    }).then(function(result) {
+      assert.deepEqual(result, [null, 'password']);
+    });
+  });
+
+  it('checks passwords', function() {
+    return call(accounts.authenticate, 'RUNNER', 'correct horse').then(function(result) {
+      assert.equal(String(result[0]._id), String(account._id));
+      return call(accounts.authenticate, 'runner', 'wrong horse');
+    }).then(function(result) {
+      assert.deepEqual(result, [null, 'credentials']);
+      return call(accounts.authenticate, 'nobody', 'correct horse');
+    }).then(function(result) {
+      assert.deepEqual(result, [null, 'credentials']);
+    });
+  });
+
+  it('redeems a code once, before it expires', function() {
+    var code;
+    return call(accounts.issueCode, account, NOW).then(function(result) {
+      code = result[0];
+      assert.notEqual(AuthCode.docs[0].code, code);
+      return call(accounts.redeemCode, code, NOW + 9 * 60 * 1000);
+    }).then(function(result) {
+      assert.equal(result[0].username, 'runner');
+      return call(accounts.redeemCode, code, NOW + 9 * 60 * 1000);
+    }).then(function(result) {
+      assert.deepEqual(result, [null, 'code']);
+      return call(accounts.issueCode, account, NOW);
+    }).then(function(result) {
+      return call(accounts.redeemCode, result[0], NOW + 11 * 60 * 1000);
+    }).then(function(result) {
+      assert.deepEqual(result, [null, 'code']);
+    });
+  });
+
+  it('shares goals between the chats linked to an account', function() {
+    return Promise.all([
+      save(new User({name: 1})),
+      save(new User({name: 2})),
+      save(new User({name: 3}))
+    ]).then(function() {
+      return call(accounts.identities, 1);
+    }).then(function(result) {
+      assert.deepEqual(result[0], [1]);
+      return call(accounts.link, 1, account);
+    }).then(function() {
+      return call(accounts.link, 2, account);
+    }).then(function() {
+      return call(accounts.identities, 2);
+    }).then(function(result) {
+      assert.deepEqual(result[0].sort(), [1, 2]);
+      return call(accounts.unlink, 1);
+    }).then(function() {
+      return call(accounts.identities, 1);
+    }).then(function(result) {
+      assert.deepEqual(result[0], [1]);
+      return call(accounts.psidsOf, account._id);
+    }).then(function(result) {
+      assert.deepEqual(result[0], [2]);
+    });
+  });
+});
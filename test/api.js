@@ -0,0 +1,284 @@
+/* jshint node: true, mocha: true */
+'use strict';
+
+var assert = require('assert');
+var request = require('request');
+var bot = require('./support/bot');
+var db = require('./support/db');
+var save = db.save;
+var session = require('../lib/session');
+var encode = require('../lib/payload').encode;
+
+var PSID = 1001;
+
+function findGoal(id) {
+  return db.findOne(bot.Goal, {_id: id});
+}
+
+function findUser(psid) {
+  return db.findOne(bot.User, {name: psid});
+}
+
+// Calls the API, with the token if there is one
+function call(method, path, token, body) {
+  return new Promise(function(resolve, reject) {
+    request({
+      uri: bot.url('/api/v1' + path),
+      method: method,
+      json: body || true,
+      headers: token ? {Authorization: 'Bearer ' + token} : {}
+    }, function(err, response) {
+      return err ? reject(err) : resolve(response);
+    });
+  });
+}
+
+function register(username, psid) {
+  return new Promise(function(resolve) {
+    bot.app.get('accounts').register(username, 'correct horse', function(err, account) {
+      if (psid == null) {
+        return resolve(account);
+      }
+      bot.User.update({name: psid}, {$set: {account: account._id}}, function() {
+        resolve(account);
+      });
+    });
+  });
+}
+
+function signIn(username) {
+  return call('POST', '/tokens', null, {username: username, password: 'correct horse'})
+    .then(function(response) {
+      assert.equal(response.statusCode, 201);
+      return response.body.token;
+    });
+}
+
+describe('api', function() {
+  this.timeout(5000);
+  var token;
+
+  before(bot.start);
+  after(bot.stop);
+  beforeEach(function() {
+    bot.reset();
+    return save(new bot.User({name: PSID, numGoals: 0, finished: [], timezone: 0})).then(function() {
+      return save(new bot.Goal({user: 2002, name: 'Secret', status: 'active'}));
+    }).then(function() {
+      return register('runner', PSID);
+    }).then(function() {
+      return signIn('runner');
+    }).then(function(signedIn) {
+      token = signedIn;
+    });
+  });
+
+  it('needs a token from an account linked to a chat', function() {
+    return call('GET', '/goals').then(function(response) {
+      assert.equal(response.statusCode, 401);
+      assert.equal(response.body.error, 'token');
+      return call('POST', '/tokens', null, {username: 'runner', password: 'wrong horse'});
+    }).then(function(response) {
+      assert.equal(response.statusCode, 401);
+      assert.equal(response.body.error, 'credentials');
+      // Dashboard sessions aren't API tokens
+      var account = /^([0-9a-f]+)\./.exec(token)[1];
+      var cookie = session.sign('test-secret', 'account', account, Date.now() + 60000);
+      return call('GET', '/goals', cookie);
+    }).then(function(response) {
+      assert.equal(response.statusCode, 401);
+      return register('walker').then(function() {
+        return signIn('walker');
+      });
+    }).then(function(unlinked) {
+      return call('GET', '/goals', unlinked);
+    }).then(function(response) {
+      assert.equal(response.statusCode, 403);
+      assert.equal(response.body.error, 'unlinked');
+    });
+  });
+
+  it('turns down bodies that aren\'t JSON', function() {
+    return new Promise(function(resolve, reject) {
+      request({
+        uri: bot.url('/api/v1/goals'),
+        method: 'POST',
+        headers: {Authorization: 'Bearer ' + token, 'Content-Type': 'application/json'},
+        body: '{"name": '
+      }, function(err, response) {
+        return err ? reject(err) : resolve(response);
+      });
+    }).then(function(response) {
+      assert.equal(response.statusCode, 400);
+      assert.equal(JSON.parse(response.body).error, 'request');
+    });
+  });
+
+  it('starts goals with the same rules as the chat', function() {
+    return call('POST', '/goals', token, {name: 'read', frequency: '3/week', target: 20, unit: 'pages'})
+      .then(function(response) {
+        assert.equal(response.statusCode, 201);
+        assert.equal(response.body.name, 'Read');
+        assert.equal(response.body.status, 'active');
+        assert.deepEqual(response.body.frequency, {kind: 'weekly', times: 3});
+        assert.equal(response.body.unit, 'pages');
+        assert.equal(response.body.target, 20);
+        return Promise.all([
+          call('POST', '/goals', token, {name: 'Read'}),
+          call('POST', '/goals', token, {name: new Array(102).join('a')}),
+          call('POST', '/goals', token, {name: 'Swim', frequency: 'sometimes'}),
+          call('POST', '/goals', token, {name: 'Write', target: 20}),
+          call('POST', '/goals', token, {name: 'Write', target: null, unit: 'words'}),
+          findUser(PSID)
+        ]);
+      }).then(function(results) {
+        assert.equal(results[0].statusCode, 409);
+        assert.equal(results[0].body.error, 'duplicate');
+        assert.equal(results[1].statusCode, 400);
+        assert.equal(results[1].body.error, 'name');
+        assert.equal(results[2].body.error, 'frequency');
+        // Both or neither of target and unit
+        assert.equal(results[3].statusCode, 400);
+        assert.equal(results[3].body.error, 'target');
+        assert.equal(results[4].statusCode, 400);
+        assert.equal(results[4].body.error, 'target');
+        assert.equal(results[5].numGoals, 1);
+        return call('GET', '/goals', token);
+      }).then(function(response) {
+        assert.deepEqual(response.body.goals.map(function(goal) {
+          return goal.name;
+        }), ['Read']);
+        return db.update(bot.User, {name: PSID}, {$set: {numGoals: 10}});
+      }).then(function() {
+        return call('POST', '/goals', token, {name: 'Swim'});
+      }).then(function(response) {
+        assert.equal(response.statusCode, 403);
+        assert.equal(response.body.error, 'limit');
+      });
+  });
+
+  it('checks in with a log and pages through logs', function() {
+    var id;
+    return call('POST', '/goals', token, {name: 'Read', target: 20, unit: 'pages'}).then(function(response) {
+      id = response.body.id;
+      return call('POST', '/goals/' + id + '/checkins', token, {text: 'chapter 1'});
+    }).then(function(response) {
+      // Goals with a unit need an amount, from the text or given
+      assert.equal(response.statusCode, 400);
+      assert.equal(response.body.error, 'amount');
+      return call('POST', '/goals/' + id + '/checkins', token, {text: new Array(98).join('a'), amount: 5});
+    }).then(function(response) {
+      assert.equal(response.body.error, 'text');
+      return call('POST', '/goals/' + id + '/checkins', token, {text: '12 pages chapter 1'});
+    }).then(function(response) {
+      assert.equal(response.statusCode, 201);
+      assert.equal(response.body.goal.streak, 1);
+      assert.equal(response.body.goal.total, 1);
+      assert.equal(response.body.goal.quantity, 12);
+      assert.equal(response.body.entry.amount, 12);
+      assert.equal(response.body.entry.text, 'chapter 1');
+      return call('POST', '/goals/' + id + '/checkins', token, {text: 'chapter 2', amount: 8});
+    }).then(function(response) {
+      assert.equal(response.body.goal.quantity, 20);
+      return call('GET', '/goals/' + id + '/logs?limit=1', token);
+    }).then(function(response) {
+      assert.equal(response.statusCode, 200);
+      assert.equal(response.body.total, 2);
+      assert.deepEqual(response.body.logs.map(function(entry) {
+        return entry.text;
+      }), ['chapter 2']);
+      return call('GET', '/goals/' + id + '/logs?offset=1&limit=5', token);
+    }).then(function(response) {
+      assert.deepEqual(response.body.logs.map(function(entry) {
+        return entry.text;
+      }), ['chapter 1']);
+      return call('GET', '/goals/' + id + '/logs?limit=500', token);
+    }).then(function(response) {
+      assert.equal(response.statusCode, 400);
+      assert.equal(response.body.error, 'page');
+      return call('GET', '/goals/' + id + '/stats', token);
+    }).then(function(response) {
+      assert.equal(response.statusCode, 200);
+      assert.equal(response.body.goal.id, id);
+      assert.equal(response.body.streak, 1);
+      assert.equal(response.body.longestStreak, 1);
+      assert.deepEqual(response.body.rates.map(function(rate) {
+        return rate.days;
+      }), [7, 30, 90]);
+    });
+  });
+
+  it('renames, finishes, reopens, deletes and restores goals', function() {
+    var id;
+    return call('POST', '/goals', token, {name: 'Run'}).then(function(response) {
+      id = response.body.id;
+      return call('PATCH', '/goals/' + id, token, {name: 'jog'});
+    }).then(function(response) {
+      assert.equal(response.statusCode, 200);
+      assert.equal(response.body.name, 'Jog');
+      return call('POST', '/goals/' + id + '/finish', token);
+    }).then(function(response) {
+      assert.equal(response.body.status, 'finished');
+      return Promise.all([
+        call('POST', '/goals/' + id + '/checkins', token, {text: 'late'}),
+        call('POST', '/goals/' + id + '/finish', token),
+        findUser(PSID)
+      ]);
+    }).then(function(results) {
+      assert.equal(results[0].statusCode, 409);
+      assert.equal(results[0].body.error, 'finished');
+      assert.equal(results[1].body.error, 'finished');
+      assert.equal(results[2].numGoals, 0);
+      return call('GET', '/goals?status=finished', token);
+    }).then(function(response) {
+      assert.equal(response.body.goals[0].id, id);
+      return call('POST', '/goals/' + id + '/reopen', token);
+    }).then(function(response) {
+      assert.equal(response.body.status, 'active');
+      return call('DELETE', '/goals/' + id, token);
+    }).then(function(response) {
+      assert.equal(response.body.status, 'deleted');
+      return call('GET', '/goals/' + id, token);
+    }).then(function(response) {
+      assert.equal(response.statusCode, 404);
+      return call('POST', '/goals/' + id + '/restore', token);
+    }).then(function(response) {
+      assert.equal(response.body.status, 'active');
+      return findUser(PSID);
+    }).then(function(user) {
+      assert.equal(user.numGoals, 1);
+    });
+  });
+
+  it('shares goals with the chat', function() {
+    var id;
+    return call('POST', '/goals', token, {name: 'Run'}).then(function(response) {
+      id = response.body.id;
+      return call('POST', '/goals/' + id + '/checkins', token, {text: 'from the app'});
+    }).then(function() {
+      return bot.send(PSID, {postback: encode('logs', {id: id})});
+    }).then(function(replies) {
+      assert.ok(/from the app/.test(bot.textOf(replies[0])));
+      return findGoal(id);
+    }).then(function(goal) {
+      assert.equal(goal.user, PSID);
+    });
+  });
+
+  it("doesn't show other users' goals", function() {
+    return db.findOne(bot.Goal, {user: 2002}).then(function(secret) {
+      return Promise.all([
+        call('GET', '/goals/' + secret._id, token),
+        call('DELETE', '/goals/' + secret._id, token),
+        call('GET', '/goals/nope', token),
+        call('GET', '/nothing', token)
+      ]);
+    }).then(function(results) {
+      assert.equal(results[0].statusCode, 404);
+      assert.equal(results[0].body.error, 'missing');
+      assert.equal(results[1].statusCode, 404);
+      assert.equal(results[2].statusCode, 404);
+      assert.equal(results[3].body.error, 'route');
+    });
+  });
+});
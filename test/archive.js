@@ -0,0 +1,54 @@
+/* jshint node: true, mocha: true */
+'use strict';
+
+var assert = require('assert');
+var streaks = require('../lib/streak');
+var archive = require('../lib/archive');
+
+describe('archive', function() {
+  it('finds the longest streak a goal ever had', function() {
+    var days = ['2017-09-01', '2017-09-02', '2017-09-03', '2017-09-05', '2017-09-06'];
+    assert.equal(streaks.longestStreak(days), 3);
+    assert.equal(streaks.longestStreak(days.slice().reverse()), 3);
+    assert.equal(streaks.longestStreak([]), 0);
+  });
+
+  it('counts weekly streaks in weeks', function() {
+    // Two weeks in a row with 2 check-ins, then a week with one
+    var days = ['2017-09-04', '2017-09-06', '2017-09-11', '2017-09-13', '2017-09-18'];
+    assert.equal(streaks.longestStreak(days, {kind: 'weekly', times: 2}), 2);
+  });
+
+  it('only matches active goals, including ones without a status', function() {
+    assert.deepEqual(archive.active({user: 1}),
+                     {status: {$nin: ['finished', 'deleted']}, user: 1});
+    assert.deepEqual(archive.finished({user: 1}), {status: 'finished', user: 1});
+    assert.ok(!archive.isFinished({}));
+  });
+
+  it('describes how a finished goal went', function() {
+    var goal = {
+      name: 'Run',
+      createdAt: new Date('2017-09-01T12:00:00Z'),
+      finishedAt: new Date('2017-09-10T12:00:00Z'),
+      days: ['2017-09-01', '2017-09-02', '2017-09-03'],
+      total: 3
+    };
+    goal.longestStreak = archive.finishFields(goal, goal.finishedAt.getTime(), 0).longestStreak;
+    assert.deepEqual(archive.details(goal, 0), [
+      'Finished 9/10/2017 after 10 days',
+      'Longest streak 🔥3',
+      '3 check-ins'
+    ]);
+  });
+
+  it('starts goals from before createdAt at their first check-in', function() {
+    var goal = {
+      finishedAt: new Date('2017-09-03T12:00:00Z'),
+      days: ['2017-09-03'],
+      total: 1
+    };
+    assert.equal(archive.durationDays(goal, 0), 1);
+    assert.equal(archive.details(goal, 0)[2], '1 check-in');
+  });
+});
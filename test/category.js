@@ -0,0 +1,29 @@
+/* jshint node: true, mocha: true */
+'use strict';
+
+var assert = require('assert');
+var categories = require('../lib/category');
+
+describe('category', function() {
+  it('classifies goal names by their words', function() {
+    assert.equal(categories.classify('Run 5k'), 'fitness');
+    assert.equal(categories.classify('Go to the gym'), 'fitness');
+    assert.equal(categories.classify('Read 20 pages'), 'study');
+    assert.equal(categories.classify('Meditated for 10 minutes'), 'mindfulness');
+    assert.equal(categories.classify('Drink more water'), 'health');
+    assert.equal(categories.classify('Practice guitar'), 'creativity');
+    assert.equal(categories.classify('Save $10'), 'finance');
+  });
+
+  it('falls back to general', function() {
+    assert.equal(categories.classify('Call grandma'), categories.GENERAL);
+    assert.equal(categories.classify('Get ready early'), categories.GENERAL);
+    assert.equal(categories.classify(''), categories.GENERAL);
+  });
+
+  it('classifies goals from before categories on the fly', function() {
+    assert.equal(categories.of({name: 'Morning run'}), 'fitness');
+    assert.equal(categories.of({name: 'Morning run', category: 'health'}), 'health');
+    assert.equal(categories.of({name: 'Morning run', category: 'gone'}), 'fitness');
+  });
+});
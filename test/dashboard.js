@@ -0,0 +1,220 @@
+/* jshint node: true, mocha: true */
+'use strict';
+
+var assert = require('assert');
+var request = require('request');
+var bot = require('./support/bot');
+var db = require('./support/db');
+var save = db.save;
+var session = require('../lib/session');
+var encode = require('../lib/payload').encode;
+
+var PSID = 1001;
+
+function findGoal(id) {
+  return db.findOne(bot.Goal, {_id: id});
+}
+
+// Requests a dashboard page, with the session cookie if there is one
+function fetch(path, options) {
+  options = options || {};
+  return new Promise(function(resolve, reject) {
+    request({
+      uri: bot.url(path),
+      method: options.form ? 'POST' : 'GET',
+      form: options.form,
+      headers: options.cookie ? {Cookie: options.cookie} : {},
+      followRedirect: false
+    }, function(err, response) {
+      return err ? reject(err) : resolve(response);
+    });
+  });
+}
+
+// Signs in like a user does, with the link the bot sends
+function signIn() {
+  return bot.send(PSID, {postback: encode('dashboard')}).then(function(replies) {
+    var url = replies[0].message.attachment.payload.buttons[0].url;
+    return fetch(url.substring('https://goalt.test'.length));
+  }).then(function(response) {
+    assert.equal(response.statusCode, 302);
+    assert.equal(response.headers.location, '/dashboard/');
+    return response.headers['set-cookie'][0].split(';')[0];
+  });
+}
+
+function csrfOf(html) {
+  return /name="csrf" value="([0-9a-f]+)"/.exec(html)[1];
+}
+
+describe('dashboard', function() {
+  this.timeout(5000);
+  var goal;
+  var cookie;
+
+  before(bot.start);
+  after(bot.stop);
+  beforeEach(function() {
+    bot.reset();
+    return save(new bot.User({name: PSID, numGoals: 1, finished: [], timezone: 0})).then(function() {
+      return save(new bot.Goal({
+        user: PSID,
+        name: 'Run',
+        status: 'active',
+        log: [
+          {time: new Date('2017-09-19T12:00:00Z'), day: '2017-09-19', text: 'second', streak: 2},
+          {time: new Date('2017-09-18T12:00:00Z'), day: '2017-09-18', text: 'first', streak: 1}
+        ],
+        days: ['2017-09-18', '2017-09-19'],
+        total: 2,
+        streak: 0
+      }));
+    }).then(function(saved) {
+      goal = saved;
+      return save(new bot.Goal({user: 2002, name: 'Secret', status: 'active'}));
+    }).then(function() {
+      return signIn();
+    }).then(function(signedIn) {
+      cookie = signedIn;
+    });
+  });
+
+  it('needs a sign-in link from the bot', function() {
+    return fetch('/dashboard/').then(function(response) {
+      assert.equal(response.statusCode, 401);
+      assert.ok(/tap\s+Dashboard/.test(response.body));
+      var expired = session.sign('test-secret', 'login', PSID, Date.now() - 1000);
+      return fetch('/dashboard/login?token=' + expired);
+    }).then(function(response) {
+      assert.equal(response.statusCode, 403);
+      // A session token can't be used as a sign-in link, or the other way round
+      var token = /goalt_session=([^;]+)/.exec(cookie)[1];
+      return fetch('/dashboard/login?token=' + decodeURIComponent(token));
+    }).then(function(response) {
+      assert.equal(response.statusCode, 403);
+    });
+  });
+
+  it('signs in with the password of a linked account', function() {
+    var accountCookie;
+    return new Promise(function(resolve) {
+      bot.app.get('accounts').register('runner', 'correct horse', function(err, account) {
+        bot.User.update({name: PSID}, {$set: {account: account._id}}, resolve);
+      });
+    }).then(function() {
+      return fetch('/dashboard/login', {form: {username: 'runner', password: 'wrong horse'}});
+    }).then(function(response) {
+      assert.equal(response.statusCode, 401);
+      assert.ok(/Wrong username or password/.test(response.body));
+      return fetch('/dashboard/login', {form: {username: 'runner', password: 'correct horse'}});
+    }).then(function(response) {
+      assert.equal(response.statusCode, 302);
+      accountCookie = response.headers['set-cookie'][0].split(';')[0];
+      return fetch('/dashboard/', {cookie: accountCookie});
+    }).then(function(response) {
+      assert.equal(response.statusCode, 200);
+      assert.ok(/>Run<\/a>/.test(response.body));
+    });
+  });
+
+  it('lists goals with their streaks and finished goals', function() {
+    var finished = new bot.Goal({
+      user: PSID,
+      name: 'Read',
+      status: 'finished',
+      finishedAt: new Date('2017-09-10T12:00:00Z'),
+      days: ['2017-09-09', '2017-09-10'],
+      longestStreak: 2,
+      total: 2
+    });
+    return save(finished).then(function() {
+      return fetch('/dashboard/', {cookie: cookie});
+    }).then(function(response) {
+      assert.equal(response.statusCode, 200);
+      assert.ok(/>Run<\/a> 🔥0/.test(response.body));
+      assert.ok(/longest 🔥2/.test(response.body));
+      assert.ok(/>Read<\/a> 🏁/.test(response.body));
+      assert.ok(/Finished 9\/10\/2017 after 2 days/.test(response.body));
+      assert.ok(!/Secret/.test(response.body));
+    });
+  });
+
+  it('shows a goal with its stats and logs', function() {
+    return fetch('/dashboard/goals/' + goal._id, {cookie: cookie}).then(function(response) {
+      assert.equal(response.statusCode, 200);
+      assert.ok(/Started 9\/18\/2017/.test(response.body));
+      assert.ok(/9\/19\/2017\s+second 🔥2/.test(response.body));
+      assert.ok(/src="https:\/\/goalt.test\/calendar\//.test(response.body));
+    });
+  });
+
+  it("doesn't show other users' goals", function() {
+    return db.findOne(bot.Goal, {user: 2002}).then(function(other) {
+      return fetch('/dashboard/goals/' + other._id, {cookie: cookie});
+    }).then(function(response) {
+      assert.equal(response.statusCode, 404);
+    });
+  });
+
+  it('renames a goal', function() {
+    var path = '/dashboard/goals/' + goal._id;
+    return fetch(path, {cookie: cookie}).then(function(response) {
+      var csrf = csrfOf(response.body);
+      return fetch(path + '/name', {cookie: cookie, form: {csrf: csrf, name: 'run 5k'}}).then(function(response) {
+        assert.equal(response.statusCode, 302);
+        assert.equal(response.headers.location, path);
+        return fetch(path + '/name', {cookie: cookie, form: {csrf: csrf, name: ''}});
+      });
+    }).then(function(response) {
+      assert.equal(response.headers.location, path + '?error=name');
+      return findGoal(goal._id);
+    }).then(function(saved) {
+      assert.equal(saved.name, 'Run 5k');
+    });
+  });
+
+  it("won't rename a goal to the name of another active goal", function() {
+    var path = '/dashboard/goals/' + goal._id;
+    return save(new bot.Goal({user: PSID, name: 'Swim', status: 'active'})).then(function() {
+      return fetch(path, {cookie: cookie});
+    }).then(function(response) {
+      return fetch(path + '/name', {cookie: cookie, form: {csrf: csrfOf(response.body), name: 'Swim'}});
+    }).then(function(response) {
+      assert.equal(response.headers.location, path + '?error=duplicate');
+      return fetch(response.headers.location, {cookie: cookie});
+    }).then(function(response) {
+      assert.ok(/You already have a goal with that name/.test(response.body));
+    });
+  });
+
+  it('deletes a log entry and takes its check-in back', function() {
+    var path = '/dashboard/goals/' + goal._id;
+    var entry = String(goal.log[0]._id);
+    return fetch(path, {cookie: cookie}).then(function(response) {
+      var form = {csrf: csrfOf(response.body)};
+      return fetch(path + '/logs/' + entry + '/delete', {cookie: cookie, form: form}).then(function(response) {
+        assert.equal(response.headers.location, path);
+        return fetch(path + '/logs/' + entry + '/delete', {cookie: cookie, form: form});
+      });
+    }).then(function(response) {
+      assert.equal(response.headers.location, path + '?error=gone');
+      return findGoal(goal._id);
+    }).then(function(saved) {
+      assert.deepEqual(saved.log.map(function(item) {
+        return item.text;
+      }), ['first']);
+      assert.deepEqual(saved.days, ['2017-09-18']);
+      assert.equal(saved.total, 1);
+    });
+  });
+
+  it('only accepts forms it made', function() {
+    var path = '/dashboard/goals/' + goal._id + '/name';
+    return fetch(path, {cookie: cookie, form: {name: 'Hacked'}}).then(function(response) {
+      assert.equal(response.statusCode, 403);
+      return findGoal(goal._id);
+    }).then(function(saved) {
+      assert.equal(saved.name, 'Run');
+    });
+  });
+});
@@ -0,0 +1,81 @@
+/* jshint node: true, mocha: true */
+'use strict';
+
+var assert = require('assert');
+var express = require('express');
+var bodyParser = require('body-parser');
+var request = require('request');
+var fakeMessenger = require('../tools/fake-messenger');
+
+function call(method, url, body) {
+  return new Promise(function(resolve, reject) {
+    request({uri: url, method: method, json: body || true}, function(err, response) {
+      return err ? reject(err) : resolve(response);
+    });
+  });
+}
+
+describe('fakeMessenger', function() {
+  var server;
+  var webhook;
+  var events;
+  var base;
+
+  before(function(done) {
+    events = [];
+    var bot = express();
+    bot.post('/webhook', bodyParser.json(), function(req, res) {
+      events.push({signature: req.get('X-Hub-Signature'), body: req.body});
+      res.sendStatus(200);
+    });
+    webhook = bot.listen(0, function() {
+      server = fakeMessenger.createFakeMessenger({
+        webhookURL: 'http://localhost:' + webhook.address().port + '/webhook',
+        appSecret: 'test-secret',
+        timezone: -7
+      }).listen(0, function() {
+        base = 'http://localhost:' + server.address().port;
+        done();
+      });
+    });
+  });
+
+  after(function(done) {
+    server.close(function() {
+      webhook.close(done);
+    });
+  });
+
+  it('answers User Profile API calls', function() {
+    return call('GET', base + '/v2.6/1001').then(function(response) {
+      assert.equal(response.statusCode, 200);
+      assert.equal(response.body.last_name, 'User 1001');
+      assert.equal(response.body.timezone, -7);
+    });
+  });
+
+  it('keeps conversations apart from profiles', function() {
+    return call('POST', base + '/conversations/1001/messages', {text: 'hi'}).then(function(response) {
+      assert.equal(response.statusCode, 200);
+      assert.equal(events.length, 1);
+      assert.equal(events[0].body.entry[0].messaging[0].message.text, 'hi');
+      assert.equal(events[0].signature,
+                   fakeMessenger.sign(JSON.stringify(events[0].body), 'test-secret'));
+      return call('POST', base + '/v2.6/me/messages', {recipient: {id: 1001}, message: {text: 'hello'}});
+    }).then(function() {
+      return call('GET', base + '/conversations/1001');
+    }).then(function(response) {
+      assert.equal(response.statusCode, 200);
+      assert.deepEqual(response.body.map(function(entry) {
+        return entry.from;
+      }), ['user', 'bot']);
+      assert.equal(response.body[1].message.text, 'hello');
+      return call('DELETE', base + '/conversations/1001');
+    }).then(function(response) {
+      assert.equal(response.statusCode, 204);
+      return call('GET', base + '/conversations/1001');
+    }).then(function(response) {
+      assert.deepEqual(response.body, []);
+    });
+  });
+});
@@ -0,0 +1,49 @@
+/* jshint node: true, mocha: true */
+'use strict';
+
+var assert = require('assert');
+var frequencies = require('../lib/frequency');
+
+describe('frequency', function() {
+  describe('parse', function() {
+    it('reads daily goals', function() {
+      ['daily', 'Every day', ' everyday ', '7 times a week', 'mon tue wed thu fri sat sun']
+        .forEach(function(text) {
+          assert.deepEqual(frequencies.parse(text), {kind: 'daily'}, text);
+        });
+    });
+
+    it('reads times a week', function() {
+      ['3/week', '3 / week', '3x a week', '3 times a week', '3 per week', '3x/week', '3 each week']
+        .forEach(function(text) {
+          assert.deepEqual(frequencies.parse(text), {kind: 'weekly', times: 3}, text);
+        });
+      assert.deepEqual(frequencies.parse('1/week'), {kind: 'weekly', times: 1});
+    });
+
+    it('reads days of the week, in any order and spelling', function() {
+      assert.deepEqual(frequencies.parse('mon,wed'), {kind: 'weekdays', weekdays: [1, 3]});
+      assert.deepEqual(frequencies.parse('Friday, Monday and Wednesday'),
+                       {kind: 'weekdays', weekdays: [1, 3, 5]});
+      assert.deepEqual(frequencies.parse('sat & sun & sat'), {kind: 'weekdays', weekdays: [0, 6]});
+      assert.deepEqual(frequencies.parse('weekdays'), {kind: 'weekdays', weekdays: [1, 2, 3, 4, 5]});
+      assert.deepEqual(frequencies.parse('weekends'), {kind: 'weekdays', weekdays: [0, 6]});
+    });
+
+    it('turns down anything else', function() {
+      ['', 'sometimes', '0/week', '8 times a week', '3/month', 'mon, someday', 'and']
+        .forEach(function(text) {
+          assert.equal(frequencies.parse(text), null, text);
+        });
+    });
+  });
+
+  it('describes frequencies', function() {
+    assert.equal(frequencies.describe(null), 'every day');
+    assert.equal(frequencies.describe({kind: 'weekly', times: 3}), '3x a week');
+    assert.equal(frequencies.describe({kind: 'weekdays', weekdays: [1, 2, 3, 4, 5]}), 'on weekdays');
+    assert.equal(frequencies.describe({kind: 'weekdays', weekdays: [1, 3]}), 'on Mon, Wed');
+    assert.equal(frequencies.streakLabel(2, {kind: 'weekly', times: 3}), '🔥2w');
+    assert.equal(frequencies.streakLabel(2), '🔥2');
+  });
+});
@@ -0,0 +1,104 @@
+/* jshint node: true, mocha: true */
+'use strict';
+
+var assert = require('assert');
+var goalCount = require('../lib/goalCount');
+var createMemoryModel = require('./support/memoryModel').createMemoryModel;
+var save = require('./support/db').save;
+var User = createMemoryModel(require('../models/userModel').User.schema);
+var Goal = createMemoryModel(require('../models/goalModel').Goal.schema);
+
+function reconcile() {
+  return new Promise(function(resolve, reject) {
+    goalCount.reconcile(User, Goal, function(err, fixed) {
+      return err ? reject(err) : resolve(fixed);
+    });
+  });
+}
+
+describe('goalCount', function() {
+  beforeEach(function() {
+    User.reset();
+    Goal.reset();
+  });
+
+  it('reserves slots up to the limit', function(done) {
+    save(new User({name: 1, numGoals: 4})).then(function() {
+      goalCount.reserve(User, 1, 5, function(err, reserved) {
+        assert.ok(reserved);
+        goalCount.reserve(User, 1, 5, function(err, reserved) {
+          assert.ok(!reserved);
+          assert.equal(User.docs[0].numGoals, 5);
+          done();
+        });
+      });
+    });
+  });
+
+  it('looks up the limit of the user tier', function() {
+    var limits = {free: 10, plus: 50};
+    assert.equal(goalCount.limitFor({tier: 'plus'}, limits), 50);
+    assert.equal(goalCount.limitFor({tier: 'gold'}, limits), 10);
+    assert.equal(goalCount.limitFor({}, limits), 10);
+  });
+
+  it('counts the goals of linked chats towards the limit', function(done) {
+    Promise.all([
+      save(new User({name: 1, numGoals: 3})),
+      save(new User({name: 2, numGoals: 1, tier: 'plus'}))
+    ]).then(function() {
+      goalCount.reserveShared(User, [1, 2], 1, {free: 5, plus: 10}, function(err, reserved) {
+        assert.ok(reserved);
+        goalCount.reserveShared(User, [1, 2], 1, {free: 5, plus: 10}, function(err, reserved) {
+          assert.ok(!reserved);
+          // Each chat's own tier sets its limit
+          goalCount.reserveShared(User, [1, 2], 2, {free: 5, plus: 10}, function(err, reserved) {
+            assert.ok(reserved);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('tells if a chat has room for a goal without taking it', function(done) {
+    Promise.all([
+      save(new User({name: 1, numGoals: 3})),
+      save(new User({name: 2, numGoals: 2}))
+    ]).then(function() {
+      goalCount.hasRoomShared(User, [1], 1, {free: 5}, function(err, room) {
+        assert.ok(room);
+        goalCount.hasRoomShared(User, [1, 2], 1, {free: 5}, function(err, room) {
+          assert.ok(!room);
+          User.findOne({name: 1}, function(err, user) {
+            assert.equal(user.numGoals, 3);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('repairs counts that drifted from the goals', function() {
+    return Promise.all([
+      save(new User({name: 1, numGoals: 5})),
+      save(new User({name: 2, numGoals: 1})),
+      save(new User({name: 3})),
+      save(new Goal({user: 1, name: 'Run'})),
+      save(new Goal({user: 2, name: 'Read'})),
+      save(new Goal({user: 3, name: 'Run'})),
+      save(new Goal({user: 3, name: 'Read'}))
+    ]).then(reconcile).then(function(fixed) {
+      assert.deepEqual(fixed, [
+        {name: 1, was: 5, now: 1},
+        {name: 3, was: null, now: 2}
+      ]);
+      assert.deepEqual(User.docs.map(function(user) {
+        return user.numGoals;
+      }), [1, 1, 2]);
+      return reconcile();
+    }).then(function(fixed) {
+      assert.deepEqual(fixed, []);
+    });
+  });
+});
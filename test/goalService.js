@@ -0,0 +1,307 @@
+/* jshint node: true, mocha: true */
+'use strict';
+
+var assert = require('assert');
+var goalService = require('../lib/goalService');
+var createAccounts = require('../lib/accounts').createAccounts;
+var createMemoryModel = require('./support/memoryModel').createMemoryModel;
+var db = require('./support/db');
+var save = db.save;
+var User = createMemoryModel(require('../models/userModel').User.schema);
+var Goal = createMemoryModel(require('../models/goalModel').Goal.schema);
+var Account = createMemoryModel(require('../models/accountModel').Account.schema);
+var AuthCode = createMemoryModel(require('../models/authCodeModel').AuthCode.schema);
+
+var PSID = 1001;
+var LINKED = 1002;
+
+var accounts = createAccounts({
+  Account: Account,
+  AuthCode: AuthCode,
+  User: User,
+  codeMinutes: 10,
+  iterations: 1000
+});
+
+var service = goalService.createGoalService({
+  User: User,
+  Goal: Goal,
+  accounts: accounts,
+  limits: {free: 2}
+});
+
+function findUser(psid) {
+  return db.findOne(User, {name: psid});
+}
+
+// Resolves once promise rejects with a Type error with reason
+function rejects(promise, Type, reason) {
+  return promise.then(function(result) {
+    throw new Error("Expected a " + Type.name + ", got " + JSON.stringify(result));
+  }, function(err) {
+    assert.ok(err instanceof Type, String(err && err.stack));
+    assert.ok(err instanceof goalService.GoalError);
+    assert.equal(err.name, Type.name);
+    assert.equal(err.reason, reason);
+  });
+}
+
+describe('goalService', function() {
+  beforeEach(function() {
+    User.reset();
+    Goal.reset();
+    Account.reset();
+    AuthCode.reset();
+    return Promise.all([
+      save(new User({name: PSID, numGoals: 0, finished: [], timezone: 0})),
+      save(new User({name: 2002, numGoals: 0, finished: [], timezone: 0}))
+    ]);
+  });
+
+  it('starts goals with unique, capitalized names', function() {
+    return service.create(PSID, {name: ' read ', frequency: {kind: 'weekly', times: 3}})
+      .then(function(goal) {
+        assert.equal(goal.name, 'Read');
+        assert.equal(goal.user, PSID);
+        assert.equal(goal.status, 'active');
+        assert.equal(goal.frequency.times, 3);
+        assert.equal(goal.category, 'study');
+        return Promise.all([
+          rejects(service.create(PSID, {name: 'Read'}), goalService.DuplicateGoalError, 'duplicate'),
+          rejects(service.create(PSID, {name: new Array(102).join('a')}),
+                  goalService.GoalValidationError, 'name'),
+          rejects(service.create(PSID, {name: '  '}), goalService.GoalValidationError, 'name')
+        ]);
+      }).then(function() {
+        return findUser(PSID);
+      }).then(function(user) {
+        assert.equal(user.numGoals, 1);
+        // Other users can have a goal with the same name
+        return service.create(2002, {name: 'Read'});
+      });
+  });
+
+  it('keeps to the goal limit', function() {
+    return service.create(PSID, {name: 'Run'}).then(function() {
+      return service.checkRoom(PSID);
+    }).then(function() {
+      return service.create(PSID, {name: 'Read'});
+    }).then(function() {
+      return Promise.all([
+        rejects(service.checkRoom(PSID), goalService.GoalLimitError, 'limit'),
+        rejects(service.create(PSID, {name: 'Swim'}), goalService.GoalLimitError, 'limit')
+      ]);
+    }).then(function() {
+      return findUser(PSID);
+    }).then(function(user) {
+      assert.equal(user.numGoals, 2);
+    });
+  });
+
+  it('shares goals, names and the limit between linked chats', function() {
+    return save(new User({name: LINKED, numGoals: 0, finished: []})).then(function() {
+      return new Promise(function(resolve) {
+        accounts.register('runner', 'correct horse', function(err, account) {
+          User.update({name: {$in: [PSID, LINKED]}}, {$set: {account: account._id}},
+                      {multi: true}, resolve);
+        });
+      });
+    }).then(function() {
+      return service.create(LINKED, {name: 'Run'});
+    }).then(function(goal) {
+      return Promise.all([
+        service.find(PSID, goal._id),
+        rejects(service.create(PSID, {name: 'Run'}), goalService.DuplicateGoalError, 'duplicate'),
+        service.create(PSID, {name: 'Read'})
+      ]);
+    }).then(function(results) {
+      assert.equal(results[0].name, 'Run');
+      return rejects(service.create(LINKED, {name: 'Swim'}), goalService.GoalLimitError, 'limit');
+    });
+  });
+
+  it('only finds goals the chat can see, in the status asked for', function() {
+    var mine;
+    return service.create(PSID, {name: 'Run'}).then(function(goal) {
+      mine = goal;
+      return save(new Goal({user: 2002, name: 'Secret', status: 'active'}));
+    }).then(function(secret) {
+      return Promise.all([
+        rejects(service.find(PSID, secret._id), goalService.GoalNotFoundError, 'missing'),
+        rejects(service.find(PSID, 'nope'), goalService.GoalNotFoundError, 'missing'),
+        rejects(service.find(PSID, mine._id, 'finished'), goalService.GoalStatusError, 'active'),
+        rejects(service.find(PSID, mine._id, 'deleted'), goalService.GoalStatusError, 'restored'),
+        service.find(PSID, String(mine._id), 'any')
+      ]);
+    }).then(function(results) {
+      assert.equal(results[4].name, 'Run');
+    });
+  });
+
+  it('checks in, updating the streak and logging', function() {
+    var id;
+    return service.create(PSID, {name: 'Run'}).then(function(goal) {
+      id = goal._id;
+      return service.checkIn(PSID, id, null);
+    }).then(function(goal) {
+      assert.equal(goal.streak, 1);
+      assert.equal(goal.total, 1);
+      assert.equal(goal.days.length, 1);
+      assert.equal(goal.log.length, 0);
+      return service.addLog(PSID, id, {text: 'felt good'});
+    }).then(function(goal) {
+      assert.equal(goal.log[0].text, 'felt good');
+      assert.equal(goal.log[0].streak, 1);
+      // Only goals with a unit keep count
+      assert.equal(goal.quantity, undefined);
+      return rejects(service.checkIn(PSID, id, {text: new Array(98).join('a')}),
+                     goalService.GoalValidationError, 'text');
+    }).then(function() {
+      return service.checkIn(PSID, id, {text: 'again'});
+    }).then(function(goal) {
+      // Turned down check-ins don't count
+      assert.equal(goal.total, 2);
+      assert.equal(goal.days.length, 1);
+      assert.deepEqual(goal.log.map(function(entry) {
+        return entry.text;
+      }), ['again', 'felt good']);
+      assert.equal(goal.quantity, undefined);
+    });
+  });
+
+  it('logs amounts for goals with a unit', function() {
+    var id;
+    return service.create(PSID, {name: 'Read', unit: 'pages', target: 20}).then(function(goal) {
+      id = goal._id;
+      return rejects(service.checkIn(PSID, id, {text: 'a chapter'}),
+                     goalService.GoalValidationError, 'amount');
+    }).then(function() {
+      return service.checkIn(PSID, id, {text: '12 pages of chapter 1'});
+    }).then(function(goal) {
+      assert.equal(goal.quantity, 12);
+      assert.equal(goal.log[0].text, 'of chapter 1');
+      return service.checkIn(PSID, id, {text: 'chapter 2', amount: 8});
+    }).then(function(goal) {
+      assert.equal(goal.quantity, 20);
+      return service.logs(PSID, id, 1, 5);
+    }).then(function(page) {
+      assert.equal(page.total, 2);
+      assert.deepEqual(page.entries.map(function(entry) {
+        return entry.amount;
+      }), [12]);
+    });
+  });
+
+  it('lists goals with their streaks up to date', function() {
+    return Promise.all([
+      save(new Goal({user: PSID, name: 'Run', status: 'active', days: ['2017-09-01'], streak: 5})),
+      save(new Goal({user: PSID, name: 'Read', finishedAt: new Date('2017-09-01'), status: 'finished'})),
+      save(new Goal({user: PSID, name: 'Swim', finishedAt: new Date('2017-09-05'), status: 'finished'}))
+    ]).then(function() {
+      return Promise.all([service.list(PSID, 'active'), service.list(PSID, 'finished')]);
+    }).then(function(results) {
+      assert.equal(results[0].length, 1);
+      assert.equal(results[0][0].streak, 0);
+      assert.deepEqual(results[1].map(function(goal) {
+        return goal.name;
+      }), ['Swim', 'Read']);
+      return service.find(PSID, results[0][0]._id);
+    }).then(function(goal) {
+      // Saved too
+      assert.equal(goal.streak, 0);
+    });
+  });
+
+  it('finishes and reopens goals, giving the slot back and taking it again', function() {
+    var id;
+    return service.create(PSID, {name: 'Run'}).then(function(goal) {
+      id = goal._id;
+      return service.checkIn(PSID, id, null);
+    }).then(function() {
+      return service.finish(PSID, id);
+    }).then(function(goal) {
+      assert.equal(goal.status, 'finished');
+      assert.equal(goal.longestStreak, 1);
+      assert.ok(goal.finishedAt);
+      return Promise.all([
+        findUser(PSID),
+        rejects(service.finish(PSID, id), goalService.GoalStatusError, 'finished'),
+        rejects(service.checkIn(PSID, id, null), goalService.GoalStatusError, 'finished')
+      ]);
+    }).then(function(results) {
+      assert.equal(results[0].numGoals, 0);
+      // Finished goals can share names, so a new Run can be started
+      return service.create(PSID, {name: 'Run'});
+    }).then(function() {
+      return rejects(service.reopen(PSID, id), goalService.DuplicateGoalError, 'duplicate');
+    }).then(function() {
+      return service.rename(PSID, id, 'Old run');
+    }).then(function(goal) {
+      assert.equal(goal.name, 'Old run');
+      return service.reopen(PSID, id);
+    }).then(function(goal) {
+      assert.equal(goal.status, 'active');
+      assert.equal(goal.finishedAt, undefined);
+      return findUser(PSID);
+    }).then(function(user) {
+      assert.equal(user.numGoals, 2);
+      return rejects(service.rename(PSID, id, 'run'), goalService.DuplicateGoalError, 'duplicate');
+    });
+  });
+
+  it('deletes goals to Recently Deleted and restores them', function() {
+    var id;
+    return service.create(PSID, {name: 'Run'}).then(function(goal) {
+      id = goal._id;
+      return service.remove(PSID, id);
+    }).then(function(goal) {
+      assert.equal(goal.status, 'deleted');
+      return Promise.all([
+        findUser(PSID),
+        rejects(service.find(PSID, id, 'any'), goalService.GoalNotFoundError, 'missing'),
+        rejects(service.remove(PSID, id), goalService.GoalNotFoundError, 'missing'),
+        service.list(PSID, 'deleted')
+      ]);
+    }).then(function(results) {
+      assert.equal(results[0].numGoals, 0);
+      assert.equal(results[3].length, 1);
+      return service.restore(PSID, id);
+    }).then(function(goal) {
+      assert.equal(goal.status, 'active');
+      return Promise.all([
+        findUser(PSID),
+        rejects(service.restore(PSID, id), goalService.GoalStatusError, 'restored')
+      ]);
+    }).then(function(results) {
+      assert.equal(results[0].numGoals, 1);
+    });
+  });
+
+  it('sets goals up', function() {
+    var id;
+    return service.create(PSID, {name: 'Read'}).then(function(goal) {
+      id = goal._id;
+      return Promise.all([
+        rejects(service.setFrequency(PSID, id, null), goalService.GoalValidationError, 'frequency'),
+        rejects(service.setTarget(PSID, id, null), goalService.GoalValidationError, 'target'),
+        rejects(service.setCategory(PSID, id, 'nope'), goalService.GoalValidationError, 'category')
+      ]);
+    }).then(function() {
+      return service.setFrequency(PSID, id, {kind: 'weekdays', weekdays: [1, 3]});
+    }).then(function() {
+      return service.setTarget(PSID, id, {target: 20, unit: 'pages'});
+    }).then(function() {
+      return service.setCategory(PSID, id, 'fitness');
+    }).then(function(goal) {
+      assert.deepEqual(goal.frequency.weekdays, [1, 3]);
+      assert.equal(goal.unit, 'pages');
+      assert.equal(goal.target, 20);
+      assert.equal(goal.quantity, 0);
+      assert.equal(goal.category, 'fitness');
+      return service.stats(PSID, id);
+    }).then(function(result) {
+      assert.equal(result.goal.name, 'Read');
+      assert.equal(result.stats.streak, 0);
+    });
+  });
+});
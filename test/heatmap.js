@@ -0,0 +1,79 @@
+/* jshint node: true, mocha: true */
+'use strict';
+
+var assert = require('assert');
+var zlib = require('zlib');
+var heatmap = require('../lib/heatmap');
+
+// Reads back the size and RGB pixels of a PNG made by encodePNG
+function decode(png) {
+  assert.equal(png.slice(0, 8).toString('hex'), '89504e470d0a1a0a');
+  var offset = 8;
+  var image = {};
+  var data = [];
+  while (offset < png.length) {
+    var length = png.readUInt32BE(offset);
+    var type = png.slice(offset + 4, offset + 8).toString('ascii');
+    var body = png.slice(offset + 8, offset + 8 + length);
+    assert.equal(png.readUInt32BE(offset + 8 + length),
+                 heatmap.crc32(png.slice(offset + 4, offset + 8 + length)));
+    if (type == 'IHDR') {
+      image.width = body.readUInt32BE(0);
+      image.height = body.readUInt32BE(4);
+    } else if (type == 'IDAT') {
+      data.push(body);
+    }
+    offset += 12 + length;
+  }
+  var raw = zlib.inflateSync(Buffer.concat(data));
+  image.pixel = function(x, y) {
+    var i = y * (image.width * 3 + 1) + 1 + x * 3;
+    return [raw[i], raw[i + 1], raw[i + 2]];
+  };
+  return image;
+}
+
+describe('heatmap', function() {
+  it('encodes a valid PNG', function() {
+    var pixels = Buffer.from([255, 0, 0, 0, 255, 0, 0, 0, 255, 1, 2, 3]);
+    var image = decode(heatmap.encodePNG(2, 2, pixels));
+    assert.equal(image.width, 2);
+    assert.equal(image.height, 2);
+    assert.deepEqual(image.pixel(1, 0), [0, 255, 0]);
+    assert.deepEqual(image.pixel(1, 1), [1, 2, 3]);
+  });
+
+  it('colors days by how busy they were', function() {
+    var goal = {
+      days: ['2017-09-18', '2017-09-19'],
+      log: [
+        {day: '2017-09-19', text: 'a'},
+        {day: '2017-09-19', text: 'b'},
+        {day: '2017-09-18', text: 'c'}
+      ]
+    };
+    var levels = heatmap.levelsFor(goal, 0);
+    assert.deepEqual(levels, {'2017-09-18': 2, '2017-09-19': 4});
+
+    var today = '2017-09-20';
+    var image = decode(heatmap.render(levels, today));
+    function colorOf(day) {
+      var origin = heatmap.cellOrigin(day, today, heatmap.WEEKS);
+      return image.pixel(origin.x + 1, origin.y + 1);
+    }
+    assert.deepEqual(colorOf('2017-09-18'), heatmap.COLORS[2]);
+    assert.deepEqual(colorOf('2017-09-19'), heatmap.COLORS[4]);
+    assert.deepEqual(colorOf('2017-09-20'), heatmap.COLORS[0]);
+    // Thursday is still to come
+    assert.deepEqual(colorOf('2017-09-21'), [255, 255, 255]);
+  });
+
+  it('goes by the amount logged for measurable goals', function() {
+    var goal = {
+      unit: 'pages',
+      days: ['2017-09-18', '2017-09-19'],
+      log: [{day: '2017-09-19', amount: 40}, {day: '2017-09-18', amount: 10}]
+    };
+    assert.deepEqual(heatmap.levelsFor(goal, 0), {'2017-09-18': 1, '2017-09-19': 4});
+  });
+});
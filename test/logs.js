@@ -0,0 +1,87 @@
+/* jshint node: true, mocha: true */
+'use strict';
+
+var assert = require('assert');
+var logs = require('../lib/logs');
+var mongoose = require('mongoose');
+require('../models/goalModel');
+// The model itself, test/support/bot.js swaps the export for a memory one
+var Goal = mongoose.model('Goal');
+
+function days(entries) {
+  return entries.map(function(entry) {
+    return entry.day;
+  });
+}
+
+describe('logs', function() {
+  describe('parseLegacy', function() {
+    it('reads zero-based months', function() {
+      var entries = logs.parseLegacy(['8/5 ran 5k', '0/15 first run'], Date.UTC(2017, 8, 5, 18));
+      assert.deepEqual(days(entries), ['2017-09-05', '2017-01-15']);
+      assert.deepEqual(entries.map(function(entry) {
+        return entry.text;
+      }), ['ran 5k', 'first run']);
+      assert.equal(entries[0].time.getTime(), Date.UTC(2017, 8, 5, 12));
+    });
+
+    it('goes back a year when the date goes up', function() {
+      // Last updated in early January
+      var entries = logs.parseLegacy(['0/3 a', '0/1 b', '11/31 c', '11/1 d', '0/20 e'],
+                                     Date.UTC(2018, 0, 3, 9));
+      assert.deepEqual(days(entries),
+                       ['2018-01-03', '2018-01-01', '2017-12-31', '2017-12-01', '2017-01-20']);
+    });
+
+    it('puts February 29th in a leap year', function() {
+      var entries = logs.parseLegacy(['2/1 a', '1/29 b'], Date.UTC(2017, 2, 5, 9));
+      assert.deepEqual(days(entries), ['2017-03-01', '2016-02-29']);
+    });
+
+    it('keeps the year for entries on the same day', function() {
+      var entries = logs.parseLegacy(['11/31 b', '11/31 a'], Date.UTC(2017, 11, 31, 20));
+      assert.deepEqual(days(entries), ['2017-12-31', '2017-12-31']);
+    });
+
+    it('allows for a server clock ahead of UTC', function() {
+      // Written on the 1st by the server, still December 31st in UTC
+      var entries = logs.parseLegacy(['0/1 late', '11/30 a'], Date.UTC(2017, 11, 31, 23));
+      assert.deepEqual(days(entries), ['2018-01-01', '2017-12-30']);
+    });
+
+    it('takes lastUpdate in seconds from older goals', function() {
+      var entries = logs.parseLegacy(['8/5 a'], Date.UTC(2017, 8, 5, 18) / 1000);
+      assert.deepEqual(days(entries), ['2017-09-05']);
+    });
+
+    it('keeps what it can\'t read as text from the last update', function() {
+      var entries = logs.parseLegacy(['8/5', 'no date', '3/31 not a date', '8/1 line one\nline two'],
+                                     Date.UTC(2017, 8, 5, 18));
+      assert.deepEqual(entries.map(function(entry) {
+        return [entry.day, entry.text];
+      }), [
+        ['2017-09-05', ''],
+        ['2017-09-05', 'no date'],
+        ['2017-09-05', '3/31 not a date'],
+        ['2017-09-01', 'line one\nline two']
+      ]);
+    });
+  });
+
+  it('migrates only the legacy strings of a log', function() {
+    var converted = {day: '2017-09-06', text: 'new', streak: 3};
+    var log = logs.migrateLog([converted, '8/5 old'], Date.UTC(2017, 8, 6, 18));
+    assert.equal(log.length, 2);
+    assert.strictEqual(log[0], converted);
+    assert.equal(log[1].day, '2017-09-05');
+    assert.equal(log[1].text, 'old');
+  });
+
+  it('reads goals with legacy strings in their log as entries', function() {
+    var goal = Goal.hydrate({name: 'Run', lastUpdate: Date.UTC(2017, 8, 6, 18),
+                             log: [{day: '2017-09-06', text: 'new'}, '8/5 old']});
+    assert.deepEqual(days(goal.log), ['2017-09-06', '2017-09-05']);
+    assert.equal(logs.formatEntry(goal.log[1]), '9/5/2017 old');
+    assert.ok(/9\/5\/2017/.test(logs.summary(goal)));
+  });
+});
@@ -0,0 +1,133 @@
+/* jshint node: true, mocha: true */
+'use strict';
+
+var assert = require('assert');
+var createMotivationCache = require('../lib/motivationCache').createMotivationCache;
+
+// A remote source answering with whatever is in result
+function fakeSource(id, result) {
+  return {
+    id: id,
+    label: id,
+    remote: true,
+    calls: 0,
+    result: result,
+    list: function(callback) {
+      var self = this;
+      self.calls += 1;
+      setImmediate(function() {
+        callback(self.result.error, self.result.items);
+      });
+    }
+  };
+}
+
+function list(source) {
+  return new Promise(function(resolve) {
+    source.list(function(err, items) {
+      resolve(items);
+    });
+  });
+}
+
+describe('motivationCache', function() {
+  var reddit;
+  var quotes;
+  var cache;
+  var checked;
+
+  beforeEach(function() {
+    checked = [];
+    reddit = fakeSource('r/GetMotivated', {items: [
+      {id: 'a', text: 'A', image: 'https://i.redd.it/a.jpg'},
+      {id: 'b', text: 'B', image: 'https://i.redd.it/a.jpg?x=1'},
+      {id: 'c', text: 'C', image: 'https://imgur.com/gallery/c'},
+      {id: 'd', text: 'D', image: 'https://i.redd.it/d.png'}
+    ]});
+    quotes = {id: 'quotes', label: 'Quotes', list: function() {}};
+    cache = createMotivationCache({
+      sources: [reddit, quotes],
+      checkImage: function(url, callback) {
+        checked.push(url);
+        callback(null, !/imgur/.test(url));
+      }
+    });
+  });
+
+  it('leaves local sources alone', function() {
+    assert.equal(cache.sources[1], quotes);
+    assert.notEqual(cache.sources[0], reddit);
+  });
+
+  it('offers nothing until the first refresh, without waiting for it', function() {
+    return list(cache.sources[0]).then(function(items) {
+      assert.deepEqual(items, []);
+      assert.equal(reddit.calls, 1);
+    });
+  });
+
+  it('keeps checked images once each', function(done) {
+    cache.refresh(0, function() {
+      assert.deepEqual(checked, ['https://i.redd.it/a.jpg', 'https://imgur.com/gallery/c',
+                                 'https://i.redd.it/d.png']);
+      list(cache.sources[0]).then(function(items) {
+        assert.deepEqual(items.map(function(item) {
+          return item.id;
+        }), ['a', 'd']);
+        done();
+      }).catch(done);
+    });
+  });
+
+  it('keeps the last items when a refresh fails', function(done) {
+    cache.refresh(0, function() {
+      reddit.result = {error: new Error('down')};
+      var job = cache.createRefreshJob(60 * 1000);
+      var error = console.error;
+      console.error = function() {};
+      job(60 * 1000, function() {
+        console.error = error;
+        assert.equal(reddit.calls, 2);
+        list(cache.sources[0]).then(function(items) {
+          assert.equal(items.length, 2);
+          done();
+        }).catch(done);
+      });
+    });
+  });
+
+  it('gives up on sources that take too long', function(done) {
+    var answer;
+    reddit.list = function(callback) {
+      reddit.calls += 1;
+      answer = callback;
+    };
+    cache = createMotivationCache({sources: [reddit], timeout: 10});
+    var error = console.error;
+    console.error = function() {};
+    cache.createRefreshJob(60 * 1000)(0, function() {
+      // Late answers are dropped, and the source can be refreshed again
+      answer(null, [{id: 'late', text: 'Late'}]);
+      cache.createRefreshJob(60 * 1000)(0, function() {
+        console.error = error;
+        assert.equal(reddit.calls, 2);
+        reddit.list = function(callback) {
+          callback(null, []);
+        };
+        list(cache.sources[0]).then(function(items) {
+          assert.deepEqual(items, []);
+          done();
+        }).catch(done);
+      });
+    });
+  });
+
+  it('only refreshes sources older than the job allows', function(done) {
+    cache.refresh(0, function() {
+      cache.createRefreshJob(60 * 1000)(30 * 1000, function() {
+        assert.equal(reddit.calls, 1);
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,73 @@
+/* jshint node: true, mocha: true */
+'use strict';
+
+var assert = require('assert');
+var payloads = require('../lib/payload');
+var createRouter = require('../lib/router').createRouter;
+
+var ID = '59c0c0c0c0c0c0c0c0c0c0c0';
+
+describe('payload', function() {
+  it('round trips a handler and its arguments', function() {
+    var encoded = payloads.encode('logs', {id: ID, index: 5});
+    assert.deepEqual(payloads.decode(encoded), {name: 'logs', args: {id: ID, index: 5}});
+    assert.deepEqual(payloads.decode(payloads.encode('home')), {name: 'home', args: {}});
+  });
+
+  it('reads legacy payloads', function() {
+    assert.deepEqual(payloads.decode('yes  ' + ID), {name: 'delete', args: {id: ID}});
+    assert.deepEqual(payloads.decode('logs10!' + ID),
+                     {name: 'logs', args: {id: ID, index: 10}});
+    assert.deepEqual(payloads.decode('no   ' + ID), {name: 'cancelDelete', args: {id: ID}});
+    assert.deepEqual(payloads.decode('Payload start'), {name: 'start', args: {}});
+  });
+
+  it('rejects what it cannot read', function() {
+    assert.equal(payloads.decode('{"v":1,'), null);
+    assert.equal(payloads.decode('{"v":2,"h":"home"}'), null);
+    assert.equal(payloads.decode('something else'), null);
+    assert.equal(payloads.decode(undefined), null);
+  });
+});
+
+describe('router', function() {
+  var calls;
+  var invalid;
+  var router;
+
+  beforeEach(function() {
+    calls = [];
+    invalid = [];
+    router = createRouter({
+      onInvalid: function(senderID, payload, reason) {
+        invalid.push(reason);
+      }
+    });
+    router.route('logs', {id: 'objectId', index: 'int?'}, function(senderID, args) {
+      calls.push(args);
+    });
+  });
+
+  it('calls the handler with valid arguments', function() {
+    router.dispatch(1, payloads.encode('logs', {id: ID}));
+    router.dispatch(1, payloads.encode('logs', {id: ID, index: 5}));
+    assert.deepEqual(calls, [{id: ID}, {id: ID, index: 5}]);
+    assert.deepEqual(invalid, []);
+  });
+
+  it('refuses bad arguments and unknown handlers', function() {
+    router.dispatch(1, payloads.encode('logs', {id: 'nope'}));
+    router.dispatch(1, payloads.encode('logs', {id: ID, index: -5}));
+    router.dispatch(1, payloads.encode('logs', {id: ID, page: 2}));
+    router.dispatch(1, payloads.encode('view', {id: ID}));
+    router.dispatch(1, 'garbage');
+    assert.deepEqual(calls, []);
+    assert.deepEqual(invalid, [
+      'id is not a valid objectId',
+      'index is not a valid int',
+      'unexpected page',
+      'no handler view',
+      'unreadable payload'
+    ]);
+  });
+});
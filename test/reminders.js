@@ -0,0 +1,179 @@
+/* jshint node: true, mocha: true */
+'use strict';
+
+var assert = require('assert');
+var reminders = require('../lib/reminders');
+var decode = require('../lib/payload').decode;
+var createMemoryModel = require('./support/memoryModel').createMemoryModel;
+var db = require('./support/db');
+var save = db.save;
+var User = createMemoryModel(require('../models/userModel').User.schema);
+var Goal = createMemoryModel(require('../models/goalModel').Goal.schema);
+
+var PSID = 1001;
+
+function findUser(psid) {
+  return db.findOne(User, {name: psid});
+}
+
+// 2017-09-05 is a Tuesday. The user is at UTC-7, so 15:00 UTC is 8 AM there
+function at(day, hour, minute) {
+  return Date.UTC(2017, 8, day, hour, minute || 0);
+}
+
+describe('reminders', function() {
+  var sent;
+  var job;
+
+  function run(now) {
+    return new Promise(function(resolve, reject) {
+      job(now, function(err) {
+        return err ? reject(err) : resolve(sent.length);
+      });
+    });
+  }
+
+  beforeEach(function() {
+    User.reset();
+    Goal.reset();
+    sent = [];
+    job = reminders.createReminderJob({
+      User: User,
+      Goal: Goal,
+      send: function(messageData) {
+        sent.push(messageData);
+      }
+    });
+    return Promise.all([
+      save(new User({name: PSID, timezone: -7, reminderHour: 8,
+                     nextReminder: new Date(at(5, 15))})),
+      save(new User({name: 2002, timezone: -7})),
+      save(new Goal({user: PSID, name: 'Run', status: 'active', streak: 2,
+                     days: ['2017-09-03', '2017-09-04']})),
+      save(new Goal({user: PSID, name: 'Read', status: 'active', streak: 1,
+                     days: ['2017-09-05']})),
+      // Only due on Mondays
+      save(new Goal({user: PSID, name: 'Swim', status: 'active',
+                     frequency: {kind: 'weekdays', weekdays: [1]}})),
+      save(new Goal({user: PSID, name: 'Write', status: 'finished'})),
+      save(new Goal({user: 2002, name: 'Cook', status: 'active'}))
+    ]);
+  });
+
+  it('works out when the next reminder is due in the user\'s timezone', function() {
+    var user = {timezone: -7, reminderHour: 8};
+    assert.equal(reminders.nextReminderTime(user, at(5, 14)).getTime(), at(5, 15));
+    // Still the 4th where the user is
+    assert.equal(reminders.nextReminderTime(user, at(5, 3)).getTime(), at(4, 15));
+    user.lastReminded = '2017-09-05';
+    assert.equal(reminders.nextReminderTime(user, at(5, 16)).getTime(), at(6, 15));
+    assert.equal(reminders.nextReminderTime({timezone: 5.5, reminderHour: 21}, at(5, 0)).getTime(),
+                 at(5, 15, 30));
+  });
+
+  it('reminds about goals still due once the hour comes', function() {
+    return run(at(5, 14, 59)).then(function(count) {
+      assert.equal(count, 0);
+      return run(at(5, 15));
+    }).then(function(count) {
+      assert.equal(count, 1);
+      var message = sent[0];
+      assert.equal(message.recipient.id, PSID);
+      assert.ok(/1\. Run/.test(message.message.text));
+      assert.ok(!/Read|Swim|Write/.test(message.message.text));
+      assert.deepEqual(message.message.quick_replies.map(function(reply) {
+        return decode(reply.payload).name;
+      }), ['progress', 'home']);
+      return findUser(PSID);
+    }).then(function(user) {
+      assert.equal(user.lastReminded, '2017-09-05');
+      assert.equal(user.nextReminder.getTime(), at(6, 15));
+    });
+  });
+
+  it('reminds once a day', function() {
+    return run(at(5, 15)).then(function() {
+      return run(at(5, 16));
+    }).then(function(count) {
+      assert.equal(count, 1);
+      // 11 PM on the 5th for the user
+      return run(at(6, 6));
+    }).then(function(count) {
+      assert.equal(count, 1);
+      return run(at(6, 15, 1));
+    }).then(function(count) {
+      assert.equal(count, 2);
+      assert.ok(/Read/.test(sent[1].message.text));
+    });
+  });
+
+  it('never sends the same reminder twice, even from two servers', function() {
+    var other = reminders.createReminderJob({
+      User: User,
+      Goal: Goal,
+      send: function(messageData) {
+        sent.push(messageData);
+      }
+    });
+    return Promise.all([
+      run(at(5, 15)),
+      new Promise(function(resolve) {
+        other(at(5, 15), resolve);
+      })
+    ]).then(function() {
+      assert.equal(sent.length, 1);
+    });
+  });
+
+  it('sends nothing when every goal is done for the day', function() {
+    return db.update(Goal, {name: 'Run'}, {$push: {days: '2017-09-05'}}).then(function() {
+      return run(at(5, 15));
+    }).then(function(count) {
+      assert.equal(count, 0);
+      return findUser(PSID);
+    }).then(function(user) {
+      // Still claimed, so the goals aren't looked at again until tomorrow
+      assert.equal(user.lastReminded, '2017-09-05');
+    });
+  });
+
+  it('waits for tomorrow when the hour has passed by the time it is set', function() {
+    return db.update(User, {name: PSID}, {$unset: {nextReminder: 1}}).then(function() {
+      // 9 AM for the user
+      return run(at(5, 16));
+    }).then(function(count) {
+      assert.equal(count, 0);
+      return findUser(PSID);
+    }).then(function(user) {
+      assert.equal(user.nextReminder.getTime(), at(6, 15));
+      return run(at(6, 15));
+    }).then(function(count) {
+      assert.equal(count, 1);
+    });
+  });
+
+  it('schedules for later today when the hour is still to come', function() {
+    return db.update(User, {name: PSID}, {$unset: {nextReminder: 1}}).then(function() {
+      return run(at(5, 14));
+    }).then(function(count) {
+      assert.equal(count, 0);
+      return findUser(PSID);
+    }).then(function(user) {
+      assert.equal(user.nextReminder.getTime(), at(5, 15));
+    });
+  });
+
+  it('schedules again when the reminder hour changes', function() {
+    return run(at(5, 15)).then(function() {
+      return db.update(User, {name: PSID}, {$set: {reminderHour: 21}, $unset: {nextReminder: 1}});
+    }).then(function() {
+      return run(at(5, 16));
+    }).then(function(count) {
+      // Today's reminder was already sent
+      assert.equal(count, 1);
+      return findUser(PSID);
+    }).then(function(user) {
+      assert.equal(user.nextReminder.getTime(), at(7, 4));
+    });
+  });
+});
@@ -0,0 +1,31 @@
+/* jshint node: true, mocha: true */
+'use strict';
+
+var assert = require('assert');
+var session = require('../lib/session');
+
+var NOW = Date.parse('2017-09-20T12:00:00Z');
+
+describe('session', function() {
+  it('verifies tokens for their purpose until they expire', function() {
+    var token = session.sign('secret', 'login', '1001', NOW + 1000);
+    assert.equal(session.verify('secret', 'login', token, NOW), '1001');
+    assert.equal(session.verify('secret', 'session', token, NOW), null);
+    assert.equal(session.verify('other', 'login', token, NOW), null);
+    assert.equal(session.verify('secret', 'login', token, NOW + 1000), null);
+  });
+
+  it('turns down forged tokens', function() {
+    var token = session.sign('secret', 'login', '1001', NOW + 1000);
+    assert.equal(session.verify('secret', 'login', token.replace(/^1001/, '1002'), NOW), null);
+    assert.equal(session.verify('secret', 'login', token.slice(0, -1), NOW), null);
+    assert.equal(session.verify('secret', 'login', null, NOW), null);
+  });
+
+  it('compares secrets of any length', function() {
+    assert.ok(session.sameSecret('abc', 'abc'));
+    assert.ok(!session.sameSecret('abc', 'abd'));
+    assert.ok(!session.sameSecret('abc', 'abcd'));
+    assert.ok(!session.sameSecret(undefined, 'abc'));
+  });
+});
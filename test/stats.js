@@ -0,0 +1,62 @@
+/* jshint node: true, mocha: true */
+'use strict';
+
+var assert = require('assert');
+var stats = require('../lib/stats');
+
+// Noon on Wednesday 2017-09-20, UTC
+var NOW = Date.parse('2017-09-20T12:00:00Z');
+
+describe('stats', function() {
+  it('works out streaks, completion and the busiest days', function() {
+    var goal = {
+      createdAt: new Date('2017-09-11T08:00:00Z'),
+      days: ['2017-09-11', '2017-09-12', '2017-09-13', '2017-09-18', '2017-09-19', '2017-09-20']
+    };
+    var result = stats.compute(goal, NOW, 0);
+    assert.equal(result.started, '2017-09-11');
+    assert.equal(result.streak, 3);
+    assert.equal(result.longestStreak, 3);
+    // 4 of the last 7 days were missed, and the goal is only 10 days old
+    assert.deepEqual(result.rates, [
+      {days: 7, rate: 3 / 7},
+      {days: 30, rate: 6 / 10},
+      {days: 90, rate: 6 / 10}
+    ]);
+    assert.equal(result.weekday, 1);
+    assert.deepEqual(result.bestWeek, {start: '2017-09-11', count: 3});
+    assert.deepEqual(stats.describe(result), [
+      'Started 9/11/2017',
+      'Current streak 🔥3 · Longest 🔥3',
+      'Done in the last 7 days 43% · 30 days 60% · 90 days 60%',
+      'Most active on Mons',
+      'Best week: 9/11/2017 with 3 check-ins'
+    ]);
+  });
+
+  it('does not count today against a goal until it is over', function() {
+    var goal = {createdAt: new Date('2017-09-19T08:00:00Z'), days: ['2017-09-19']};
+    assert.equal(stats.compute(goal, NOW, 0).rates[0].rate, 1);
+  });
+
+  it('has nothing to say about a goal started today', function() {
+    var goal = {createdAt: new Date('2017-09-20T08:00:00Z'), days: []};
+    var result = stats.compute(goal, NOW, 0);
+    assert.deepEqual(result.rates.map(function(window) {
+      return window.rate;
+    }), [null, null, null]);
+    assert.deepEqual(stats.describe(result), [
+      'Started 9/20/2017',
+      'Current streak 🔥0 · Longest 🔥0'
+    ]);
+  });
+
+  it('only expects scheduled check-ins', function() {
+    var set = {'2017-09-18': true, '2017-09-20': true};
+    // Mon, Wed and Fri goal over Mon 9/18 - Sun 9/24
+    assert.equal(stats.completionRate(set, '2017-09-18', '2017-09-24',
+                                      {kind: 'weekdays', weekdays: [1, 3, 5]}), 2 / 3);
+    assert.equal(stats.completionRate(set, '2017-09-18', '2017-09-24',
+                                      {kind: 'weekly', times: 4}), 1 / 2);
+  });
+});
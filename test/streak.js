@@ -0,0 +1,183 @@
+/* jshint node: true, mocha: true */
+'use strict';
+
+var assert = require('assert');
+var streaks = require('../lib/streak');
+
+// 2017-09-04 is a Monday
+describe('streak', function() {
+  describe('dayKey', function() {
+    it('is the date where the user is', function() {
+      var time = Date.UTC(2017, 8, 5, 3, 30);
+      assert.equal(streaks.dayKey(time, 0), '2017-09-05');
+      assert.equal(streaks.dayKey(time, -7), '2017-09-04');
+      assert.equal(streaks.dayKey(Date.UTC(2017, 8, 5, 20), 5.5), '2017-09-06');
+      assert.equal(streaks.dayKey(Date.UTC(2017, 11, 31, 23), 1), '2018-01-01');
+    });
+
+    it('changes exactly at local midnight', function() {
+      assert.equal(streaks.dayKey(Date.UTC(2017, 8, 5, 6, 59, 59, 999), -7), '2017-09-04');
+      assert.equal(streaks.dayKey(Date.UTC(2017, 8, 5, 7), -7), '2017-09-05');
+    });
+
+    it('takes users without a timezone as UTC', function() {
+      assert.equal(streaks.userOffset({timezone: -7}), -7);
+      assert.equal(streaks.userOffset({}), 0);
+      assert.equal(streaks.userOffset(null), 0);
+    });
+  });
+
+  describe('computeStreak for daily goals', function() {
+    it('counts days in a row up to today', function() {
+      var days = ['2017-09-01', '2017-09-03', '2017-09-04', '2017-09-05'];
+      assert.equal(streaks.computeStreak(days, '2017-09-05'), 3);
+      assert.equal(streaks.computeStreak([], '2017-09-05'), 0);
+    });
+
+    it('doesn\'t break until today is over', function() {
+      var days = ['2017-09-03', '2017-09-04'];
+      assert.equal(streaks.computeStreak(days, '2017-09-05'), 2);
+      assert.equal(streaks.computeStreak(days, '2017-09-06'), 0);
+    });
+
+    it('carries across the end of a month and a year', function() {
+      assert.equal(streaks.computeStreak(['2017-12-30', '2017-12-31', '2018-01-01'], '2018-01-01'), 3);
+      assert.equal(streaks.computeStreak(['2016-02-28', '2016-02-29', '2016-03-01'], '2016-03-01'), 3);
+    });
+
+    it('breaks after a gap of exactly one week', function() {
+      assert.equal(streaks.computeStreak(['2017-08-29', '2017-09-05'], '2017-09-05'), 1);
+      // Unless the goal is once a week
+      var weekly = {kind: 'weekly', times: 1};
+      assert.equal(streaks.computeStreak(['2017-08-29', '2017-09-05'], '2017-09-05', weekly), 2);
+      assert.equal(streaks.computeStreak(['2017-08-27', '2017-09-03'], '2017-09-03', weekly), 2);
+      assert.equal(streaks.computeStreak(['2017-08-28', '2017-09-11'], '2017-09-11', weekly), 1);
+    });
+
+    it('follows the user\'s timezone for check-ins near midnight', function() {
+      // 11 PM on the 4th and 1 AM on the 6th at UTC-7, the 5th and 6th in UTC
+      var checkIns = [Date.UTC(2017, 8, 5, 6), Date.UTC(2017, 8, 6, 8)];
+      var local = checkIns.map(function(time) {
+        return streaks.dayKey(time, -7);
+      });
+      assert.equal(streaks.computeStreak(local, '2017-09-06'), 1);
+      var utc = checkIns.map(function(time) {
+        return streaks.dayKey(time, 0);
+      });
+      assert.equal(streaks.computeStreak(utc, '2017-09-06'), 2);
+    });
+  });
+
+  describe('seedDays', function() {
+    it('rebuilds the days of goals from before they were kept', function() {
+      // lastUpdate in seconds, 1 AM on the 5th at UTC-7
+      var goal = {streak: 3, lastUpdate: Date.UTC(2017, 8, 5, 8) / 1000};
+      assert.deepEqual(streaks.seedDays(goal, -7), ['2017-09-03', '2017-09-04', '2017-09-05']);
+      assert.deepEqual(streaks.seedDays({streak: 0, lastUpdate: Date.UTC(2017, 8, 5)}, 0), []);
+      assert.deepEqual(streaks.seedDays({days: ['2017-09-01'], streak: 3}, 0), ['2017-09-01']);
+    });
+  });
+
+  describe('computeStreak for weekly goals', function() {
+    var weekly = {kind: 'weekly', times: 2};
+    // Two weeks met, Aug 21 and Aug 28
+    var days = ['2017-08-22', '2017-08-24', '2017-08-28', '2017-09-03'];
+
+    it('counts weeks met in a row, across the end of a week', function() {
+      // Sunday, the last day of the second week
+      assert.equal(streaks.computeStreak(days, '2017-09-03', weekly), 2);
+      // Monday: the week just started doesn't break the streak yet
+      assert.equal(streaks.computeStreak(days, '2017-09-04', weekly), 2);
+      assert.equal(streaks.computeStreak(days.concat(['2017-09-04', '2017-09-06']), '2017-09-06',
+                                         weekly), 3);
+    });
+
+    it('drops to zero once a week ends without enough check-ins', function() {
+      assert.equal(streaks.computeStreak(days.concat(['2017-09-04']), '2017-09-11', weekly), 0);
+      assert.equal(streaks.computeStreak(['2017-08-22', '2017-08-28', '2017-09-03'], '2017-09-03',
+                                         weekly), 1);
+    });
+  });
+
+  describe('computeStreak for goals on some days of the week', function() {
+    var mondayWednesday = {kind: 'weekdays', weekdays: [1, 3]};
+
+    it('skips days that aren\'t scheduled, across the end of a week', function() {
+      var days = ['2017-08-28', '2017-08-30', '2017-09-04'];
+      assert.equal(streaks.computeStreak(days, '2017-09-04', mondayWednesday), 3);
+      // Tuesday, with Wednesday still to come
+      assert.equal(streaks.computeStreak(days, '2017-09-05', mondayWednesday), 3);
+      // Check-ins on other days count too
+      assert.equal(streaks.computeStreak(days.concat(['2017-09-02']), '2017-09-04',
+                                         mondayWednesday), 4);
+    });
+
+    it('breaks when a scheduled day is missed', function() {
+      assert.equal(streaks.computeStreak(['2017-08-28', '2017-09-04'], '2017-09-04',
+                                         mondayWednesday), 1);
+      assert.equal(streaks.computeStreak(['2017-08-28', '2017-08-30', '2017-09-04'], '2017-09-07',
+                                         mondayWednesday), 0);
+    });
+  });
+
+  describe('longestStreak', function() {
+    it('is the best streak as of any check-in', function() {
+      var days = ['2017-08-28', '2017-08-29', '2017-08-30', '2017-09-01', '2017-09-02'];
+      assert.equal(streaks.longestStreak(days), 3);
+      assert.equal(streaks.longestStreak([]), 0);
+      assert.equal(streaks.longestStreak(days, {kind: 'weekdays', weekdays: [1, 3]}), 5);
+      assert.equal(streaks.longestStreak(['2017-08-28', '2017-09-11'],
+                                         {kind: 'weekdays', weekdays: [1]}), 1);
+    });
+
+    it('counts weeks for weekly goals', function() {
+      var weekly = {kind: 'weekly', times: 2};
+      // Met in the weeks of Aug 21 and 28, not Sep 4, then met again
+      var days = ['2017-08-21', '2017-08-22', '2017-08-28', '2017-09-03', '2017-09-04',
+                  '2017-09-11', '2017-09-12'];
+      assert.equal(streaks.longestStreak(days, weekly), 2);
+      assert.equal(streaks.longestStreak(['2017-08-21'], weekly), 0);
+    });
+  });
+
+  describe('resetTime', function() {
+    it('is the end of tomorrow for daily goals checked in today', function() {
+      assert.equal(streaks.resetTime(['2017-09-04', '2017-09-05'], '2017-09-05', 0),
+                   Date.UTC(2017, 8, 7));
+    });
+
+    it('is the end of today for daily goals not checked in yet', function() {
+      assert.equal(streaks.resetTime(['2017-09-04'], '2017-09-05', 0), Date.UTC(2017, 8, 6));
+    });
+
+    it('is local midnight in the user\'s timezone', function() {
+      assert.equal(streaks.resetTime(['2017-09-04'], '2017-09-05', -7),
+                   Date.UTC(2017, 8, 6, 7));
+      assert.equal(streaks.resetTime(['2017-09-05'], '2017-09-05', 5.5),
+                   Date.UTC(2017, 8, 6, 18, 30));
+    });
+
+    it('is null without a streak to lose', function() {
+      assert.equal(streaks.resetTime([], '2017-09-05', 0), null);
+      assert.equal(streaks.resetTime(['2017-09-01'], '2017-09-05', 0), null);
+    });
+
+    it('skips days that aren\'t scheduled', function() {
+      // Mondays and Wednesdays: lost once Wednesday is over
+      assert.equal(streaks.resetTime(['2017-09-04'], '2017-09-05', 0,
+                                     {kind: 'weekdays', weekdays: [1, 3]}),
+                   Date.UTC(2017, 8, 7));
+    });
+
+    it('is the end of the week for weekly goals', function() {
+      var weekly = {kind: 'weekly', times: 2};
+      // Last week was met, this week isn't yet: lost when it ends
+      assert.equal(streaks.resetTime(['2017-08-29', '2017-08-31'], '2017-09-05', 0, weekly),
+                   Date.UTC(2017, 8, 11));
+      // This week is met too: lost when next week ends
+      assert.equal(streaks.resetTime(['2017-08-29', '2017-08-31', '2017-09-04', '2017-09-05'],
+                                     '2017-09-05', 0, weekly),
+                   Date.UTC(2017, 8, 18));
+    });
+  });
+});
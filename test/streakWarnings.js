@@ -0,0 +1,128 @@
+/* jshint node: true, mocha: true */
+'use strict';
+
+var assert = require('assert');
+var createStreakWarningJob = require('../lib/streakWarnings').createStreakWarningJob;
+var createMemoryModel = require('./support/memoryModel').createMemoryModel;
+var db = require('./support/db');
+var save = db.save;
+var User = createMemoryModel(require('../models/userModel').User.schema);
+var Goal = createMemoryModel(require('../models/goalModel').Goal.schema);
+
+var PSID = 1001;
+
+function findGoal(name) {
+  return db.findOne(Goal, {name: name});
+}
+
+// The user is at UTC-7, so their 2017-09-05 ends at 07:00 UTC on the 6th
+function at(day, hour) {
+  return Date.UTC(2017, 8, day, hour);
+}
+
+describe('streakWarnings', function() {
+  var sent;
+  var job;
+
+  function createJob() {
+    return createStreakWarningJob({
+      User: User,
+      Goal: Goal,
+      hours: 3,
+      send: function(messageData) {
+        sent.push(messageData);
+      }
+    });
+  }
+
+  function run(now) {
+    return new Promise(function(resolve, reject) {
+      job(now, function(err) {
+        return err ? reject(err) : resolve(sent.length);
+      });
+    });
+  }
+
+  beforeEach(function() {
+    User.reset();
+    Goal.reset();
+    sent = [];
+    job = createJob();
+    return Promise.all([
+      save(new User({name: PSID, timezone: -7})),
+      save(new Goal({user: PSID, name: 'Read', status: 'active', streak: 2,
+                     days: ['2017-09-03', '2017-09-04']})),
+      // Checked in today
+      save(new Goal({user: PSID, name: 'Run', status: 'active', streak: 2,
+                     days: ['2017-09-04', '2017-09-05']})),
+      // Already broken, the stored streak is out of date
+      save(new Goal({user: PSID, name: 'Swim', status: 'active', streak: 4,
+                     days: ['2017-08-28', '2017-08-29', '2017-08-30', '2017-08-31']})),
+      save(new Goal({user: PSID, name: 'Write', status: 'finished', streak: 2,
+                     days: ['2017-09-03', '2017-09-04']}))
+    ]);
+  });
+
+  it('warns in the hours before a streak resets', function() {
+    return run(at(6, 3)).then(function(count) {
+      assert.equal(count, 0);
+      return run(at(6, 4));
+    }).then(function(count) {
+      assert.equal(count, 1);
+      assert.equal(sent[0].recipient.id, PSID);
+      assert.equal(sent[0].message.text,
+                   "Your Read streak of 🔥2 resets in 3 hours! Add progress now to keep it going.");
+      return run(at(6, 6));
+    }).then(function(count) {
+      // Once a day
+      assert.equal(count, 1);
+      return findGoal('Read');
+    }).then(function(goal) {
+      assert.equal(goal.lastWarned, '2017-09-05');
+    });
+  });
+
+  it('only looks at goals again when they could need a warning', function() {
+    return run(at(6, 3)).then(function() {
+      return Promise.all([findGoal('Read'), findGoal('Run'), findGoal('Swim')]);
+    }).then(function(goals) {
+      assert.equal(goals[0].warnAt.getTime(), at(6, 4));
+      // Run was checked in today and is safe until the end of tomorrow
+      assert.equal(goals[1].warnAt.getTime(), at(7, 4));
+      // Swim has nothing to lose, check again tomorrow
+      assert.equal(goals[2].warnAt.getTime(), at(6, 7));
+      // Had it been looked at, Read would be warned now
+      return db.update(Goal, {name: 'Read'}, {$set: {warnAt: new Date(at(7, 0))}});
+    }).then(function() {
+      return run(at(6, 5));
+    }).then(function(count) {
+      assert.equal(count, 0);
+      return db.update(Goal, {name: 'Read'}, {$unset: {warnAt: 1}});
+    }).then(function() {
+      return run(at(6, 5));
+    }).then(function(count) {
+      assert.equal(count, 1);
+      assert.equal(sent[0].message.text.indexOf('Your Read streak'), 0);
+    });
+  });
+
+  it('warns about goals checked in today once tomorrow is nearly over', function() {
+    return run(at(7, 4)).then(function(count) {
+      // Read has reset by now, and Run is due its own warning
+      assert.equal(count, 1);
+      assert.equal(sent[0].message.text.indexOf('Your Run streak'), 0);
+    });
+  });
+
+  it('never warns about a goal twice, even from two servers', function() {
+    var other = createJob();
+    return Promise.all([
+      run(at(6, 4)),
+      new Promise(function(resolve) {
+        other(at(6, 4), resolve);
+      })
+    ]).then(function() {
+      assert.equal(sent.length, 1);
+    });
+  });
+});
@@ -0,0 +1,218 @@
+/*
+ * Test harness for the webhook
+ *
+ * Loads app.js with the models swapped for in-memory ones, a memory
+ * transport in place of the Send API and a canned /r/GetMotivated page, then
+ * talks to it over HTTP with signed webhook calls like Messenger does.
+ *
+ */
+
+/* jshint node: true */
+'use strict';
+
+var request = require('request');
+var fakeMessenger = require('../../tools/fake-messenger');
+var transports = require('../../lib/transport');
+var createMemoryModel = require('./memoryModel').createMemoryModel;
+
+var APP_SECRET = 'test-secret';
+
+process.env.APP_SECRET = APP_SECRET;
+process.env.VALIDATION_TOKEN = 'test-token';
+process.env.PAGE_ACCESS_TOKEN = 'test-page-token';
+process.env.SERVER_URL = 'https://goalt.test';
+
+var userModels = require('../../models/userModel');
+var goalModels = require('../../models/goalModel');
+var accountModels = require('../../models/accountModel');
+var authCodeModels = require('../../models/authCodeModel');
+userModels.User = createMemoryModel(userModels.User.schema);
+goalModels.Goal = createMemoryModel(goalModels.Goal.schema);
+accountModels.Account = createMemoryModel(accountModels.Account.schema);
+authCodeModels.AuthCode = createMemoryModel(authCodeModels.AuthCode.schema);
+
+// What /r/GetMotivated returns, tests can set reddit.error to make it fail
+var reddit = {error: null};
+reddit.page = {
+  data: {
+    children: [{
+      data: {
+        title: '[Image] Keep running',
+        url: 'https://i.redd.it/keepgoing.jpg',
+        link_flair_css_class: 'image',
+        score: 120,
+        created_utc: 1505700000
+      }
+    }]
+  }
+};
+require('redwrap').r = function(subreddit, callback) {
+  setImmediate(function() {
+    if (reddit.error) {
+      return callback(reddit.error);
+    }
+    callback(null, reddit.page, null);
+  });
+};
+
+var app = require('../../app');
+var transport = transports.createMemoryTransport();
+app.set('transport', transport);
+// Every image is fine, without going to the network
+app.set('checkImage', function(url, callback) {
+  setImmediate(function() {
+    callback(null, true);
+  });
+});
+
+var server = null;
+var port = null;
+var clock = 1505700000000;
+
+function start(done) {
+  server = app.listen(0, function() {
+    port = server.address().port;
+    done();
+  });
+}
+
+function stop(done) {
+  server.close(done);
+}
+
+function reset() {
+  userModels.User.reset();
+  goalModels.Goal.reset();
+  accountModels.Account.reset();
+  authCodeModels.AuthCode.reset();
+  transport.clear();
+  reddit.error = null;
+  app.get('motivationCache').clear();
+}
+
+// Fills the motivation cache, like the scheduler does once the bot is up
+function refreshMotivation() {
+  return new Promise(function(resolve) {
+    app.get('motivationCache').refresh(Date.now(), resolve);
+  });
+}
+
+// The bot logs every event, keep that out of the test report
+var log = console.log;
+var error = console.error;
+function quiet() {
+  if (!process.env.DEBUG) {
+    console.log = function() {};
+    console.error = function() {};
+  }
+}
+function loud() {
+  console.log = log;
+  console.error = error;
+}
+
+/*
+ * Sends one event from a user (see webhookBody in tools/fake-messenger.js)
+ * and resolves with the messages the bot sent back, once at least
+ * options.replies (default 1) have arrived and the bot has gone quiet.
+ *
+ */
+function send(psid, input, options) {
+  options = options || {};
+  var expected = options.replies || 1;
+  var before = transport.messagesFor(psid).length;
+  var body = JSON.stringify(fakeMessenger.webhookBody(psid, input, clock++));
+
+  quiet();
+  return new Promise(function(resolve, reject) {
+    request({
+      uri: 'http://localhost:' + port + '/webhook',
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Hub-Signature': fakeMessenger.sign(body, APP_SECRET)
+      },
+      body: body
+    }, function(error, response) {
+      if (error) {
+        loud();
+        return reject(error);
+      }
+      if (response.statusCode != 200) {
+        loud();
+        return reject(new Error("Webhook returned " + response.statusCode));
+      }
+      var started = Date.now();
+      var lastCount = -1;
+      var quietSince = Date.now();
+      (function poll() {
+        var replies = transport.messagesFor(psid).slice(before);
+        if (replies.length != lastCount) {
+          lastCount = replies.length;
+          quietSince = Date.now();
+        }
+        if (replies.length >= expected && Date.now() - quietSince >= 30) {
+          loud();
+          return resolve(replies);
+        }
+        if (Date.now() - started > (options.timeout || 4000)) {
+          loud();
+          return reject(new Error("Expected " + expected + " replies, got " +
+                                  JSON.stringify(replies, null, 2)));
+        }
+        setTimeout(poll, 10);
+      })();
+    });
+  });
+}
+
+// Address of a path on the running bot
+function url(path) {
+  return 'http://localhost:' + port + path;
+}
+
+// Text of a message, or the title of the first card of a template
+function textOf(messageData) {
+  var message = messageData.message;
+  if (message.text) {
+    return message.text;
+  }
+  if (message.attachment && message.attachment.type == 'template') {
+    return message.attachment.payload.elements[0].title;
+  }
+  return '';
+}
+
+// Payloads of the quick replies and template buttons of a message
+function payloadsOf(messageData) {
+  var message = messageData.message;
+  var payloads = (message.quick_replies || []).map(function(quick) {
+    return quick.payload;
+  });
+  if (message.attachment && message.attachment.type == 'template') {
+    message.attachment.payload.elements.forEach(function(element) {
+      (element.buttons || []).forEach(function(button) {
+        payloads.push(button.payload);
+      });
+    });
+  }
+  return payloads;
+}
+
+module.exports = {
+  app: app,
+  transport: transport,
+  reddit: reddit,
+  User: userModels.User,
+  Goal: goalModels.Goal,
+  Account: accountModels.Account,
+  AuthCode: authCodeModels.AuthCode,
+  start: start,
+  stop: stop,
+  reset: reset,
+  refreshMotivation: refreshMotivation,
+  url: url,
+  send: send,
+  textOf: textOf,
+  payloadsOf: payloadsOf
+};
@@ -0,0 +1,47 @@
+/*
+ * Promise versions of the model calls tests make to set up and check data,
+ * for the in-memory models (see memoryModel.js). They reject on errors, so
+ * a failed save or lookup fails the test instead of passing unnoticed.
+ *
+ */
+
+/* jshint node: true */
+'use strict';
+
+function callback(resolve, reject) {
+  return function(err, result) {
+    return err ? reject(err) : resolve(result);
+  };
+}
+
+// Resolves with doc once saved
+function save(doc) {
+  return new Promise(function(resolve, reject) {
+    doc.save(function(err) {
+      return err ? reject(err) : resolve(doc);
+    });
+  });
+}
+
+function find(Model, query) {
+  return new Promise(function(resolve, reject) {
+    Model.find(query, callback(resolve, reject));
+  });
+}
+
+function findOne(Model, query) {
+  return new Promise(function(resolve, reject) {
+    Model.findOne(query, callback(resolve, reject));
+  });
+}
+
+function update(Model, query, changes, options) {
+  return new Promise(function(resolve, reject) {
+    Model.update(query, changes, options || {}, callback(resolve, reject));
+  });
+}
+
+exports.save = save;
+exports.find = find;
+exports.findOne = findOne;
+exports.update = update;
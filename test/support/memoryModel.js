@@ -0,0 +1,397 @@
+/*
+ * In-memory stand-in for a Mongoose model
+ *
+ * Implements the part of the Mongoose 4 callback API the bot uses (find,
+ * findOne, update, findOneAndUpdate, remove, count and new Model().save()),
+ * with the query and update operators it needs. Documents are copied in and
+ * out, so changing a result doesn't change what is stored, like with Mongo.
+ *
+ */
+
+/* jshint node: true */
+'use strict';
+
+var ObjectId = require('mongodb').ObjectID;
+
+function isPlainObject(value) {
+  return value !== null && typeof value == 'object' &&
+         !Array.isArray(value) && !(value instanceof Date) &&
+         !(value instanceof ObjectId);
+}
+
+function clone(value) {
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  } else if (value instanceof Date) {
+    return new Date(value.getTime());
+  } else if (isPlainObject(value)) {
+    var copy = {};
+    Object.keys(value).forEach(function(key) {
+      copy[key] = clone(value[key]);
+    });
+    return copy;
+  }
+  return value;
+}
+
+function getPath(doc, path) {
+  return path.split('.').reduce(function(value, key) {
+    return value == null ? undefined : value[key];
+  }, doc);
+}
+
+function setPath(doc, path, value) {
+  var keys = path.split('.');
+  var last = keys.pop();
+  var target = keys.reduce(function(value, key) {
+    if (!isPlainObject(value[key])) {
+      value[key] = {};
+    }
+    return value[key];
+  }, doc);
+  target[last] = value;
+}
+
+function same(a, b) {
+  if (a == null || b == null) {
+    return a == b;
+  }
+  if (a instanceof Date || b instanceof Date) {
+    return new Date(a).getTime() == new Date(b).getTime();
+  }
+  return String(a) === String(b);
+}
+
+function compare(a, b) {
+  if (a instanceof Date || b instanceof Date) {
+    return new Date(a).getTime() - new Date(b).getTime();
+  }
+  return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+// Whether a stored value satisfies one query condition
+function matchValue(value, condition) {
+  var values = Array.isArray(value) ? value : [value];
+  if (!isPlainObject(condition)) {
+    return values.some(function(item) {
+      return same(item, condition);
+    }) || (Array.isArray(value) && Array.isArray(condition) &&
+           same(JSON.stringify(value), JSON.stringify(condition)));
+  }
+  return Object.keys(condition).every(function(op) {
+    var arg = condition[op];
+    switch (op) {
+      case '$ne':
+        return !matchValue(value, arg);
+      case '$in':
+        return arg.some(function(item) {
+          return matchValue(value, item);
+        });
+      case '$nin':
+        return !arg.some(function(item) {
+          return matchValue(value, item);
+        });
+      case '$exists':
+        return (value !== undefined) == Boolean(arg);
+      case '$gt':
+        return values.some(function(item) {
+          return item != null && compare(item, arg) > 0;
+        });
+      case '$gte':
+        return values.some(function(item) {
+          return item != null && compare(item, arg) >= 0;
+        });
+      case '$lt':
+        return values.some(function(item) {
+          return item != null && compare(item, arg) < 0;
+        });
+      case '$lte':
+        return values.some(function(item) {
+          return item != null && compare(item, arg) <= 0;
+        });
+      case '$size':
+        return Array.isArray(value) && value.length == arg;
+      case '$elemMatch':
+        return Array.isArray(value) && value.some(function(item) {
+          return matches(item, arg);
+        });
+      default:
+        throw new Error("memoryModel does not support " + op);
+    }
+  });
+}
+
+function matches(doc, query) {
+  return Object.keys(query || {}).every(function(key) {
+    if (key == '$or') {
+      return query.$or.some(function(sub) {
+        return matches(doc, sub);
+      });
+    } else if (key == '$and') {
+      return query.$and.every(function(sub) {
+        return matches(doc, sub);
+      });
+    }
+    return matchValue(getPath(doc, key), query[key]);
+  });
+}
+
+function createMemoryModel(schema) {
+  var docs = [];
+
+  // Array paths default to [] and document arrays give entries an _id
+  function arrayPaths() {
+    var paths = {};
+    schema.eachPath(function(path, type) {
+      if (type.instance == 'Array') {
+        paths[path] = Boolean(type.schema);
+      }
+    });
+    return paths;
+  }
+
+  function withDefaults(doc) {
+    var paths = arrayPaths();
+    Object.keys(paths).forEach(function(path) {
+      if (getPath(doc, path) === undefined) {
+        setPath(doc, path, []);
+      }
+      if (paths[path]) {
+        getPath(doc, path).forEach(function(entry) {
+          if (isPlainObject(entry) && !entry._id) {
+            entry._id = new ObjectId();
+          }
+        });
+      }
+    });
+    if (!doc._id) {
+      doc._id = new ObjectId();
+    }
+    return doc;
+  }
+
+  function applyUpdate(doc, update) {
+    var operators = Object.keys(update).some(function(key) {
+      return key.charAt(0) == '$';
+    });
+    if (!operators) {
+      update = {$set: update};
+    }
+    Object.keys(update).forEach(function(op) {
+      var fields = update[op];
+      Object.keys(fields).forEach(function(path) {
+        var arg = clone(fields[path]);
+        var current = getPath(doc, path);
+        switch (op) {
+          case '$set':
+            setPath(doc, path, arg);
+            break;
+          case '$unset':
+            setPath(doc, path, undefined);
+            break;
+          case '$inc':
+            setPath(doc, path, (current || 0) + arg);
+            break;
+          case '$push':
+          case '$addToSet':
+            var list = (current || []).slice();
+            var items = isPlainObject(arg) && arg.$each ? arg.$each : [arg];
+            if (op == '$addToSet') {
+              items = items.filter(function(item) {
+                return !list.some(function(existing) {
+                  return same(existing, item);
+                });
+              });
+            }
+            var position = isPlainObject(arg) && arg.$position != null ?
+                           arg.$position : list.length;
+            list.splice.apply(list, [position, 0].concat(items));
+            if (isPlainObject(arg) && arg.$slice != null) {
+              list = arg.$slice < 0 ? list.slice(arg.$slice) :
+                                      list.slice(0, arg.$slice);
+            }
+            setPath(doc, path, list);
+            break;
+          case '$pull':
+            setPath(doc, path, (current || []).filter(function(item) {
+              return isPlainObject(arg) && isPlainObject(item) ?
+                     !matches(item, arg) : !matchValue(item, arg);
+            }));
+            break;
+          default:
+            throw new Error("memoryModel does not support " + op);
+        }
+      });
+    });
+    withDefaults(doc);
+  }
+
+  function later(callback, err, result) {
+    if (callback) {
+      setImmediate(function() {
+        callback(err, result);
+      });
+    }
+  }
+
+  function Model(doc) {
+    var self = this;
+    Object.keys(doc || {}).forEach(function(key) {
+      self[key] = clone(doc[key]);
+    });
+    withDefaults(this);
+  }
+
+  // The schema's unique indexes, e.g. [{fields: ['user', 'name']}], with
+  // the query documents must match to be in it for partial indexes
+  var uniques = schema.indexes().filter(function(index) {
+    return index[1] && index[1].unique;
+  }).map(function(index) {
+    return {fields: Object.keys(index[0]), filter: index[1].partialFilterExpression};
+  });
+
+  function duplicateOf(doc) {
+    return uniques.some(function(unique) {
+      if (unique.filter && !matches(doc, unique.filter)) {
+        return false;
+      }
+      return docs.some(function(stored) {
+        return !same(stored._id, doc._id) &&
+               (!unique.filter || matches(stored, unique.filter)) &&
+               unique.fields.every(function(field) {
+                 return same(getPath(stored, field), getPath(doc, field));
+               });
+      });
+    });
+  }
+
+  function duplicateError() {
+    var err = new Error("E11000 duplicate key error");
+    err.code = 11000;
+    return err;
+  }
+
+  Model.prototype.save = function(callback) {
+    var doc = clone(this);
+    if (duplicateOf(doc)) {
+      return later(callback, duplicateError());
+    }
+    var index = docs.findIndex(function(stored) {
+      return same(stored._id, doc._id);
+    });
+    if (index == -1) {
+      docs.push(doc);
+    } else {
+      docs[index] = doc;
+    }
+    later(callback, null, this);
+  };
+
+  // Projections are ignored, whole documents are always returned
+  Model.find = function(query, projection, callback) {
+    if (typeof projection == 'function') {
+      callback = projection;
+    }
+    later(callback, null, docs.filter(function(doc) {
+      return matches(doc, query);
+    }).map(function(doc) {
+      return new Model(doc);
+    }));
+  };
+
+  Model.findOne = function(query, callback) {
+    var doc = docs.find(function(doc) {
+      return matches(doc, query);
+    });
+    later(callback, null, doc ? new Model(doc) : null);
+  };
+
+  Model.count = function(query, callback) {
+    later(callback, null, docs.filter(function(doc) {
+      return matches(doc, query);
+    }).length);
+  };
+
+  Model.update = function(query, update, options, callback) {
+    if (typeof options == 'function') {
+      callback = options;
+      options = {};
+    }
+    var n = 0;
+    docs.forEach(function(doc) {
+      if ((options.multi || n == 0) && matches(doc, query)) {
+        applyUpdate(doc, update);
+        n += 1;
+      }
+    });
+    later(callback, null, {n: n, nModified: n, ok: 1});
+  };
+
+  // Like Mongoose 4, passes the document from before the update unless
+  // options.new is set
+  Model.findOneAndUpdate = function(query, update, options, callback) {
+    if (typeof options == 'function') {
+      callback = options;
+      options = {};
+    }
+    var doc = docs.find(function(doc) {
+      return matches(doc, query);
+    });
+    if (!doc && options.upsert) {
+      doc = withDefaults({});
+      Object.keys(query).forEach(function(key) {
+        if (!isPlainObject(query[key]) && key.charAt(0) != '$') {
+          setPath(doc, key, clone(query[key]));
+        }
+      });
+      docs.push(doc);
+      applyUpdate(doc, update);
+      return later(callback, null, options.new ? new Model(doc) : null);
+    }
+    if (!doc) {
+      return later(callback, null, null);
+    }
+    var before = new Model(doc);
+    var updated = clone(doc);
+    applyUpdate(updated, update);
+    if (duplicateOf(updated)) {
+      return later(callback, duplicateError());
+    }
+    applyUpdate(doc, update);
+    later(callback, null, options.new ? new Model(doc) : before);
+  };
+
+  Model.findOneAndRemove = function(query, callback) {
+    var index = docs.findIndex(function(doc) {
+      return matches(doc, query);
+    });
+    if (index == -1) {
+      return later(callback, null, null);
+    }
+    var removed = docs.splice(index, 1)[0];
+    later(callback, null, new Model(removed));
+  };
+
+  Model.remove = function(query, callback) {
+    var before = docs.length;
+    for (var i = docs.length - 1; i >= 0; i--) {
+      if (matches(docs[i], query)) {
+        docs.splice(i, 1);
+      }
+    }
+    later(callback, null, {result: {n: before - docs.length, ok: 1}});
+  };
+
+  // Like a Mongoose model, so another memory model can be made from it
+  Model.schema = schema;
+
+  // For tests: every stored document, and a way to start over
+  Model.docs = docs;
+  Model.reset = function() {
+    docs.length = 0;
+  };
+
+  return Model;
+}
+
+exports.createMemoryModel = createMemoryModel;
@@ -0,0 +1,40 @@
+/* jshint node: true, mocha: true */
+'use strict';
+
+var assert = require('assert');
+var trash = require('../lib/trash');
+var createMemoryModel = require('./support/memoryModel').createMemoryModel;
+var save = require('./support/db').save;
+var Goal = createMemoryModel(require('../models/goalModel').Goal.schema);
+
+var DAY = 24 * 60 * 60 * 1000;
+var NOW = Date.parse('2017-10-01T12:00:00Z');
+
+describe('trash', function() {
+  beforeEach(function() {
+    Goal.reset();
+  });
+
+  it('purges goals deleted longer ago than the retention period', function(done) {
+    Promise.all([
+      save(new Goal(Object.assign({user: 1, name: 'Old'}, trash.deleteFields(NOW - 31 * DAY)))),
+      save(new Goal(Object.assign({user: 1, name: 'Recent'}, trash.deleteFields(NOW - 29 * DAY)))),
+      save(new Goal({user: 1, name: 'Active'})),
+      save(new Goal({user: 1, name: 'Done', status: 'finished', finishedAt: new Date(NOW - 90 * DAY)}))
+    ]).then(function() {
+      trash.createPurgeJob({Goal: Goal, days: 30})(NOW, function(err) {
+        assert.ifError(err);
+        assert.deepEqual(Goal.docs.map(function(goal) {
+          return goal.name;
+        }), ['Recent', 'Active', 'Done']);
+        done();
+      });
+    });
+  });
+
+  it('knows when a deleted goal expires', function() {
+    var goal = trash.deleteFields(NOW);
+    assert.equal(trash.expiresAt(goal, 30).getTime(), NOW + 30 * DAY);
+    assert.ok(trash.isDeleted(goal));
+  });
+});
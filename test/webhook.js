@@ -0,0 +1,999 @@
+/* jshint node: true, mocha: true */
+'use strict';
+
+var assert = require('assert');
+var request = require('request');
+var bot = require('./support/bot');
+var db = require('./support/db');
+var encode = require('../lib/payload').encode;
+
+var PSID = 1001;
+
+// Posts each event in turn, resolving with the replies to the last one
+function conversation(steps) {
+  return steps.reduce(function(previous, step) {
+    return previous.then(function() {
+      return bot.send(PSID, step.input, step.options);
+    });
+  }, Promise.resolve());
+}
+
+function createUser(fields) {
+  var user = new bot.User(Object.assign({
+    name: PSID,
+    state: {name: null},
+    numGoals: 0,
+    finished: [],
+    timezone: 0,
+    timezoneCheckedAt: new Date()
+  }, fields));
+  return db.save(user);
+}
+
+function createGoal(fields) {
+  var goal = new bot.Goal(Object.assign({
+    user: PSID,
+    name: 'Run',
+    streak: 0,
+    log: [],
+    lastUpdate: Date.now(),
+    days: [],
+    total: 0
+  }, fields));
+  return db.save(goal);
+}
+
+function findGoals() {
+  return db.find(bot.Goal, {user: PSID});
+}
+
+function findUser() {
+  return db.findOne(bot.User, {name: PSID});
+}
+
+function updateUser(update) {
+  return db.update(bot.User, {name: PSID}, update);
+}
+
+function get(url) {
+  return new Promise(function(resolve, reject) {
+    request({uri: url, encoding: null}, function(err, response) {
+      return err ? reject(err) : resolve(response);
+    });
+  });
+}
+
+// Posts a form to the bot without following redirects
+function post(url, form) {
+  return new Promise(function(resolve, reject) {
+    request({uri: url, method: 'POST', form: form, followRedirect: false}, function(err, response) {
+      return err ? reject(err) : resolve(response);
+    });
+  });
+}
+
+function updateGoal(update) {
+  return db.update(bot.Goal, {user: PSID}, update);
+}
+
+describe('webhook', function() {
+  this.timeout(5000);
+
+  before(bot.start);
+  after(bot.stop);
+  beforeEach(function() {
+    bot.reset();
+    bot.transport.profiles[PSID] = {first_name: 'Test', timezone: -7};
+  });
+
+  describe('new user', function() {
+    it('creates the user and sends the home screen', function() {
+      return bot.send(PSID, {text: 'hi'}, {replies: 2}).then(function(replies) {
+        assert.equal(bot.textOf(replies[0]), 'Welcome, here is the home screen:');
+        assert.deepEqual(bot.payloadsOf(replies[1]).slice(0, 3),
+                         [encode('newGoal'), encode('viewGoals'), encode('addProgress')]);
+        return findUser();
+      }).then(function(user) {
+        assert.equal(user.state.name, null);
+        assert.equal(user.numGoals, 0);
+        assert.equal(user.timezone, -7);
+      });
+    });
+
+    it('welcomes users who tap Get Started, then sends home', function() {
+      return bot.send(PSID, {postback: encode('start')}, {replies: 2}).then(function(replies) {
+        assert.ok(/^Welcome to Goalt/.test(bot.textOf(replies[0])));
+        assert.deepEqual(bot.payloadsOf(replies[1]).slice(0, 3),
+                         [encode('newGoal'), encode('viewGoals'), encode('addProgress')]);
+      });
+    });
+
+    it('lists goals for a postback before any message', function() {
+      // Get Started and the menu send postbacks, which don't create the user
+      return bot.send(PSID, {postback: encode('viewGoals')}, {replies: 2}).then(function(replies) {
+        assert.equal(bot.textOf(replies[0]), 'No goals yet, start one from home!');
+        return bot.send(PSID, {postback: encode('addProgress')}, {replies: 2});
+      }).then(function(replies) {
+        assert.equal(bot.textOf(replies[0]), 'No goals yet, start one from home!');
+      });
+    });
+  });
+
+  describe('timezone', function() {
+    it('looks up the timezone again once a day', function() {
+      var yesterday = new Date(Date.now() - 25 * 60 * 60 * 1000);
+      return createUser({timezone: 0, timezoneCheckedAt: yesterday, nextReminder: new Date()})
+        .then(function() {
+          return bot.send(PSID, {text: 'hi'});
+        }).then(function() {
+          return findUser();
+        }).then(function(user) {
+          assert.equal(user.timezone, -7);
+          assert.ok(user.timezoneCheckedAt > yesterday);
+          // Reminders are worked out again in the new timezone
+          assert.equal(user.nextReminder, null);
+          // But not again the same day
+          bot.transport.profiles[PSID].timezone = 1;
+          return bot.send(PSID, {text: 'hi'});
+        }).then(function() {
+          return findUser();
+        }).then(function(user) {
+          assert.equal(user.timezone, -7);
+        });
+    });
+  });
+
+  describe('starting a goal', function() {
+    beforeEach(function() {
+      return createUser();
+    });
+
+    it('asks for a name', function() {
+      return bot.send(PSID, {postback: encode('newGoal')}).then(function(replies) {
+        assert.equal(bot.textOf(replies[0]), 'What is the name of your goal?');
+        return findUser();
+      }).then(function(user) {
+        assert.equal(user.state.name, 'naming_goal');
+      });
+    });
+
+    it('can be canceled', function() {
+      return conversation([
+        {input: {postback: encode('newGoal')}},
+        {input: {text: 'Cancel'}, options: {replies: 2}}
+      ]).then(function(replies) {
+        assert.equal(bot.textOf(replies[0]), 'Canceled, going to home...');
+        return Promise.all([findGoals(), findUser()]);
+      }).then(function(results) {
+        assert.equal(results[0].length, 0);
+        assert.equal(results[1].state.name, null);
+      });
+    });
+
+    it('stops waiting for a name after a while', function() {
+      return bot.send(PSID, {postback: encode('newGoal')}).then(function() {
+        return updateUser({$set: {'state.expiresAt': new Date(Date.now() - 1000)}});
+      }).then(function() {
+        return bot.send(PSID, {text: 'read'}, {replies: 2});
+      }).then(function(replies) {
+        assert.ok(/stopped waiting/.test(bot.textOf(replies[0])));
+        return findGoals();
+      }).then(function(goals) {
+        assert.equal(goals.length, 0);
+      });
+    });
+
+    it('picks up a name for users from before dialog states', function() {
+      return updateUser({$set: {status: 'naming_goal', state: {}}}).then(function() {
+        return bot.send(PSID, {text: 'read'});
+      }).then(function() {
+        return findGoals();
+      }).then(function(goals) {
+        assert.equal(goals.length, 1);
+        assert.equal(goals[0].name, 'Read');
+      });
+    });
+
+    it('refuses a goal over the limit', function() {
+      return updateUser({$set: {numGoals: 10}}).then(function() {
+        return bot.send(PSID, {postback: encode('newGoal')}, {replies: 2});
+      }).then(function(replies) {
+        assert.ok(/maximum number of goals/.test(bot.textOf(replies[0])));
+      });
+    });
+
+    it('allows more goals on a higher tier', function() {
+      return updateUser({$set: {numGoals: 10, tier: 'plus'}}).then(function() {
+        return bot.send(PSID, {postback: encode('newGoal')});
+      }).then(function(replies) {
+        assert.equal(bot.textOf(replies[0]), 'What is the name of your goal?');
+      });
+    });
+
+    it('names the goal and sets its frequency and unit', function() {
+      return conversation([
+        {input: {postback: encode('newGoal')}},
+        {input: {text: 'read'}}
+      ]).then(function(replies) {
+        var question = replies.filter(function(reply) {
+          return /How often/.test(bot.textOf(reply));
+        })[0];
+        assert.ok(question, 'asks how often');
+        var daily = bot.payloadsOf(question)[0];
+        return bot.send(PSID, {quick_reply: daily});
+      }).then(function(replies) {
+        assert.ok(/track an amount/.test(bot.textOf(replies[0])));
+        return bot.send(PSID, {text: '20 pages'}, {replies: 2});
+      }).then(function(replies) {
+        assert.equal(bot.textOf(replies[0]),
+                     'Goal Read Added. Be sure to add progress to it every day, ' +
+                     'aiming for 20 pages to build up your goal streak! Going to home...');
+        return Promise.all([findGoals(), findUser()]);
+      }).then(function(results) {
+        var goals = results[0];
+        assert.equal(goals.length, 1);
+        assert.equal(goals[0].name, 'Read');
+        assert.equal(goals[0].frequency.kind, 'daily');
+        assert.equal(goals[0].unit, 'pages');
+        assert.equal(goals[0].target, 20);
+        assert.equal(goals[0].category, 'study');
+        assert.equal(results[1].state.name, null);
+        assert.equal(results[1].numGoals, 1);
+      });
+    });
+
+    it('gives the last goal slot to only one of two names sent at once', function() {
+      return updateUser({$set: {numGoals: 9}}).then(function() {
+        return bot.send(PSID, {postback: encode('newGoal')});
+      }).then(function() {
+        return Promise.all([
+          bot.send(PSID, {text: 'read'}),
+          bot.send(PSID, {text: 'write'})
+        ]);
+      }).then(function() {
+        return Promise.all([findGoals(), findUser()]);
+      }).then(function(results) {
+        assert.equal(results[0].length, 1);
+        assert.equal(results[1].numGoals, 10);
+      });
+    });
+
+    it('rejects a duplicate name', function() {
+      return createGoal({name: 'Read'}).then(function() {
+        return conversation([
+          {input: {postback: encode('newGoal')}},
+          {input: {text: 'read'}}
+        ]);
+      }).then(function(replies) {
+        assert.equal(bot.textOf(replies[0]),
+                     'Goal with that name has already been created. Try another name.');
+        return findUser();
+      }).then(function(user) {
+        assert.equal(user.numGoals, 0);
+      });
+    });
+  });
+
+  describe('adding progress', function() {
+    var goal;
+
+    beforeEach(function() {
+      return createUser().then(function() {
+        return createGoal();
+      }).then(function(created) {
+        goal = created;
+      });
+    });
+
+    it('lists goals to add progress to', function() {
+      return bot.send(PSID, {postback: encode('addProgress')}).then(function(replies) {
+        assert.ok(/Here are your goals/.test(bot.textOf(replies[0])));
+        assert.deepEqual(bot.payloadsOf(replies[0]), [encode('progress', {id: String(goal._id)})]);
+      });
+    });
+
+    it('logs progress and sends motivation', function() {
+      return bot.refreshMotivation().then(function() {
+        return bot.send(PSID, {quick_reply: encode('progress', {id: String(goal._id)})});
+      }).then(function(replies) {
+        assert.equal(bot.textOf(replies[0]), 'Add a log message to your goal!');
+        return bot.send(PSID, {text: 'Ran 5k'}, {replies: 3});
+      }).then(function(replies) {
+        assert.equal(bot.textOf(replies[0]), 'Log Added! Great job today! ' +
+                     "Here's your daily dose of motivation from r/GetMotivated:");
+        assert.equal(bot.textOf(replies[1]), 'Keep running');
+        assert.equal(replies[2].message.attachment.payload.url,
+                     'https://i.redd.it/keepgoing.jpg');
+        return findGoals();
+      }).then(function(goals) {
+        assert.equal(goals[0].streak, 1);
+        assert.equal(goals[0].total, 1);
+        assert.equal(goals[0].log.length, 1);
+        assert.equal(goals[0].log[0].text, 'ran 5k');
+        assert.equal(goals[0].log[0].streak, 1);
+      });
+    });
+
+    it('goes home on a 👍 instead of logging it', function() {
+      var like = {type: 'image', payload: {url: 'https://scontent.xx.fbcdn.net/like.png',
+                                           sticker_id: 369239263222822}};
+      return bot.send(PSID, {quick_reply: encode('progress', {id: String(goal._id)})}).then(function() {
+        return bot.send(PSID, {attachments: [like]});
+      }).then(function(replies) {
+        assert.equal(bot.textOf(replies[0]), 'GoalT: A Goal Tracker For You');
+        return Promise.all([findGoals(), findUser()]);
+      }).then(function(results) {
+        assert.equal(results[0][0].log.length, 0);
+        assert.equal(results[1].state.name, null);
+      });
+    });
+
+    it('rejects a log that is too long', function() {
+      var text = new Array(98).join('a');
+      return bot.send(PSID, {quick_reply: encode('progress', {id: String(goal._id)})}).then(function() {
+        return bot.send(PSID, {text: text});
+      }).then(function(replies) {
+        assert.equal(bot.textOf(replies[0]), 'That goal log is too long. Try another log.');
+      });
+    });
+  });
+
+  describe('motivation', function() {
+    var goal;
+
+    beforeEach(function() {
+      return createUser().then(function() {
+        return createGoal();
+      }).then(function(created) {
+        goal = created;
+      });
+    });
+
+    function logProgress(replies) {
+      return conversation([
+        {input: {quick_reply: encode('progress', {id: String(goal._id)})}},
+        {input: {text: 'Ran 5k'}, options: {replies: replies}}
+      ]);
+    }
+
+    it('falls back to a quote when reddit fails', function() {
+      bot.reddit.error = new Error('reddit is down');
+      return logProgress(2).then(function(replies) {
+        assert.equal(bot.textOf(replies[0]), 'Log Added! Great job today! ' +
+                     "Here's your daily dose of motivation from Quotes:");
+        assert.ok(/^".*" - /.test(bot.textOf(replies[1])));
+        assert.deepEqual(bot.payloadsOf(replies[1]), [encode('home')]);
+      });
+    });
+
+    it('sends cached pictures while reddit is down', function() {
+      return bot.refreshMotivation().then(function() {
+        bot.reddit.error = new Error('reddit is down');
+        return logProgress(3);
+      }).then(function(replies) {
+        assert.ok(/from r\/GetMotivated:$/.test(bot.textOf(replies[0])));
+        assert.equal(replies[2].message.attachment.payload.url,
+                     'https://i.redd.it/keepgoing.jpg');
+      });
+    });
+
+    it('sends quotes the user has not seen yet', function() {
+      var quotes = [];
+      return updateUser({$set: {motivation: {muted: ['r/GetMotivated']}}}).then(function() {
+        return logProgress(2);
+      }).then(function(replies) {
+        quotes.push(bot.textOf(replies[1]));
+        return logProgress(2);
+      }).then(function(replies) {
+        quotes.push(bot.textOf(replies[1]));
+        assert.notEqual(quotes[0], quotes[1]);
+        return findUser();
+      }).then(function(user) {
+        // Run is a fitness goal, so fitness quotes come first
+        assert.deepEqual(user.seenMotivation, ['quotes:16', 'quotes:15']);
+      });
+    });
+
+    it('matches the goal category', function() {
+      var id = String(goal._id);
+      return bot.refreshMotivation().then(function() {
+        return bot.send(PSID, {quick_reply: encode('viewGoal', {id: id})});
+      }).then(function(replies) {
+        var card = replies[0].message.attachment.payload.elements[0];
+        assert.equal(card.image_url, 'https://i.redd.it/keepgoing.jpg');
+        assert.ok(/^Fitness · /.test(card.subtitle));
+        return bot.send(PSID, {quick_reply: encode('category', {id: id})});
+      }).then(function(replies) {
+        assert.equal(bot.textOf(replies[0]), "What is Run about? It's Fitness now.");
+        assert.ok(bot.payloadsOf(replies[0]).indexOf(
+          encode('setCategory', {id: id, category: 'study'})) != -1);
+        return bot.send(PSID, {quick_reply: encode('setCategory', {id: id, category: 'study'})},
+                        {replies: 2});
+      }).then(function(replies) {
+        assert.equal(bot.textOf(replies[0]), 'Run is now in Study. Going to home...');
+        return logProgress(2);
+      }).then(function(replies) {
+        // The picture is for fitness, a study quote fits better
+        assert.ok(/from Quotes:$/.test(bot.textOf(replies[0])));
+        assert.ok(/read|learn|knowledge/i.test(bot.textOf(replies[1])));
+      });
+    });
+
+    it('lets sources be muted and put first', function() {
+      return bot.send(PSID, {postback: encode('motivation')}).then(function(replies) {
+        assert.equal(bot.textOf(replies[0]), "Here's where your motivation comes from:\n" +
+                     '1. r/GetMotivated\n2. Pictures\n3. Quotes\nTap one to change it.');
+        return bot.send(PSID, {quick_reply: encode('motivationSource', {source: 'r/GetMotivated'})});
+      }).then(function(replies) {
+        assert.deepEqual(bot.payloadsOf(replies[0]), [
+          encode('preferSource', {source: 'r/GetMotivated'}),
+          encode('muteSource', {source: 'r/GetMotivated'}),
+          encode('home')
+        ]);
+        return bot.send(PSID, {quick_reply: encode('muteSource', {source: 'r/GetMotivated'})},
+                        {replies: 2});
+      }).then(function(replies) {
+        assert.equal(bot.textOf(replies[0]), 'r/GetMotivated muted. Going to home...');
+        return logProgress(2);
+      }).then(function(replies) {
+        assert.ok(/from Quotes:$/.test(bot.textOf(replies[0])));
+        return bot.send(PSID, {quick_reply: encode('preferSource', {source: 'r/GetMotivated'})},
+                        {replies: 2});
+      }).then(function() {
+        return bot.send(PSID, {postback: encode('motivation')});
+      }).then(function(replies) {
+        assert.ok(/1\. r\/GetMotivated \(first\)\n/.test(bot.textOf(replies[0])));
+      });
+    });
+
+    it('still replies when every source is muted', function() {
+      var muted = ['r/GetMotivated', 'images', 'quotes'];
+      return updateUser({$set: {motivation: {muted: muted}}}).then(function() {
+        return logProgress(2);
+      }).then(function(replies) {
+        assert.equal(bot.textOf(replies[0]), 'Log Added! Great job today! Going to home...');
+      });
+    });
+  });
+
+  describe('viewing goals', function() {
+    var goal;
+
+    beforeEach(function() {
+      var log = [];
+      for (var i = 0; i < 7; i++) {
+        log.push({time: new Date(), day: '2017-09-' + (18 - i), text: 'log ' + i});
+      }
+      return createUser().then(function() {
+        return createGoal({log: log});
+      }).then(function(created) {
+        goal = created;
+      });
+    });
+
+    it('shows goals as a carousel of cards', function() {
+      var id = String(goal._id);
+      return Promise.all([
+        createGoal({name: 'Read', total: 4, days: ['2017-09-17', '2017-09-18']}),
+        bot.refreshMotivation()
+      ]).then(function(results) {
+        var read = results[0];
+        return bot.send(PSID, {postback: encode('viewGoals')}).then(function(replies) {
+          var message = replies[0].message;
+          var cards = message.attachment.payload.elements;
+          assert.equal(message.attachment.payload.template_type, 'generic');
+          assert.deepEqual(cards.map(function(card) {
+            return card.title;
+          }), ['Run  🔥0', 'Read  🔥0']);
+          assert.equal(cards[0].image_url, 'https://i.redd.it/keepgoing.jpg');
+          assert.equal(cards[0].subtitle, 'Fitness · Add progress every day\n0 check-ins · No progress yet');
+          assert.equal(cards[1].subtitle, 'Study · Add progress every day\n4 check-ins · Last update 9/18/2017');
+          assert.equal(cards[1].image_url, undefined);
+          assert.deepEqual(bot.payloadsOf(replies[0]), [
+            encode('home'),
+            encode('logs', {id: id}),
+            encode('confirmFinish', {id: id}),
+            encode('confirmDelete', {id: id}),
+            encode('logs', {id: String(read._id)}),
+            encode('confirmFinish', {id: String(read._id)}),
+            encode('confirmDelete', {id: String(read._id)})
+          ]);
+        });
+      });
+    });
+
+    it('pages through many goals', function() {
+      var names = [];
+      for (var i = 2; i <= 12; i++) {
+        names.push('Goal ' + i);
+      }
+      return names.reduce(function(previous, name) {
+        return previous.then(function() {
+          return createGoal({name: name});
+        });
+      }, Promise.resolve()).then(function() {
+        return bot.send(PSID, {postback: encode('viewGoals')});
+      }).then(function(replies) {
+        assert.equal(replies[0].message.attachment.payload.elements.length, 10);
+        assert.deepEqual(bot.payloadsOf(replies[0]).slice(0, 2),
+                         [encode('viewGoals', {index: 10}), encode('home')]);
+        return bot.send(PSID, {quick_reply: encode('viewGoals', {index: 10})});
+      }).then(function(replies) {
+        var cards = replies[0].message.attachment.payload.elements;
+        assert.deepEqual(cards.map(function(card) {
+          return card.title;
+        }), ['Goal 11  🔥0', 'Goal 12  🔥0']);
+        assert.deepEqual(bot.payloadsOf(replies[0]).slice(0, 2),
+                         [encode('viewGoals', {index: 0}), encode('home')]);
+        return bot.send(PSID, {postback: encode('addProgress')});
+      }).then(function(replies) {
+        assert.ok(/^Here are your goals \(Page 1\):\n1\. Run/.test(bot.textOf(replies[0])));
+        var payloads = bot.payloadsOf(replies[0]);
+        assert.equal(payloads.length, 9);
+        assert.equal(payloads[8], encode('addProgress', {index: 8}));
+        return bot.send(PSID, {quick_reply: encode('addProgress', {index: 8})});
+      }).then(function(replies) {
+        assert.ok(/^Here are your goals \(Page 2\):\n9\. Goal 9/.test(bot.textOf(replies[0])));
+        assert.deepEqual(bot.payloadsOf(replies[0]).slice(-1),
+                         [encode('addProgress', {index: 0})]);
+      });
+    });
+
+    it('lists goals as text when the carousel is refused', function() {
+      bot.transport.refuse(function(messageData) {
+        return Boolean(messageData.message.attachment);
+      });
+      return bot.send(PSID, {postback: encode('viewGoals')}).then(function(replies) {
+        assert.equal(bot.textOf(replies[0]), 'Here are your goals:\n1. Run  🔥0\n' +
+                     'Tap on a goal below to view more details.');
+        assert.deepEqual(bot.payloadsOf(replies[0]), [encode('viewGoal', {id: String(goal._id)})]);
+      });
+    });
+
+    it('shows a goal with its actions', function() {
+      return bot.send(PSID, {quick_reply: encode('viewGoal', {id: String(goal._id)})}).then(function(replies) {
+        assert.equal(bot.textOf(replies[0]), 'Run  🔥0');
+        assert.deepEqual(bot.payloadsOf(replies[0]), [
+          encode('stats', {id: String(goal._id)}),
+          encode('calendar', {id: String(goal._id)}),
+          encode('category', {id: String(goal._id)}),
+          encode('home'),
+          encode('logs', {id: String(goal._id)}),
+          encode('confirmFinish', {id: String(goal._id)}),
+          encode('confirmDelete', {id: String(goal._id)})
+        ]);
+      });
+    });
+
+    it('shows stats worked out from check-ins', function() {
+      var days = ['2017-09-04', '2017-09-05', '2017-09-11'];
+      return updateGoal({$set: {days: days, createdAt: new Date('2017-09-04T12:00:00Z')}}).then(function() {
+        return bot.send(PSID, {quick_reply: encode('stats', {id: String(goal._id)})});
+      }).then(function(replies) {
+        var lines = bot.textOf(replies[0]).split('\n');
+        assert.equal(lines[0], 'Stats for Run:');
+        assert.equal(lines[1], 'Started 9/4/2017');
+        assert.equal(lines[2], 'Current streak 🔥0 · Longest 🔥2');
+        assert.equal(lines[4], 'Most active on Mons');
+        assert.equal(lines[5], 'Best week: 9/4/2017 with 2 check-ins');
+        assert.deepEqual(bot.payloadsOf(replies[0]),
+                         [encode('viewGoal', {id: String(goal._id)}), encode('home')]);
+      });
+    });
+
+    it('sends a calendar of check-ins rendered by the bot', function() {
+      return bot.send(PSID, {quick_reply: encode('calendar', {id: String(goal._id)})}).then(function(replies) {
+        var url = replies[0].message.attachment.payload.url;
+        var prefix = 'https://goalt.test/calendar/' + goal._id + '.png?';
+        assert.equal(url.substring(0, prefix.length), prefix);
+        assert.deepEqual(bot.payloadsOf(replies[0]),
+                         [encode('viewGoal', {id: String(goal._id)}), encode('home')]);
+        return get(bot.url(url.substring('https://goalt.test'.length)));
+      }).then(function(response) {
+        assert.equal(response.statusCode, 200);
+        assert.equal(response.headers['content-type'], 'image/png');
+        assert.equal(response.body.slice(1, 4).toString(), 'PNG');
+        return get(bot.url('/calendar/' + goal._id + '.png?sig=wrong'));
+      }).then(function(response) {
+        assert.equal(response.statusCode, 403);
+      });
+    });
+
+    it('resets streaks that lapsed before listing goals', function() {
+      var days = ['2017-09-16', '2017-09-17', '2017-09-18'];
+      return updateGoal({$set: {streak: 3, days: days}}).then(function() {
+        return bot.send(PSID, {postback: encode('viewGoals')});
+      }).then(function(replies) {
+        assert.equal(bot.textOf(replies[0]), 'Run  🔥0');
+        return findGoals();
+      }).then(function(goals) {
+        assert.equal(goals[0].streak, 0);
+        assert.deepEqual(goals[0].days, days);
+      });
+    });
+
+    it('pages through logs five at a time', function() {
+      return bot.send(PSID, {postback: encode('logs', {id: String(goal._id)})}).then(function(replies) {
+        var text = bot.textOf(replies[0]);
+        assert.ok(/\(Page 1\)/.test(text));
+        assert.ok(/9\/18\/2017 log 0/.test(text));
+        assert.ok(!/log 5/.test(text));
+        assert.deepEqual(bot.payloadsOf(replies[0]),
+                         [encode('logs', {id: String(goal._id), index: 5}), encode('home')]);
+        return bot.send(PSID, {quick_reply: encode('logs', {id: String(goal._id), index: 5})});
+      }).then(function(replies) {
+        var text = bot.textOf(replies[0]);
+        assert.ok(/\(Page 2\)/.test(text));
+        assert.ok(/9\/12\/2017 log 6/.test(text));
+        assert.deepEqual(bot.payloadsOf(replies[0]),
+                         [encode('logs', {id: String(goal._id), index: 0}), encode('home')]);
+      });
+    });
+  });
+
+  describe('payloads', function() {
+    var goal;
+
+    beforeEach(function() {
+      return createUser().then(function() {
+        return createGoal();
+      }).then(function(created) {
+        goal = created;
+      });
+    });
+
+    it('still understands payloads from older messages', function() {
+      return bot.send(PSID, {quick_reply: 'view ' + goal._id}).then(function(replies) {
+        assert.equal(bot.textOf(replies[0]), 'Run  🔥0');
+        return bot.send(PSID, {postback: 'Payload new goal'});
+      }).then(function(replies) {
+        assert.equal(bot.textOf(replies[0]), 'What is the name of your goal?');
+      });
+    });
+
+    it('replies to a payload it cannot read', function() {
+      return bot.send(PSID, {quick_reply: 'view not-an-id'}, {replies: 2}).then(function(replies) {
+        assert.equal(bot.textOf(replies[0]),
+                     "Sorry, that button doesn't work anymore. Going to home...");
+        return bot.send(PSID, {postback: '{"v":1,"h":"nope"'}, {replies: 2});
+      }).then(function(replies) {
+        assert.equal(bot.textOf(replies[0]),
+                     "Sorry, that button doesn't work anymore. Going to home...");
+      });
+    });
+
+    it('replies when the goal is gone', function() {
+      var payload = encode('viewGoal', {id: '59c0c0c0c0c0c0c0c0c0c0c0'});
+      return bot.send(PSID, {quick_reply: payload}, {replies: 2}).then(function(replies) {
+        assert.equal(bot.textOf(replies[0]),
+                     "That goal doesn't exist anymore. Going to home...");
+      });
+    });
+  });
+
+  describe('deleting a goal', function() {
+    var goal;
+
+    beforeEach(function() {
+      return createUser({numGoals: 1}).then(function() {
+        return createGoal();
+      }).then(function(created) {
+        goal = created;
+      });
+    });
+
+    it('asks for confirmation', function() {
+      return bot.send(PSID, {postback: encode('confirmDelete', {id: String(goal._id)})}).then(function(replies) {
+        assert.ok(/Are you sure you want to delete Run\?/.test(bot.textOf(replies[0])));
+        assert.deepEqual(bot.payloadsOf(replies[0]),
+                         [encode('delete', {id: String(goal._id)}), encode('cancelDelete', {id: String(goal._id)})]);
+      });
+    });
+
+    it('moves the goal to Recently Deleted', function() {
+      return bot.send(PSID, {quick_reply: encode('delete', {id: String(goal._id)})}).then(function(replies) {
+        assert.equal(bot.textOf(replies[0]),
+                     'Goal deleted! You can restore it from Recently Deleted in Settings for 30 days.');
+        assert.deepEqual(bot.payloadsOf(replies[0]),
+                         [encode('restore', {id: String(goal._id)}), encode('home')]);
+        return Promise.all([findGoals(), findUser()]);
+      }).then(function(results) {
+        assert.equal(results[0].length, 1);
+        assert.equal(results[0][0].status, 'deleted');
+        assert.ok(results[0][0].deletedAt);
+        assert.equal(results[1].numGoals, 0);
+        return bot.send(PSID, {postback: encode('viewGoals')}, {replies: 2});
+      }).then(function(replies) {
+        assert.equal(bot.textOf(replies[0]), 'No goals yet, start one from home!');
+        return bot.send(PSID, {quick_reply: encode('progress', {id: String(goal._id)})}, {replies: 2});
+      }).then(function(replies) {
+        assert.equal(bot.textOf(replies[0]), "That goal doesn't exist anymore. Going to home...");
+      });
+    });
+
+    it('can be undone', function() {
+      return bot.send(PSID, {quick_reply: encode('delete', {id: String(goal._id)})}).then(function() {
+        return bot.send(PSID, {quick_reply: encode('restore', {id: String(goal._id)})}, {replies: 2});
+      }).then(function(replies) {
+        assert.equal(bot.textOf(replies[0]), 'Run is back in your goals. Going to home...');
+        return Promise.all([findGoals(), findUser()]);
+      }).then(function(results) {
+        assert.equal(results[0][0].status, 'active');
+        assert.equal(results[0][0].deletedAt, undefined);
+        assert.equal(results[1].numGoals, 1);
+        return bot.send(PSID, {quick_reply: encode('restore', {id: String(goal._id)})}, {replies: 2});
+      }).then(function(replies) {
+        assert.equal(bot.textOf(replies[0]), 'That goal was already restored. Going to home...');
+        return findUser();
+      }).then(function(user) {
+        assert.equal(user.numGoals, 1);
+      });
+    });
+
+    it('lists recently deleted goals to restore', function() {
+      return bot.send(PSID, {postback: encode('trash')}, {replies: 2}).then(function(replies) {
+        assert.equal(bot.textOf(replies[0]), "You haven't deleted any goals recently. Going to home...");
+        return bot.send(PSID, {quick_reply: encode('delete', {id: String(goal._id)})});
+      }).then(function() {
+        return bot.send(PSID, {postback: encode('trash')});
+      }).then(function(replies) {
+        assert.ok(/^Recently deleted goals, kept for 30 days:\n1\. Run \(until \d+\/\d+\/\d{4}\)\nTap on a goal below to restore it\.$/
+                  .test(bot.textOf(replies[0])), bot.textOf(replies[0]));
+        assert.deepEqual(bot.payloadsOf(replies[0]),
+                         [encode('restore', {id: String(goal._id)}), encode('home')]);
+      });
+    });
+
+    it('only counts a goal deleted twice once', function() {
+      var payload = encode('delete', {id: String(goal._id)});
+      return Promise.all([
+        bot.send(PSID, {quick_reply: payload}),
+        bot.send(PSID, {quick_reply: payload})
+      ]).then(function() {
+        return findUser();
+      }).then(function(user) {
+        assert.equal(user.numGoals, 0);
+      });
+    });
+
+    it('can be canceled', function() {
+      return bot.send(PSID, {quick_reply: encode('cancelDelete', {id: String(goal._id)})}, {replies: 2}).then(function(replies) {
+        assert.equal(bot.textOf(replies[0]), 'Deleting canceled, going to home...');
+        return findGoals();
+      }).then(function(goals) {
+        assert.equal(goals.length, 1);
+      });
+    });
+  });
+
+  describe('finishing a goal', function() {
+    var goal;
+
+    beforeEach(function() {
+      var log = [{time: new Date(), day: '2017-09-18', text: 'done'}];
+      return createUser({numGoals: 1}).then(function() {
+        return createGoal({total: 3, log: log, days: ['2017-09-18']});
+      }).then(function(created) {
+        goal = created;
+      });
+    });
+
+    it('keeps the goal as a finished goal', function() {
+      return bot.send(PSID, {postback: encode('confirmFinish', {id: String(goal._id)})}).then(function(replies) {
+        assert.ok(/Are you sure you want to finish Run\?/.test(bot.textOf(replies[0])));
+        return bot.send(PSID, {quick_reply: encode('finish', {id: String(goal._id)})}, {replies: 2});
+      }).then(function(replies) {
+        assert.ok(/CONGRATS on finishing your goal: Run!/.test(bot.textOf(replies[0])));
+        return Promise.all([findGoals(), findUser()]);
+      }).then(function(results) {
+        assert.equal(results[0].length, 1);
+        assert.equal(results[0][0].status, 'finished');
+        assert.ok(results[0][0].finishedAt);
+        assert.equal(results[1].numGoals, 0);
+        assert.deepEqual(results[1].finished, []);
+        return bot.send(PSID, {postback: encode('finished')});
+      }).then(function(replies) {
+        assert.equal(bot.textOf(replies[0]),
+                     'Here are your finished goals:\n1. Run 🔥3 (9/18/2017)\n' +
+                     'Tap on a goal below to see how it went.');
+        assert.deepEqual(bot.payloadsOf(replies[0]),
+                         [encode('finishedGoal', {id: String(goal._id)}), encode('home')]);
+      });
+    });
+
+    it('shows finished goals when there are no active ones', function() {
+      return updateGoal({$set: {status: 'finished', finishedAt: new Date()}}).then(function() {
+        return updateUser({$set: {numGoals: 0}});
+      }).then(function() {
+        return bot.send(PSID, {postback: encode('viewGoals')});
+      }).then(function(replies) {
+        assert.ok(/^Here are your finished goals:/.test(bot.textOf(replies[0])));
+      });
+    });
+
+    it('shows how a finished goal went, with its logs', function() {
+      return bot.send(PSID, {quick_reply: encode('finish', {id: String(goal._id)})}, {replies: 2}).then(function() {
+        return bot.send(PSID, {quick_reply: encode('finishedGoal', {id: String(goal._id)})});
+      }).then(function(replies) {
+        var element = replies[0].message.attachment.payload.elements[0];
+        assert.equal(element.title, 'Run  🏁');
+        assert.ok(/^Finished \d+\/\d+\/\d{4} after \d+ days\nLongest streak 🔥1 · 3 check-ins$/.test(element.subtitle),
+                  element.subtitle);
+        assert.deepEqual(bot.payloadsOf(replies[0]), [
+          encode('stats', {id: String(goal._id)}),
+          encode('calendar', {id: String(goal._id)}),
+          encode('finished'),
+          encode('home'),
+          encode('logs', {id: String(goal._id)}),
+          encode('reopen', {id: String(goal._id)})
+        ]);
+        return bot.send(PSID, {postback: encode('logs', {id: String(goal._id)})});
+      }).then(function(replies) {
+        assert.ok(/done/.test(bot.textOf(replies[0])));
+      });
+    });
+
+    it('does not add progress to a finished goal', function() {
+      return bot.send(PSID, {quick_reply: encode('finish', {id: String(goal._id)})}, {replies: 2}).then(function() {
+        return bot.send(PSID, {quick_reply: encode('progress', {id: String(goal._id)})}, {replies: 2});
+      }).then(function(replies) {
+        assert.equal(bot.textOf(replies[0]), 'That goal is finished. Going to home...');
+      });
+    });
+
+    it('reopens a finished goal', function() {
+      return bot.send(PSID, {quick_reply: encode('finish', {id: String(goal._id)})}, {replies: 2}).then(function() {
+        return bot.send(PSID, {postback: encode('reopen', {id: String(goal._id)})}, {replies: 2});
+      }).then(function(replies) {
+        assert.ok(/^Run is active again/.test(bot.textOf(replies[0])));
+        return Promise.all([findGoals(), findUser()]);
+      }).then(function(results) {
+        assert.equal(results[0][0].status, 'active');
+        assert.equal(results[0][0].finishedAt, undefined);
+        assert.equal(results[0][0].total, 3);
+        assert.equal(results[1].numGoals, 1);
+      });
+    });
+
+    it('does not reopen a goal over an active one with the same name', function() {
+      return bot.send(PSID, {quick_reply: encode('finish', {id: String(goal._id)})}, {replies: 2}).then(function() {
+        return createGoal({});
+      }).then(function() {
+        return updateUser({$set: {numGoals: 1}});
+      }).then(function() {
+        return bot.send(PSID, {postback: encode('reopen', {id: String(goal._id)})}, {replies: 2});
+      }).then(function(replies) {
+        assert.ok(/^You already have a goal called Run/.test(bot.textOf(replies[0])));
+        return findUser();
+      }).then(function(user) {
+        assert.equal(user.numGoals, 1);
+      });
+    });
+
+    it('lists finished goals from before they were kept', function() {
+      return updateUser({$set: {finished: ['Read 🔥2 (9/1/2017)']}}).then(function() {
+        return bot.send(PSID, {postback: encode('finished')});
+      }).then(function(replies) {
+        assert.equal(bot.textOf(replies[0]),
+                     'Here are your finished goals:\n1. Read 🔥2 (9/1/2017)\n');
+        assert.deepEqual(bot.payloadsOf(replies[0]), [encode('home')]);
+      });
+    });
+  });
+
+  describe('account linking', function() {
+    var OTHER = 2002;
+    var REDIRECT = 'https://www.facebook.com/messenger_platform/account_linking/?account_linking_token=abc';
+    var goal;
+
+    // Signs up (or in) on the linking page, resolving with the code Messenger gets
+    function authorize(action) {
+      return post(bot.url('/authorize'), {
+        account_linking_token: 'abc',
+        redirect_uri: REDIRECT,
+        username: 'runner',
+        password: 'correct horse',
+        action: action
+      }).then(function(response) {
+        assert.equal(response.statusCode, 302);
+        var prefix = REDIRECT + '&authorization_code=';
+        assert.equal(response.headers.location.substring(0, prefix.length), prefix);
+        return response.headers.location.substring(prefix.length);
+      });
+    }
+
+    function link(psid, code) {
+      return bot.send(psid, {account_linking: {status: 'linked', authorization_code: code}}, {replies: 2});
+    }
+
+    beforeEach(function() {
+      return createUser({numGoals: 1}).then(function() {
+        return createUser({name: OTHER});
+      }).then(function() {
+        return createGoal();
+      }).then(function(created) {
+        goal = created;
+      });
+    });
+
+    it('only sends codes back to Messenger', function() {
+      return get(bot.url('/authorize?account_linking_token=abc&redirect_uri=' +
+                         encodeURIComponent('https://evil.example/?x=1'))).then(function(response) {
+        assert.equal(response.statusCode, 400);
+        return get(bot.url('/authorize?account_linking_token=abc&redirect_uri=' + encodeURIComponent(REDIRECT)));
+      }).then(function(response) {
+        assert.equal(response.statusCode, 200);
+        assert.ok(/Make an account/.test(response.body));
+      });
+    });
+
+    it('shares goals between linked chats', function() {
+      return authorize('register').then(function(code) {
+        return link(PSID, code);
+      }).then(function(replies) {
+        assert.ok(/^This chat is linked to runner\./.test(bot.textOf(replies[0])));
+        return authorize('login');
+      }).then(function(code) {
+        return link(OTHER, code);
+      }).then(function() {
+        return bot.send(OTHER, {postback: encode('addProgress')});
+      }).then(function(replies) {
+        assert.ok(/^Here are your goals:\n1\. Run/.test(bot.textOf(replies[0])));
+        // A name taken in one linked chat is taken in all of them
+        return bot.send(OTHER, {postback: encode('newGoal')});
+      }).then(function() {
+        return bot.send(OTHER, {text: 'run'});
+      }).then(function(replies) {
+        assert.equal(bot.textOf(replies[0]), 'Goal with that name has already been created. Try another name.');
+        return bot.send(OTHER, {quick_reply: encode('progress', {id: String(goal._id)})});
+      }).then(function(replies) {
+        assert.equal(bot.textOf(replies[0]), 'Add a log message to your goal!');
+      });
+    });
+
+    it("can't use a code twice", function() {
+      return authorize('register').then(function(code) {
+        return link(PSID, code).then(function() {
+          return link(OTHER, code);
+        });
+      }).then(function(replies) {
+        assert.ok(/^That sign-in didn't work/.test(bot.textOf(replies[0])));
+        return db.findOne(bot.User, {name: OTHER});
+      }).then(function(user) {
+        assert.equal(user.account, undefined);
+      });
+    });
+
+    it('stops sharing goals once unlinked', function() {
+      return authorize('register').then(function(code) {
+        return link(PSID, code);
+      }).then(function() {
+        return authorize('login');
+      }).then(function(code) {
+        return link(OTHER, code);
+      }).then(function() {
+        return bot.send(OTHER, {account_linking: {status: 'unlinked'}}, {replies: 2});
+      }).then(function(replies) {
+        assert.ok(/^Your account is unlinked/.test(bot.textOf(replies[0])));
+        return bot.send(OTHER, {postback: encode('addProgress')}, {replies: 2});
+      }).then(function(replies) {
+        assert.equal(bot.textOf(replies[0]), 'No goals yet, start one from home!');
+      });
+    });
+
+    it('turns down wrong passwords', function() {
+      return authorize('register').then(function() {
+        return post(bot.url('/authorize'), {
+          account_linking_token: 'abc',
+          redirect_uri: REDIRECT,
+          username: 'runner',
+          password: 'wrong horse',
+          action: 'login'
+        });
+      }).then(function(response) {
+        assert.equal(response.statusCode, 400);
+        assert.ok(/Wrong username or password/.test(response.body));
+      });
+    });
+  });
+});
@@ -0,0 +1,169 @@
+/*
+ * Fake Messenger
+ *
+ * A stand-in for the Graph API so the bot can be driven end to end on a
+ * laptop. It accepts Send API calls, answers User Profile API calls, and
+ * lets you talk to the bot as a user by posting signed webhook events to it.
+ *
+ * Usage:
+ *   APP_SECRET=dev node tools/fake-messenger.js
+ *   APP_SECRET=dev VALIDATION_TOKEN=dev PAGE_ACCESS_TOKEN=dev \
+ *     GRAPH_API_URL=http://localhost:5001/v2.6 node app.js
+ *
+ *   # say something as user 1001
+ *   curl -H 'Content-Type: application/json' -d '{"text": "hi"}' \
+ *     localhost:5001/conversations/1001/messages
+ *   # tap a quick reply or a button
+ *   curl -H 'Content-Type: application/json' -d '{"quick_reply": "home"}' ...
+ *   curl -H 'Content-Type: application/json' -d '{"postback": "Payload view"}' ...
+ *   # read the conversation so far
+ *   curl localhost:5001/conversations/1001
+ *
+ */
+
+/* jshint node: true */
+'use strict';
+
+var bodyParser = require('body-parser');
+var crypto = require('crypto');
+var express = require('express');
+var request = require('request');
+
+var PAGE_ID = 1;
+
+// Value of the X-Hub-Signature header for a webhook body
+function sign(body, secret) {
+  return 'sha1=' + crypto.createHmac('sha1', secret).update(body).digest('hex');
+}
+
+/*
+ * Builds the webhook body for one event from a user. input is one of
+ * {text}, {quick_reply} (the payload), {postback} (the payload),
+ * {attachments} or {account_linking}.
+ *
+ */
+function webhookBody(psid, input, time) {
+  var event = {
+    sender: { id: psid },
+    recipient: { id: PAGE_ID },
+    timestamp: time
+  };
+  if (input.postback) {
+    event.postback = { payload: input.postback };
+  } else if (input.account_linking) {
+    event.account_linking = input.account_linking;
+  } else {
+    event.message = { mid: 'mid.user.' + time, seq: time };
+    if (input.text) {
+      event.message.text = input.text;
+    }
+    if (input.quick_reply) {
+      event.message.text = input.title || input.quick_reply;
+      event.message.quick_reply = { payload: input.quick_reply };
+    }
+    if (input.attachments) {
+      event.message.attachments = input.attachments;
+    }
+  }
+  return {
+    object: 'page',
+    entry: [{ id: PAGE_ID, time: time, messaging: [event] }]
+  };
+}
+
+/*
+ * options:
+ *   webhookURL - where the bot listens, e.g. http://localhost:5000/webhook
+ *   appSecret  - used to sign webhook calls, must match the bot's APP_SECRET
+ *   timezone   - what the User Profile API reports for every user
+ *
+ */
+function createFakeMessenger(options) {
+  var app = express();
+  var conversations = {};
+  var nextId = 1;
+
+  function conversation(psid) {
+    psid = String(psid);
+    if (!conversations[psid]) {
+      conversations[psid] = [];
+    }
+    return conversations[psid];
+  }
+
+  app.use(bodyParser.json());
+
+  // Send API
+  app.post('/:version/me/messages', function(req, res) {
+    var messageData = req.body;
+    if (!messageData.recipient || !messageData.recipient.id) {
+      return res.status(400).json({ error: { message: "Missing recipient" } });
+    }
+    var messageId = 'mid.bot.' + nextId++;
+    conversation(messageData.recipient.id).push({
+      from: 'bot',
+      id: messageId,
+      message: messageData.message,
+      sender_action: messageData.sender_action
+    });
+    res.json({ recipient_id: messageData.recipient.id, message_id: messageId });
+  });
+
+  app.get('/conversations/:psid', function(req, res) {
+    res.json(conversation(req.params.psid));
+  });
+
+  app.delete('/conversations/:psid', function(req, res) {
+    delete conversations[req.params.psid];
+    res.sendStatus(204);
+  });
+
+  // Act as the user, forwarding the event to the bot's webhook
+  app.post('/conversations/:psid/messages', function(req, res) {
+    var psid = Number(req.params.psid);
+    var body = JSON.stringify(webhookBody(psid, req.body, Date.now()));
+    conversation(psid).push({ from: 'user', input: req.body });
+    request({
+      uri: options.webhookURL,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Hub-Signature': sign(body, options.appSecret)
+      },
+      body: body
+    }, function(error, response) {
+      if (error) {
+        return res.status(502).json({ error: { message: error.message } });
+      }
+      res.status(response.statusCode).end();
+    });
+  });
+
+  // User Profile API, after the conversation routes so it doesn't take
+  // /conversations/:psid
+  app.get('/:version/:psid', function(req, res) {
+    res.json({
+      first_name: 'Test',
+      last_name: 'User ' + req.params.psid,
+      timezone: options.timezone || 0
+    });
+  });
+
+  app.conversations = conversations;
+  return app;
+}
+
+exports.sign = sign;
+exports.webhookBody = webhookBody;
+exports.createFakeMessenger = createFakeMessenger;
+
+if (require.main === module) {
+  var port = process.env.PORT || 5001;
+  createFakeMessenger({
+    webhookURL: process.env.WEBHOOK_URL || 'http://localhost:5000/webhook',
+    appSecret: process.env.APP_SECRET || 'dev',
+    timezone: Number(process.env.TIMEZONE || 0)
+  }).listen(port, function() {
+    console.log('Fake Messenger is running on port', port);
+  });
+}